@@ -3,6 +3,35 @@ import express from "express";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
 import querystring from "querystring";
+import jobQueue, { JOB_STATES } from "./src/services/jobQueue.js";
+import deadLetterService from "./src/services/deadLetterService.js";
+import cacheService from "./src/services/cacheService.js";
+import tripService from "./src/services/tripService.js";
+import idempotencyService from "./src/services/idempotencyService.js";
+import usageService from "./src/services/usageService.js";
+import qualityService from "./src/services/qualityService.js";
+import screeningService from "./src/services/screeningService.js";
+import pdfService from "./src/services/pdfService.js";
+import adminRoutes from "./src/routes/adminRoutes.js";
+import tripsRoutes from "./src/routes/tripsRoutes.js";
+import { incrementCounter, getMetrics } from "./src/utils/metrics.js";
+import { getCircuitBreaker, getCircuitBreakers, getRetryDelay, parseRetryAfter } from "./src/utils/resilience.js";
+import { sanitizeRouteLinks } from "./src/utils/linkSanitizer.js";
+import { renderMarkdownHtml, renderMarkdownText } from "./src/utils/markdown.js";
+import { renderEmail } from "./src/utils/emailTemplate.js";
+import { errorHandler } from "./src/middleware/errorHandler.js";
+import { redactUrl } from "./src/utils/logger.js";
+import { parseTildaData, extractFormMeta } from "./src/utils/tildaParser.js";
+import { mapFormData } from "./src/utils/fieldMapper.js";
+import { normalizeTripDates } from "./src/utils/dateParser.js";
+import { parseBudget } from "./src/utils/budgetParser.js";
+import { parseTravelers } from "./src/utils/travelerParser.js";
+import { createJobToken } from "./src/utils/jobToken.js";
+import openaiService from "./src/services/openaiService.js";
+import plannerService from "./src/services/plannerService.js";
+import promptService, { PROMPT_PRESETS } from "./src/services/promptService.js";
+import { config } from "./src/config/index.js";
+import { resolveLocale, t, DEFAULT_LOCALE } from "./src/utils/i18n.js";
 
 dotenv.config();
 
@@ -41,8 +70,8 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 // === CORS ===
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
 });
@@ -51,357 +80,271 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
   console.log("\n=== 📨 ЗАПРОС ОТ TILDA ===");
   console.log("⏰", new Date().toISOString());
-  console.log("➡️", req.method, req.url);
+  console.log("➡️", req.method, redactUrl(req.url));
   console.log("📋 Content-Type:", req.headers["content-type"] || "не указан");
   console.log("📦 BODY (raw):", JSON.stringify(req.body, null, 2));
   console.log("========================\n");
   next();
 });
 
-// === Универсальный парсер данных из Tilda ===
-const parseTildaData = (body) => {
-  const result = {};
-  
-  if (!body || typeof body !== 'object') {
-    console.warn("⚠️ body пустой или не объект:", body);
-    return result;
-  }
-  
-  // Формат Tilda: fields[0][name]=city&fields[0][value]=Paris
-  // Express с extended:true может парсить это по-разному:
-  // 1. Как плоский объект: { "fields[0][name]": "city", "fields[0][value]": "Paris" }
-  // 2. Как вложенный объект: { fields: [{ name: "city", value: "Paris" }] }
-  
-  // Проверяем плоский формат с квадратными скобками
-  const fieldKeys = Object.keys(body).filter(key => 
-    typeof key === 'string' && key.startsWith("fields[")
-  );
-  
-  if (fieldKeys.length > 0) {
-    // Группируем поля по индексу
-    const fieldsMap = {};
-    for (const key of fieldKeys) {
-      const match = key.match(/fields\[(\d+)\]\[(name|value)\]/);
-      if (match) {
-        const index = match[1];
-        const type = match[2];
-        if (!fieldsMap[index]) {
-          fieldsMap[index] = {};
-        }
-        fieldsMap[index][type] = body[key];
-      }
-    }
-    
-    // Преобразуем в объект result
-    for (const index in fieldsMap) {
-      const field = fieldsMap[index];
-      if (field.name && field.value !== undefined && field.value !== null) {
-        result[field.name] = String(field.value).trim();
-      }
-    }
-    
-    console.log("🔍 Парсинг Tilda формата (плоский):", { 
-      fieldKeys: fieldKeys.length, 
-      parsed: result,
-      sampleKeys: fieldKeys.slice(0, 3)
-    });
-  } 
-  // Проверяем вложенный формат: { fields: { "0": { name: "...", value: "..." } } }
-  else if (body.fields) {
-    if (Array.isArray(body.fields)) {
-      // Формат: { fields: [{ name: "...", value: "..." }] }
-      for (const field of body.fields) {
-        if (field && field.name && field.value !== undefined && field.value !== null) {
-          result[field.name] = String(field.value).trim();
-        }
-      }
-      console.log("🔍 Парсинг массива fields:", result);
-    } else if (typeof body.fields === 'object') {
-      // Формат: { fields: { "0": { name: "...", value: "..." } } }
-      for (const index in body.fields) {
-        const field = body.fields[index];
-        if (field && field.name && field.value !== undefined && field.value !== null) {
-          result[field.name] = String(field.value).trim();
-        }
-      }
-      console.log("🔍 Парсинг объекта fields:", result);
-    }
-  } 
-  // Прямой формат: { city: "Paris", email: "..." }
-  else {
-    // Исключаем служебные поля
-    const ignoreKeys = ['pageid', 'formid', 'pageurl', 'formname', 't', 'referer'];
-    for (const key in body) {
-      if (!ignoreKeys.includes(key) && body[key] !== undefined && body[key] !== null) {
-        result[key] = String(body[key]).trim();
-      }
-    }
-    console.log("🔍 Парсинг прямого объекта:", result);
+// === Функция генерации промпта ===
+// Текст промпта - шаблон из src/templates/prompts (по умолчанию "luxury", см. src/services/promptService.js)
+// dates - нормализованные даты поездки (см. src/utils/dateParser.js)
+// budget - разобранный бюджет (см. src/utils/budgetParser.js)
+// travelers - состав путешественников (см. src/utils/travelerParser.js)
+// locale - язык маршрута (см. src/utils/i18n.js)
+const buildPrompt = ({ template, locale, ...params }) =>
+  promptService.render(template || { preset: PROMPT_PRESETS.LUXURY }, params, locale);
+
+// === Обработчик задачи генерации маршрута из очереди ===
+const TILDA_ROUTE_JOB = "tilda-route";
+
+// Подготовка письма и отправка через Resend, результат доставки (с версией шаблона промпта) сохраняется в задачу
+// Неудачная отправка бросает ошибку: задача завершается failed и попадает в dead-letter
+const deliverTildaRoute = async (job, { city, email, template, locale }, plan, { setState, update, recordAttempt }) => {
+  setState(JOB_STATES.RENDERING);
+  // Шаблоны письма - src/templates/tilda-route.*, маршрут из Markdown - src/utils/markdown.js
+  const message = renderEmail("tilda-route", {
+    locale,
+    city,
+    route: renderMarkdownHtml(plan),
+    routeText: renderMarkdownText(plan),
+  });
+  // PDF версия маршрута во вложении (PDF_ATTACHMENT=true, src/services/pdfService.js)
+  const pdf = pdfService.attach ? await pdfService.renderAttachment(job) : null;
+
+  setState(JOB_STATES.EMAILING);
+  try {
+    const delivery = await sendEmailViaResend(email, message.subject, message.html, {
+      "X-Prompt-Template": template,
+    }, message.text, pdf, { onAttempt: recordAttempt });
+    update({ email: { ...delivery, template, pdf: Boolean(pdf) } });
+  } catch (err) {
+    update({ email: { status: "failed", error: err.message, template, at: new Date().toISOString() } });
+    throw err;
   }
-  
-  return result;
 };
 
-// === Извлечение поля с возможными именами ===
-const extractField = (data, names) => {
-  if (!data || typeof data !== 'object') return null;
-  
-  // Сначала пробуем точное совпадение
-  for (const name of names) {
-    const value = data[name];
-    const normalized = normalizeText(value);
-    if (normalized) return normalized;
+// Проверка качества маршрута с догенерацией недостающих частей (src/services/qualityService.js) и проверка ссылок
+const reviewRoute = async (job, result, { prompt, dates, locale, regenerate = true, ...requestOptions }) => {
+  const reviewed = await qualityService.review(result, {
+    ...requestOptions,
+    prompt: regenerate ? prompt : "",
+    city: job.payload.city,
+    days: dates.days,
+    locale,
+    regenerate,
+    jobId: job.id,
+  });
+  if (reviewed.quality) {
+    const { score, issues, regenerated } = reviewed.quality;
+    console.log(`🔎 Качество маршрута: ${score}${regenerated.length ? `, догенерировано: ${regenerated.map(({ part }) => part).join(", ")}` : ""}${issues.length ? ` (${issues.join("; ")})` : ""}`);
   }
-  
-  // Если не нашли, пробуем поиск без учета регистра и пробелов
-  const dataKeys = Object.keys(data);
-  const normalizedDataKeys = dataKeys.map(k => k.toLowerCase().replace(/\s+/g, '_').replace(/-/g, '_'));
-  
-  for (const name of names) {
-    const normalizedName = name.toLowerCase().replace(/\s+/g, '_').replace(/-/g, '_');
-    const index = normalizedDataKeys.indexOf(normalizedName);
-    if (index !== -1) {
-      const value = data[dataKeys[index]];
-      const normalized = normalizeText(value);
-      if (normalized) return normalized;
-    }
-  }
-  
-  return null;
-};
 
-// === Нормализация текстовых значений ===
-const normalizeText = (value) => {
-  if (value === undefined || value === null) return null;
-  const text = String(value).trim();
-  if (!text) return null;
-  const lowered = text.toLowerCase();
-  if (["null", "undefined", "nan"].includes(lowered)) return null;
-  return text;
+  // Ссылки, придуманные моделью, заменяются поиском места на карте (src/utils/linkSanitizer.js)
+  const sanitized = sanitizeRouteLinks(reviewed, { city: job.payload.city, locale, jobId: job.id });
+  if (sanitized.links?.total > 0) {
+    const { total, kept, rewritten, added } = sanitized.links;
+    console.log(`🔗 Ссылки: ${total}, сохранено ${kept}, заменено поиском ${rewritten}, добавлено для кнопок ${added}`);
+  }
+  return sanitized;
 };
 
-// === Разбор интересов + "Свой вариант" ===
-const buildInterests = (rawInterests, customInterest) => {
-  const interestsSet = new Set();
-
-  const pushInterest = (val) => {
-    const normalized = normalizeText(val);
-    if (!normalized) return;
-    const lowered = normalized.toLowerCase();
-    if (lowered === "свой вариант" || lowered === "свой вариант *") return;
-    interestsSet.add(normalized);
-  };
-
-  const tryParseArray = (value) => {
-    if (!value) return false;
-    if (Array.isArray(value)) {
-      value.forEach(pushInterest);
-      return true;
-    }
-    const text = normalizeText(value);
-    if (!text) return false;
-    try {
-      const parsed = JSON.parse(text);
-      if (Array.isArray(parsed)) {
-        parsed.forEach(pushInterest);
-        return true;
-      }
-    } catch (e) {
-      // ignore parse errors
-    }
-    return false;
-  };
-
-  if (!tryParseArray(rawInterests)) {
-    const fallback = normalizeText(rawInterests);
-    if (fallback) {
-      fallback
-        .split(/[,;\n]/)
-        .map((item) => item.trim())
-        .filter(Boolean)
-        .forEach(pushInterest);
-    }
+// Сгенерированный маршрут в кэш (src/services/cacheService.js) - как в tripService.processJob
+const cacheRoute = (cacheParams, result, template) =>
+  cacheService.set(cacheParams, result.content, {
+    model: result.model,
+    tokens: result.usage?.total_tokens,
+    finishReason: result.finishReason,
+    structured: result.itinerary || null,
+    quality: result.quality || null,
+    prompt: template,
+  });
+
+const processTildaRouteJob = async (job, { setState, update, recordAttempt }) => {
+  const { city, email, interests, comment } = job.payload;
+  // Задачи, поставленные до нормализации дат, содержат только исходные строки
+  const dates = job.payload.dates || normalizeTripDates(job.payload.startDate, job.payload.endDate);
+  // Задачи, поставленные до разбора состава и бюджета, содержат исходные строки
+  const travelers = job.payload.travelers || parseTravelers(job.payload.people);
+  const budget = typeof job.payload.budget === "object" && job.payload.budget !== null
+    ? job.payload.budget
+    : parseBudget(job.payload.budget, { people: travelers.total, days: dates.days });
+  // Задачи, поставленные до шаблонов промптов, получают шаблон при обработке
+  const promptTemplate = job.payload.prompt || promptService.select({ fallbackPreset: PROMPT_PRESETS.LUXURY, seed: email });
+  const template = promptService.getTemplateId(promptTemplate);
+  // Задачи, поставленные до выбора языка, генерируются на языке по умолчанию
+  const locale = job.payload.locale || DEFAULT_LOCALE;
+
+  // Маршрут уже сгенерирован до перезапуска - остается только отправить письмо
+  if (job.result?.plan) {
+    console.log(`♻️ Задача ${job.id}: маршрут для ${city} уже сгенерирован, повторяем отправку email`);
+    await deliverTildaRoute(job, { city, email, template, locale }, job.result.plan, { setState, update, recordAttempt });
+    return;
   }
 
-  const normalizedCustom = normalizeText(customInterest);
-  if (normalizedCustom) {
-    interestsSet.add(normalizedCustom);
+  // Заявка с подозрительным текстом ждет ручной проверки (src/services/screeningService.js)
+  await screeningService.check(job, { update });
+
+  // Кэш - с теми же параметрами, что у /api/v1/trips: при лимите расходов (cache_only) такие заявки обслуживаются
+  setState(JOB_STATES.CACHE_LOOKUP);
+  const cacheParams = tripService.getCacheParams({ city, dates, budget, interests, comment, travelers, template, locale });
+  const cachedRoute = cacheService.get(cacheParams);
+  if (cachedRoute) {
+    console.log(`💾 Маршрут для ${city} взят из кэша`);
+    update({
+      result: {
+        plan: cachedRoute.route,
+        structured: cachedRoute.structured || null,
+        cached: true,
+        prompt: template,
+        finishReason: cachedRoute.finishReason || null,
+        usage: null,
+        quality: cachedRoute.quality || null,
+        model: cachedRoute.model || null,
+      },
+    });
+    await deliverTildaRoute(job, { city, email, template, locale }, cachedRoute.route, { setState, update, recordAttempt });
+    return;
   }
 
-  return Array.from(interestsSet);
-};
-
-// === Функция генерации промпта ===
-const buildPrompt = (city, start, end, budget, interests, people, comment) => {
-  // Подготовка переменных для промпта
-  const cityName = city || "не указан";
-  const startDate = start || "не указаны";
-  const endDate = end || "не указаны";
-  const budgetLevel = budget || "не указан";
-  const interestsBlock = interests?.length ? interests.join(", ") : "не указаны";
-  const peopleCount = people || "1";
-  const additionalComment = comment || null;
-
-  return `Ты — профессиональный travel-консьерж класса люкс, создающий индивидуальные путешествия под ключ с полным учетом всех пожеланий клиента. 
-Твоя задача — не просто описать маршрут, а продать мечту о путешествии так, чтобы клиент захотел отправиться в него прямо сейчас. 
-Маршрут должен быть продуман до мелочей и подан с вдохновением и эксклюзивностью, словно это услуга премиум-класса.
-
-Создай максимально подробный, вдохновляющий и захватывающий маршрут путешествия в ${cityName}, учитывая приведенные детали:
-
-📅 Даты поездки: ${startDate} — ${endDate}
-💰 Уровень бюджета: ${budgetLevel}
-🎯 Интересы: ${interestsBlock}
-👥 Путешественников: ${peopleCount}
-${additionalComment ? `📝 Дополнительные пожелания: ${additionalComment}` : ""}
-
----
-
-### 1. Общее описание ✈️
-
-Опиши атмосферу города как вдохновенный travel-блогер, но с подходом личного luxury-консьержа. 
-Передай через слова уникальный дух и шарм места. 
-Объясни, почему именно это направление идеально подходит под интересы и пожелания клиента, сформировав эмоциональный «хук» в начале путешествия. 
-Покажи, какие исключительные впечатления ждут путешественника, акцентируя уникальность опыта. 
-Заверши этот раздел абзацем в стиле travel-бренда: «Это путешествие — не просто поездка, а инвестиция в эмоции.»
-
----
-
-### 2. Проживание 🏨
-
-Подбери 2–3 варианта размещения в соответствии с указанным бюджетом (${budgetLevel}) — например, бутик-отель, роскошный классический отель или дизайнерские апартаменты. 
-Для каждого варианта укажи район города, приблизительную ссылку на объект и ориентировочную цену за ночь. 
-Добавь короткое описание атмосферы и достоинств каждого места (например, «винтажный шарм особняка XIX века», «панорамный вид на старый город», «ультрасовременный минимализм с авторским дизайном»). 
-Для каждого варианта включи кнопку-призыв: 👉 Узнать больше
-
----
-
-### 3. Ежедневный план 📅
-
-Для каждого дня путешествия представь подробный и вдохновляющий гид, разбитый на утро, день и вечер:
-
-**Утро ☕:** Опиши, как лучше начать день. Предложи атмосферное место для завтрака или утренней прогулки (например, кафе с ароматным свежим кофе и видом на оживающие улицы, парк для пробежки или набережную для спокойной прогулки), чтобы задать тон всему дню.
-
-**День 🌇:** Расскажи, чем заняться днем. Предложи интересные активности, знаковые достопримечательности или уникальные маршруты, которые соответствуют интересам клиента (${interestsBlock}). 
-Объясни, что делает каждое место особенным и почему оно стоит посещения (например, скрытая галерея искусства для ценителей или винодельня за городом для гурманов).
-
-**Вечер 🌃:** Опиши идеальный конец дня. Порекомендуй рестораны, бары или мероприятия для расслабленного вечера или яркого завершения дня (например, ужин в ресторане с видом на закат, коктейли на крыше небоскреба, вечерний спектакль или прогулка по иллюминированным улицам). 
-Подчеркни атмосферу каждого варианта – романтику огней ночного города, уют живой музыки или азарт ночной жизни.
-
-Каждое рекомендованное место снабди коротким описанием, объясняющим, почему его нельзя пропустить, делая акцент на эксклюзивности и неповторимых эмоциях от посещения. 
-После описания каждого места добавляй кнопку-ссылку: 👉 Узнать больше о месте
-
----
-
-### 4. Местная кухня 🍽️
-
-Расскажи о 2–3 фирменных блюдах или деликатесах местной кухни, которые обязательно стоит попробовать в ${cityName}. 
-К каждому блюду порекомендуй заведение, где его готовят наилучшим образом. 
-Опиши атмосферу этих заведений (например, «семейная таверна с многолетней историей», «богемный ресторан, где собираются местные художники», «оживленный уличный рынок с лучшим стритфудом»). 
-Передай через описание вкусы и ароматы, чтобы у читателя текли слюнки. 
-${additionalComment ? `Учти дополнительные пожелания клиента: ${additionalComment}` : ""}
-Если у клиента есть особые предпочтения или ограничения в еде, постарайся учесть их при выборе мест и блюд (например, опции для вегетарианцев или безглютеновые блюда). 
-Для каждого упомянутого заведения добавь название и кнопку со ссылкой: 👉 Подробнее о кафе/ресторане
-
----
-
-### 5. Советы путешественнику 🧳
-
-Объясни, как удобнее всего перемещаться по городу: расскажи о транспорте (метро, трамваи, автобусы, такси) и об особенностях дорожного движения, если актуально. 
-Подскажи, в каких случаях выгоднее пройтись пешком, а где лучше взять такси или арендовать авто для комфорта.
-
-Поделись инсайдерскими советами от местных жителей. Например: где варят лучший кофе с утра; в каких кварталах отдыхают сами горожане; в какие дни музеи бесплатны; какой рынок работает только по выходным и т.д. 
-Эти мелочи добавят маршруту аутентичности.
-
-Мягко предупреди о возможных нюансах или опасностях, не пугая, а информируя. Например, посоветуй следить за вещами в туристических местах (упомянув это невзначай) или уважать местные обычаи в одежде и поведении. 
-Сформулируй это тактично и позитивно, чтобы не испортить общее впечатление.
-
-Учти состав путешественников: путешествует ${peopleCount} ${peopleCount === "1" ? "человек" : "человек"}. 
-Если едут семьей с детьми или, скажем, пожилые туристы, дай дополнительные советы, как сделать поездку комфортной именно для них (например, где есть детские комнаты, пандусы, удобные лавочки для отдыха и пр.).
-
----
-
-### 6. Примерный бюджет 💸
+  // Лимит расходов на LLM превышен: задача откладывается до сброса лимита (queue) или завершается ошибкой (cache_only)
+  usageService.enforceLimits({ jobId: job.id });
 
-Разбей ориентировочный бюджет путешествия по ключевым категориям: проживание, питание, развлечения и транспорт. 
-Укажи, сколько примерно будет уходить в день на каждую категорию. 
-Затем подсчитай примерные расходы за всю поездку исходя из продолжительности (${startDate} — ${endDate}) и запланированных активностей. 
-Приведи эту информацию наглядно, можно в виде списка или краткой сводки по каждому пункту.
-
-${budgetLevel !== "не указан" ? `Учти указанный уровень бюджета: ${budgetLevel}.` : "Если бюджет изначально не указан, предложи разумную оценку среднего бюджета для такого путешествия (например, на основе цен уровня выбранных отелей и ресторанов)."}
-
-Заверши этот раздел практичным советом по оптимизации расходов, показывая заботу о выгоде клиента. 
-Например: «Приобретите туристический City Pass — он позволит сэкономить на входных билетах», или «Бронируйте билеты в музеи онлайн заранее, чтобы получить скидку и избежать очередей». 
-Это усилит ощущение, что маршрут не только вдохновляет, но и помогает разумно тратить деньги.
-
----
-
-### 7. Заключение 💬
+  // Каждый ответ модели учитывается в расходах сразу, лимит проверяется перед каждым запросом (src/services/usageService.js)
+  const requestOptions = {
+    onAttempt: recordAttempt,
+    locale,
+    ...usageService.createRequestHooks({ jobId: job.id, city, form: job.payload.form }),
+  };
 
-Заверши маршрут вдохновляющим призывом к действию. Обратись напрямую к читателю, подчеркнув, что все приключения ждут его, стоит лишь сделать первый шаг. 
-Сделай финальный аккорд эмоциональным и обнадеживающим: пообещай незабываемые впечатления и персональный подход. 
-Например, пригласи отправиться в путь словами о том, что этот маршрут создан специально для него и ждет, когда мечта станет реальностью. 
-Цель заключения — чтобы у клиента осталось ощущение сказки на пороге осуществления и непреодолимое желание сказать «Да!» этому путешествию.
+  setState(JOB_STATES.GENERATING);
 
----
+  // Структурированный маршрут (ITINERARY_FORMAT=json): текст письма собирается из JSON
+  if (config.itinerary.format === "json") {
+    let result = null;
+    try {
+      console.log(`🧩 Генерация структурированного маршрута для ${city} (${email})...`);
+      const prompt = buildPrompt({ template: promptTemplate, city, dates, budget, interests, travelers, comment, locale });
+      result = await reviewRoute(
+        job,
+        await openaiService.generateStructuredRoute(prompt, requestOptions),
+        // Структура из JSON не дописывается текстом - только оценка
+        { ...requestOptions, prompt, dates, regenerate: false }
+      );
+    } catch (err) {
+      console.warn(`⚠️ Структурированный маршрут не получен (${err.message}), генерируем обычный текст`);
+    }
 
-### 8. Детализация по кнопкам 🔗
+    // Ошибка отправки письма не запускает генерацию заново - задача завершается ошибкой
+    if (result) {
+      cacheRoute(cacheParams, result, template);
+      update({
+        result: {
+          plan: result.content,
+          structured: result.itinerary,
+          prompt: template,
+          finishReason: result.finishReason,
+          usage: result.usage || null,
+          quality: result.quality || null,
+          model: result.model,
+        },
+      });
 
-В конце маршрута перечисли отдельным списком все упомянутые места, заведения, отели и активности, предоставив по каждому ссылку с краткой справочной информацией. 
-Это будет своего рода раздел с деталями по кнопкам «Узнать больше».
+      await deliverTildaRoute(job, { city, email, template, locale }, result.content, { setState, update, recordAttempt });
+      return;
+    }
+  } else if (plannerService.shouldUse(dates)) {
+    // Длинная поездка: план по дням, затем общие разделы и блоки дней параллельно
+    let result = null;
+    try {
+      console.log(`🗂️ Генерация маршрута по частям для ${city} (${email}), дней: ${dates.days}...`);
+      const prompt = buildPrompt({ template: promptTemplate, city, dates, budget, interests, travelers, comment, locale });
+      const planned = await plannerService.generateRoute(prompt, { ...requestOptions, dates });
+      console.log(`✅ Маршрут по частям сгенерирован для ${city}: блоков ${planned.planner.blocks}, ${planned.content.length} символов`);
+      result = await reviewRoute(job, planned, { ...requestOptions, prompt, dates });
+    } catch (err) {
+      console.warn(`⚠️ Маршрут по частям не получен (${err.message}), генерируем одним запросом`);
+    }
 
-Для каждого места укажи его название и дай активную ссылку. 
-Рядом добавь 1–2 предложения превью: например, описание достопримечательности, интересный факт, адрес или расписание работы — то, что поможет пользователю сразу получить представление о месте. 
-Убедись, что все места из маршрута покрыты в этом списке: от основных достопримечательностей до маленьких кафешек. 
-Пользователь должен иметь возможность одним кликом узнать подробности про каждую рекомендацию.
+    if (result) {
+      cacheRoute(cacheParams, result, template);
+      update({
+        result: {
+          plan: result.content,
+          planner: result.planner,
+          prompt: template,
+          finishReason: result.finishReason,
+          usage: result.usage || null,
+          quality: result.quality || null,
+          continuations: result.continuations,
+          model: result.model,
+        },
+      });
 
-**Формат примера для элемента списка:**
-Название места — краткое описание места, почему оно интересно или уникально. Адрес: ... 👉 Подробнее
+      await deliverTildaRoute(job, { city, email, template, locale }, result.content, { setState, update, recordAttempt });
+      return;
+    }
+  }
 
----
+  // Повторы, fallback по провайдерам и продолжение обрезанного ответа - в src/services/openaiService.js
+  console.log(`🧠 Генерация маршрута для ${city} (${email})...`);
+  const prompt = buildPrompt({ template: promptTemplate, city, dates, budget, interests, travelers, comment, locale });
 
-### 💎 Тон:
+  let result;
+  try {
+    result = await openaiService.generateRoute(prompt, requestOptions);
+  } catch (err) {
+    console.error(`❌ ИТОГО: Не удалось сгенерировать маршрут для ${city} (${email}):`, err.message);
+    // Все провайдеры недоступны (circuit breaker открыт) или исчерпан лимит расходов -
+    // задача откладывается или завершается с исходной ошибкой
+    if (err.deferUntil || err.code === "SPEND_CAP_EXCEEDED") throw err;
+    throw new Error(`Не удалось сгенерировать маршрут: ${err.message}`);
+  }
 
-Стиль письма — дружелюбный, уверенный и экспертный одновременно. 
-Читая текст, клиент должен чувствовать заботу, профессионализм и энтузиазм автора маршрута. 
-Придерживайся манеры современного travel-бренда: сочетай информативность с вдохновением. 
-Это должен быть увлекательный рассказ, а не сухой список фактов. 
-В качестве ориентиров можешь представить стиль изданий вроде Atlas Obscura, Condé Nast Traveler или блога Discover Cars.
+  result = await reviewRoute(job, result, { ...requestOptions, prompt, dates });
+  const { content: plan, finishReason, usage, continuations, quality = null } = result;
+  console.log(`⏱️ ${result.provider} (${result.model}) ответил за ${result.duration}ms`);
+  console.log("✅ Маршрут сгенерирован для:", city);
+  console.log(`📊 Статистика: ${finishReason === "stop" ? "✅ Завершен полностью" : finishReason === "length" ? "⚠️ ОБРЕЗАН по лимиту токенов!" : finishReason}`);
+  console.log(`📈 Токены: использовано ${usage.total_tokens || "N/A"} (промпт: ${usage.prompt_tokens || "N/A"}, ответ: ${usage.completion_tokens || "N/A"}), стоимость: $${usage.cost ?? "N/A"}`);
+  console.log(`📝 Длина ответа: ${plan.length} символов${continuations ? ` (продолжений: ${continuations})` : ""}`);
+  console.log("📄 Первые 300 символов:", plan.slice(0, 300) + "...");
+  console.log("📄 Последние 200 символов:", "..." + plan.slice(-200));
+
+  // Проверка на обрыв ответа
+  if (finishReason === "length") {
+    console.warn("⚠️ ВНИМАНИЕ: Ответ был обрезан из-за лимита токенов!");
+    console.warn("💡 Решение: увеличить OPENAI_MAX_CONTINUATIONS или упростить промпт");
+  }
 
-Вкрапливай элементы storytelling: опиши мелкие детали, которые делают места живыми (звук бьющих часов на городской ратуше, запах свежевыпеченного багета на утренней улочке, игру света на мраморных стенах собора на закате). 
-Такие штрихи придают объём и эмоцию.
+  cacheRoute(cacheParams, result, template);
 
-Каждое место подавай как маленькое открытие с лёгкой ноткой эксклюзивности, будто раскрываешь секретные жемчужины направления специально для клиента. 
-Избегай клише, пиши образно, но искренне.
+  // Маршрут сохраняется до отправки письма - после перезапуска генерация не повторяется
+  update({
+    result: { plan, finishReason, usage, continuations, quality, model: result.model, provider: result.provider, prompt: template },
+  });
 
-Самое главное — заставь читателя всем сердцем почувствовать: «Да, я хочу туда прямо сейчас.»`;
+  // Отправка email через Resend API
+  await deliverTildaRoute(job, { city, email, template, locale }, plan, { setState, update, recordAttempt });
 };
 
-// === Подсчет дней поездки ===
-const calculateDays = (startDate, endDate) => {
-  try {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays + 1; // +1 чтобы включить оба дня
-  } catch (e) {
-    return 1;
-  }
-};
+jobQueue.registerHandler(TILDA_ROUTE_JOB, processTildaRouteJob);
 
 // === Главный маршрут ===
 app.post("/api/route", async (req, res) => {
   // ⚡ Сразу устанавливаем флаг, что ответ отправлен
   let responseSent = false;
   
-  const sendResponse = (success, message, plan = null) => {
+  const receivedAt = new Date().toISOString();
+
+  // До разбора формы - язык браузера, затем язык заявки
+  let locale = resolveLocale({ acceptLanguage: req.get("accept-language") });
+
+  const sendResponse = (success, message, extra = {}) => {
     if (responseSent) return;
     responseSent = true;
-    const response = { success, message };
-    if (plan) {
-      response.plan = plan;
-    }
-    res.status(200).json(response);
+    res.status(200).json({ success, message, ...extra });
   };
 
   try {
@@ -412,349 +355,249 @@ app.post("/api/route", async (req, res) => {
     console.log("📊 Распарсенные данные:", data);
     console.log("📋 Все ключи в данных:", Object.keys(data));
 
-    // Быстрое извлечение полей
-    const city = extractField(data, ["city", "City", "Город", "destination", "город", "CITY"]);
-    const email = extractField(data, ["email", "Email", "E-mail", "e-mail", "EMAIL"]);
-    const startDate = extractField(data, ["startDate", "start-date", "start_date", "StartDate", "дата_начала"]);
-    const endDate = extractField(data, ["endDate", "end-date", "end_date", "EndDate", "дата_окончания"]);
-    const budget = extractField(data, ["budget", "Budget", "бюджет", "BUDGET"]);
-    const rawInterests = extractField(data, [
-      "interests",
-      "Интересы",
-      "interests_list",
-      "INTERESTS",
-      "интересы",
-      "travel_interests",
-      "interest",
-      "Interest",
-      "INTEREST",
-      "выбор_интересов",
-      "выбор интересов"
-    ]);
-    const customInterest = extractField(data, [
-      "customInterest",
-      "custom_interest",
-      "interests_custom",
-      "interest_custom",
-      "Свой вариант",
-      "Другой интерес",
-      "other_interest"
-    ]);
-    const peopleRaw = extractField(data, [
-      "people",
-      "Persons",
-      "Количество",
-      "количество",
-      "person",
-      "PEOPLE",
-      "travelers",
-      "guests",
-      "guests_count",
-      "guestsCount",
-      "количество_человек",
-      "количество человек",
-      "number_of_people",
-      "numberOfPeople",
-      "num_people",
-      "numPeople"
-    ]);
-    const commentRaw = extractField(data, [
-      "comment",
-      "comments",
-      "Комментарий",
-      "комментарий",
-      "notes",
-      "additional_info"
-    ]);
-
-    // Детальное логирование сырых данных для отладки
-    console.log("🔍 Сырые данные полей:", {
-      rawInterests: rawInterests,
-      rawInterestsType: typeof rawInterests,
-      customInterest: customInterest,
-      peopleRaw: peopleRaw,
-      peopleRawType: typeof peopleRaw,
-      commentRaw: commentRaw
-    });
+    // Сопоставление полей по профилю формы (formid/pageid, см. src/config/formMappings.js)
+    const meta = extractFormMeta(req.body);
+    const { profile, promptPreset, locale: profileLocale, data: formData, mapping, missing } = mapFormData(data, meta);
+    const { email, startDate, endDate, people } = formData;
+
+    // Текст клиента попадает в промпт: проверка на инструкции модели, ссылки, мат и длину
+    const { fields, screening } = screeningService.screen(
+      { city: formData.city, interests: formData.interests, budget: formData.budget, comment: formData.notes },
+      { source: meta.formid || profile }
+    );
+    const { city, interests, budget, comment } = fields;
+    if (screening?.reasons.length > 0) {
+      console.warn(`🛡️ Проверка текста заявки${screening.flagged ? " (на ручную проверку)" : ""}:`, screening.reasons);
+    }
 
-    const interestsList = buildInterests(rawInterests, customInterest);
-    const people = normalizeText(peopleRaw) || "1";
-    const comment = normalizeText(commentRaw);
+    // Язык заявки: поле формы, профиль формы, адрес страницы Tilda, Accept-Language
+    locale = resolveLocale({
+      field: formData.locale,
+      profileLocale,
+      pageUrl: meta.pageurl,
+      acceptLanguage: req.get("accept-language"),
+    });
 
     console.log("🔍 Извлеченные поля:", {
+      profile,
       city,
       email,
       startDate,
       endDate,
       budget,
-      interests: interestsList,
-      interestsCount: interestsList.length,
+      interests,
       people,
-      comment
+      comment,
+      locale,
+      sourceKeys: Object.fromEntries(Object.entries(mapping).map(([field, { keys }]) => [field, keys]))
     });
 
     // ⚡ ВСЕГДА отправляем ответ быстро для Tilda (до любых длительных операций)
     // Минимальная валидация - но всегда отвечаем успехом для Tilda
-    if (!city || !email) {
-      console.warn("⚠️ Некорректные данные из формы:", { city, email, allData: data });
-      sendResponse(true, "Заявка принята! Менеджер свяжется с вами для уточнения.");
+    if (missing.length > 0) {
+      console.warn("⚠️ Некорректные данные из формы:", { profile, missing, allData: data });
+      sendResponse(true, t(locale, "intake.needsReview"));
       return;
     }
 
-    // ⚡ Мгновенный ответ Тильде (чтобы не словить timeout)
-    sendResponse(true, "Маршрут генерируется. Проверьте почту в течение 5 минут!");
-
-    // === Асинхронная генерация маршрута (не блокирует ответ) ===
-    (async () => {
-      const MAX_RETRIES = 2;
-      let retryCount = 0;
-      let success = false;
-
-      while (retryCount <= MAX_RETRIES && !success) {
-        try {
-          if (retryCount > 0) {
-            console.log(`🔄 Повторная попытка ${retryCount}/${MAX_RETRIES} для ${city} (${email})...`);
-            // Небольшая задержка перед повтором
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          } else {
-            console.log(`🧠 Генерация маршрута для ${city} (${email})...`);
-          }
-
-          const prompt = buildPrompt(city, startDate, endDate, budget, interestsList, people, comment);
-
-          // Увеличиваем таймаут до 90 секунд (OpenAI иногда работает медленнее)
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 90000); // 90 секунд
-
-          const startTime = Date.now();
-          const aiResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            },
-          body: JSON.stringify({
-            model: "gpt-4o-mini",
-            messages: [{ role: "user", content: prompt }],
-            temperature: 0.7,
-            max_tokens: 4000, // Увеличено для полных маршрутов
-          }),
-            signal: controller.signal,
-          });
-
-          clearTimeout(timeoutId);
-          const duration = Date.now() - startTime;
-          console.log(`⏱️ OpenAI ответил за ${duration}ms (попытка ${retryCount + 1})`);
-
-          if (!aiResponse.ok) {
-            const err = await aiResponse.text();
-            console.error(`❌ Ошибка OpenAI (попытка ${retryCount + 1}):`, err);
-            retryCount++;
-            continue;
-          }
-
-          const result = await aiResponse.json();
-          const choice = result.choices?.[0];
-          const plan = choice?.message?.content || "Маршрут не удалось создать.";
-          const finishReason = choice?.finish_reason || "unknown";
-          const usage = result.usage || {};
-
-          console.log("✅ Маршрут сгенерирован для:", city);
-          console.log(`📊 Статистика: ${finishReason === "stop" ? "✅ Завершен полностью" : finishReason === "length" ? "⚠️ ОБРЕЗАН по лимиту токенов!" : finishReason}`);
-          console.log(`📈 Токены: использовано ${usage.total_tokens || "N/A"} из ${usage.total_tokens || "N/A"} (промпт: ${usage.prompt_tokens || "N/A"}, ответ: ${usage.completion_tokens || "N/A"})`);
-          console.log(`📝 Длина ответа: ${plan.length} символов`);
-          console.log("📄 Первые 300 символов:", plan.slice(0, 300) + "...");
-          console.log("📄 Последние 200 символов:", "..." + plan.slice(-200));
-          
-          // Проверка на обрыв ответа
-          if (finishReason === "length") {
-            console.warn("⚠️ ВНИМАНИЕ: Ответ был обрезан из-за лимита токенов!");
-            console.warn("💡 Решение: увеличить max_tokens или упростить промпт");
-          }
-
-          console.log("✅ МАРШРУТ УСПЕШНО СГЕНЕРИРОВАН");
-
-          // Отправка email через Resend API
-          try {
-            const emailHtml = buildEmailTemplate(city, plan);
-            await sendEmailViaResend(
-              email,
-              `Ваш персональный маршрут в ${city} 🌍`,
-              emailHtml
-            );
-          } catch (resendError) {
-            console.error("💥 Ошибка отправки email через Resend (не критично):", resendError.message);
-            // Не прерываем выполнение - ошибка уже залогирована
-          }
-          
-          success = true;
-        } catch (asyncErr) {
-          // Ошибки в асинхронной части не влияют на ответ Tilda
-          if (asyncErr.name === 'AbortError') {
-            const timeoutSeconds = 90;
-            console.error(`⏱️ Таймаут при запросе к OpenAI (${timeoutSeconds} сек, попытка ${retryCount + 1}/${MAX_RETRIES + 1})`);
-            console.error(`⚠️ ВНИМАНИЕ: Маршрут НЕ будет отправлен пользователю ${email} - запрос прерван по таймауту`);
-            
-            retryCount++;
-            if (retryCount > MAX_RETRIES) {
-              console.error(`💥 Все попытки исчерпаны. Маршрут для ${city} (${email}) НЕ сгенерирован.`);
-            }
-          } else {
-            console.error(`💥 Ошибка в асинхронной обработке (попытка ${retryCount + 1}):`, asyncErr.message || asyncErr);
-            retryCount++;
-            if (retryCount > MAX_RETRIES) {
-              console.error(`💥 Все попытки исчерпаны. Маршрут для ${city} (${email}) НЕ сгенерирован.`);
-            }
-          }
-        }
-      }
+    // Нормализация дат: DD.MM.YYYY, "с 5 по 12 июня", "через месяц, на неделю"
+    const dates = normalizeTripDates(startDate, endDate);
+    console.log("📅 Даты поездки:", { startDate, endDate, normalized: dates });
+    if (dates.errorCode === "tooLong") {
+      // Слишком длинную поездку не генерируем (planner - запрос на каждые несколько дней), менеджер уточнит даты
+      console.warn("⚠️ Поездка длиннее TRIP_MAX_DAYS, заявка не поставлена в очередь:", { startDate, endDate });
+      sendResponse(true, t(locale, "intake.needsReviewDetails"));
+      return;
+    }
+    if (!dates.isValid) {
+      console.warn("⚠️ Не удалось распознать даты:", dates.error);
+    }
 
-      if (!success) {
-        console.error(`❌ ИТОГО: Не удалось сгенерировать маршрут для ${city} (${email}) после ${MAX_RETRIES + 1} попыток`);
-        // TODO: Можно добавить уведомление админу или запись в базу для последующей обработки
-      }
-    })();
+    // Разбор бюджета: "€1500 на двоих", "до 2k$ на человека", "премиум"
+    // Состав группы: "2 взрослых + ребёнок 5 лет" или отдельные поля adults/children/...
+    const travelers = parseTravelers(people, formData);
+    console.log("👥 Путешественники:", travelers);
+    if (!travelers.recognized) {
+      console.warn("⚠️ Не удалось распознать состав путешественников:", people);
+    }
+    // Как travelers.total.min(1) в /api/v1/trips: "0" - ошибка заявки, менеджер уточнит состав
+    if (travelers.total < 1) {
+      console.warn("⚠️ В заявке нет путешественников, заявка не поставлена в очередь:", { people, travelers });
+      sendResponse(true, t(locale, "intake.needsReviewDetails"));
+      return;
+    }
+
+    const tripBudget = parseBudget(budget, { people: travelers.total, days: dates.days });
+    console.log("💰 Бюджет:", { budget, parsed: tripBudget });
+
+    const jobPayload = {
+      city,
+      email,
+      dates,
+      budget: tripBudget,
+      interests,
+      travelers,
+      comment,
+      locale,
+      // Форма заявки - для учета расходов на LLM по формам
+      form: meta.formid || profile,
+      screening,
+      // Шаблон промпта: пресет формы (по умолчанию luxury), версия по A/B эксперименту
+      prompt: promptService.select({
+        preset: formData.preset || promptPreset,
+        fallbackPreset: PROMPT_PRESETS.LUXURY,
+        seed: email,
+      }),
+    };
+
+    // Повтор той же заявки (ретрай webhook Tilda или двойной клик) - тот же ответ без новой генерации
+    const { key: idempotencyKey, source: idempotencySource } = idempotencyService.getKey(req.body?.tranid, formData);
+    const duplicate = idempotencyService.findDuplicate(idempotencyKey, idempotencySource);
+    if (duplicate) {
+      console.log(`♻️ Повторная заявка (${idempotencySource}), задача ${duplicate.jobId} уже в работе`);
+      sendResponse(true, t(locale, "intake.accepted"), { jobId: duplicate.jobId });
+      return;
+    }
+
+    // Задача записывается на диск до ответа Тильде и переживает перезапуск процесса
+    // token дает доступ к статусу заявки: GET /api/v1/trips/:id
+    const { token, tokenHash } = createJobToken();
+    const job = jobQueue.enqueue(TILDA_ROUTE_JOB, jobPayload, {
+      idempotencyKey,
+      tokenHash,
+      history: [
+        { state: JOB_STATES.RECEIVED, at: receivedAt },
+        { state: JOB_STATES.VALIDATED, at: new Date().toISOString() }
+      ]
+    });
+    idempotencyService.remember(idempotencyKey, { jobId: job.id });
+    incrementCounter("intake_accepted_total", { source: idempotencySource });
+    console.log(`📥 Задача ${job.id} поставлена в очередь для ${city} (${email})`);
+
+    // ⚡ Мгновенный ответ Тильде (чтобы не словить timeout)
+    // Заявка на ручной проверке - маршрут придет после решения менеджера
+    sendResponse(true, t(locale, screening?.flagged ? "intake.needsReview" : "intake.accepted"), { jobId: job.id, token });
 
   } catch (err) {
     console.error("💥 Ошибка обработки запроса:", err);
     // Даже при ошибке отвечаем успехом для Tilda
     if (!responseSent) {
-      sendResponse(true, "Заявка принята! Мы обработаем её в ближайшее время.");
+      sendResponse(true, t(locale, "intake.received"));
     }
   }
 });
 
-// === Функция построения HTML-шаблона письма ===
-const buildEmailTemplate = (city, plan) => {
-  // Преобразуем текст маршрута в HTML с правильным форматированием
-  let formattedPlan = plan
-    // Сначала обрабатываем заголовки (должно быть до замены \n на <br>)
-    .replace(/### (.*?)(\n|$)/g, '<h3 style="margin-top: 28px; margin-bottom: 16px; color: #2c3e50; font-size: 20px; font-weight: 600; padding-top: 8px; border-top: 2px solid #f0f0f0;">$1</h3>')
-    .replace(/## (.*?)(\n|$)/g, '<h2 style="margin-top: 32px; margin-bottom: 16px; color: #1a1a1a; font-size: 24px; font-weight: 700; padding-bottom: 8px; border-bottom: 2px solid #e0e0e0;">$1</h2>')
-    // Эмодзи и форматирование списков
-    .replace(/– /g, '<span style="color: #667eea; margin-right: 8px;">•</span> ')
-    .replace(/^(\d+\.\s)/gm, '<span style="color: #667eea; font-weight: 600; margin-right: 8px;">$1</span>')
-    // Жирный текст (обрабатываем первым, чтобы не конфликтовал с курсивом)
-    .replace(/\*\*(.*?)\*\*/g, '<strong style="color: #1a1a1a; font-weight: 600;">$1</strong>')
-    // Курсив (обрабатываем после жирного, чтобы избежать конфликтов)
-    .replace(/([^*]|^)\*([^*]+?)\*([^*]|$)/g, '$1<em style="color: #555555; font-style: italic;">$2</em>$3')
-    // Параграфы с отступами
-    .split('\n')
-    .map(line => {
-      const trimmed = line.trim();
-      // Пропускаем пустые строки (будут обработаны отдельно)
-      if (!trimmed) return '<p style="margin: 8px 0;"></p>';
-      // Если это уже заголовок, возвращаем как есть
-      if (trimmed.startsWith('<h2') || trimmed.startsWith('<h3')) return trimmed;
-      // Обычный текст с отступом
-      return `<p style="margin: 12px 0; line-height: 1.8; color: #333333;">${trimmed}</p>`;
-    })
-    .join('');
-
-  return `
-<!DOCTYPE html>
-<html lang="ru">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Ваш маршрут в ${city}</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5; line-height: 1.6;">
-  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 40px 20px;">
-    <tr>
-      <td align="center">
-        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1); max-width: 600px; margin: 0 auto;">
-          <!-- Header -->
-          <tr>
-            <td style="padding: 40px 40px 20px 40px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 12px 12px 0 0;">
-              <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">
-                🌍 Ваш маршрут в ${city}
-              </h1>
-            </td>
-          </tr>
-          
-          <!-- Content -->
-          <tr>
-            <td style="padding: 40px;">
-              <div style="color: #333333; font-size: 16px; line-height: 1.8;">
-                ${formattedPlan}
-              </div>
-            </td>
-          </tr>
-          
-          <!-- Footer -->
-          <tr>
-            <td style="padding: 30px 40px 40px 40px; text-align: center; border-top: 1px solid #e0e0e0; background-color: #fafafa; border-radius: 0 0 12px 12px;">
-              <p style="margin: 0 0 12px 0; color: #666666; font-size: 16px; font-style: italic;">
-                С любовью, команда Airravel ✈️
-              </p>
-              <p style="margin: 0; color: #999999; font-size: 14px;">
-                <a href="https://airravel.com" style="color: #667eea; text-decoration: none; font-weight: 500;">airravel.com</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `.trim();
+// === Функция отправки email через Resend API ===
+// textContent - текстовая версия письма для клиентов без HTML, pdf - вложение { filename, content }
+// Circuit breaker Resend API (src/utils/resilience.js): сбой - 5xx и сетевые ошибки, 429 и 4xx - API доступен
+const resendBreaker = getCircuitBreaker("resend");
+const isResendFailure = (error) => !error.statusCode || error.statusCode >= 500;
+
+// Один запрос к Resend API; ошибка ответа содержит statusCode и паузу из Retry-After (retryAfter, мс)
+const postResendEmail = async (body) => {
+  const response = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Resend ${response.status}: ${errorText}`);
+    error.statusCode = response.status;
+    error.retryAfter = parseRetryAfter(response.headers, { rateLimited: response.status === 429 });
+    throw error;
+  }
+
+  return response.json();
 };
 
-// === Функция отправки email через Resend API ===
-const sendEmailViaResend = async (email, subject, htmlContent) => {
+// Возвращает результат доставки: { status: "sent", id, at }; неудачная отправка бросает ошибку
+// 429, 5xx и сетевые ошибки повторяются (EMAIL_MAX_RETRIES, пауза как у SMTP и не короче Retry-After);
+// при открытом breaker или слишком долгом Retry-After ошибка содержит deferUntil - задача откладывается
+const sendEmailViaResend = async (email, subject, htmlContent, headers = {}, textContent = null, pdf = null, { onAttempt } = {}) => {
   if (!process.env.RESEND_API_KEY) {
-    console.warn("⚠️ RESEND_API_KEY не настроен, пропускаем отправку email через Resend");
-    return;
+    console.error("❌ RESEND_API_KEY не настроен, email через Resend не отправлен");
+    throw new Error("RESEND_API_KEY is not configured");
   }
 
-  try {
-    const response = await fetch("https://api.resend.com/emails", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
-      },
-      body: JSON.stringify({
-        from: "AI Trip Planner <info@airravel.com>",
-        to: [email],
-        subject: subject,
-        html: htmlContent,
-      }),
-    });
+  const body = {
+    from: "AI Trip Planner <info@airravel.com>",
+    to: [email],
+    subject: subject,
+    html: htmlContent,
+    ...(textContent ? { text: textContent } : {}),
+    ...(pdf ? { attachments: [{ filename: pdf.filename, content: pdf.content.toString("base64") }] } : {}),
+    headers,
+  };
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("❌ Ошибка отправки email через Resend:", {
-        status: response.status,
-        error: errorText,
-      });
-      return;
-    }
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await resendBreaker.execute(() => postResendEmail(body), { isFailure: isResendFailure });
+      console.log("✅ Email отправлен через Resend:", { email, id: result.id });
+      return { status: "sent", id: result.id, at: new Date().toISOString() };
+    } catch (err) {
+      console.error("❌ Ошибка отправки email через Resend:", { attempt, status: err.statusCode, error: err.message });
+      onAttempt?.({ service: "email", provider: "resend", attempt, code: err.statusCode, error: err.message });
 
-    const result = await response.json();
-    console.log("✅ Email отправлен через Resend:", { email, id: result.id });
-  } catch (err) {
-    console.error("💥 Ошибка при отправке email через Resend:", err.message);
-    // Не пробрасываем ошибку дальше - просто логируем
+      if (err.circuitOpen) throw err;
+
+      const retryable = isResendFailure(err) || err.statusCode === 429;
+      if (!retryable || attempt > config.email.maxRetries) throw err;
+
+      if (err.retryAfter > config.resilience.maxRetryAfter) {
+        err.deferUntil = new Date(Date.now() + err.retryAfter).toISOString();
+        throw err;
+      }
+
+      const delay = getRetryDelay(attempt, { baseDelay: config.email.retryDelay, retryAfter: err.retryAfter });
+      console.log(`🔁 Повтор отправки через Resend ${attempt}/${config.email.maxRetries} через ${delay}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
   }
 };
 
+// === JSON API для приложений и партнеров (реальные статусы ответов) ===
+app.use(tripsRoutes);
+
+// === Админка: dead-letter заявки ===
+app.use(adminRoutes);
+
 // === Тестовые маршруты ===
 app.get("/", (req, res) =>
   res.json({ status: "OK", endpoint: "/api/route", time: new Date().toISOString() })
 );
 app.get("/health", (req, res) =>
-  res.json({ status: "healthy", uptime: process.uptime(), time: new Date().toISOString() })
+  res.json({
+    status: "healthy",
+    uptime: process.uptime(),
+    queue: jobQueue.getStats(),
+    deadLetters: deadLetterService.getStats(),
+    // Расходы на LLM за сутки и месяц, лимиты и режим деградации
+    usage: usageService.getStats(),
+    // Circuit breakers LLM провайдеров и SMTP: closed / open / half_open
+    circuitBreakers: getCircuitBreakers(),
+    metrics: getMetrics(),
+    time: new Date().toISOString()
+  })
 );
 
+// === Обработка ошибок (API, админские и служебные маршруты) ===
+app.use(errorHandler);
+
 // === Запуск ===
 app.listen(PORT, "0.0.0.0", () => {
+  // Возобновление задач, не завершенных до перезапуска
+  jobQueue.start();
+
   console.log(`
 🚀 AI Trip Planner READY
 📍 PORT: ${PORT}
-🔑 OpenAI: ${process.env.OPENAI_API_KEY ? "✅ Loaded" : "❌ Missing"}
+🤖 LLM: ${openaiService.getTargets().map(({ provider, model }) => `${provider.name}:${model}`).join(" → ") || "❌ Нет провайдеров"}
+💵 Лимиты LLM: ${config.usage.dailyCap ? `$${config.usage.dailyCap}/сутки` : "без дневного"}, ${config.usage.monthlyCap ? `$${config.usage.monthlyCap}/месяц` : "без месячного"} (${config.usage.capAction})
 🕒 Started: ${new Date().toISOString()}
 `);
 });
@@ -0,0 +1,123 @@
+import { readFileSync } from "fs";
+
+/**
+ * Декларативное сопоставление полей форм Tilda с полями заявки
+ *
+ * Для каждого поля:
+ * - aliases    - возможные имена поля в форме (регистр, пробелы и дефисы не важны)
+ * - collect    - собрать значения всех найденных полей, а не только первого
+ * - transforms - преобразования по порядку: trim, lowercase, split, unique, join
+ * - exclude    - значения-заглушки, которые отбрасываются (без учета регистра)
+ * - required   - поле обязательно для запуска генерации
+ * - default    - значение, если поле не найдено
+ *
+ * Профили форм выбираются по formid или pageid из запроса Tilda.
+ * promptPreset профиля - стиль промпта для заявок этой формы (luxury, practical, family),
+ * locale профиля - язык маршрута, письма и ответов формы (ru, en, de).
+ * Алиасы профиля проверяются раньше алиасов профиля по умолчанию,
+ * остальные настройки поля переопределяют настройки по умолчанию.
+ */
+export const defaultProfile = {
+  name: "default",
+  fields: {
+    city: {
+      aliases: ["city", "Город", "destination", "destination_city", "destinationCity", "town"],
+      required: true,
+    },
+    email: {
+      aliases: ["email", "E-mail", "email_address", "emailAddress"],
+      transforms: ["trim", "lowercase"],
+      required: true,
+    },
+    startDate: {
+      aliases: ["startDate", "start_date", "дата_начала", "start", "arrival"],
+    },
+    endDate: {
+      aliases: ["endDate", "end_date", "дата_окончания", "end", "departure"],
+    },
+    budget: {
+      aliases: ["budget", "бюджет", "total_budget", "totalBudget"],
+    },
+    interests: {
+      // Основные интересы + поле "Свой вариант"
+      aliases: [
+        "interests", "Интересы", "interests_list", "travel_interests", "interest",
+        "выбор_интересов", "preferences", "interests_text",
+        "customInterest", "custom_interest", "interests_custom", "interest_custom",
+        "Свой вариант", "Другой интерес", "other_interest",
+      ],
+      collect: true,
+      transforms: ["split", "unique", "join"],
+      exclude: ["свой вариант", "свой вариант *"],
+    },
+    people: {
+      aliases: [
+        "people", "persons", "person", "Количество", "количество_человек",
+        "travelers", "guests", "guests_count", "guestsCount",
+        "number_of_people", "numberOfPeople", "num_people", "numPeople",
+      ],
+      default: "1",
+    },
+    // Состав группы отдельными полями (важнее текста в people)
+    adults: {
+      aliases: ["adults", "взрослые", "взрослых", "adults_count", "number_of_adults"],
+    },
+    children: {
+      aliases: ["children", "kids", "дети", "детей", "children_count", "number_of_children"],
+    },
+    childrenAges: {
+      aliases: ["childrenAges", "children_ages", "kids_ages", "возраст_детей", "Возраст детей"],
+    },
+    infants: {
+      aliases: ["infants", "babies", "младенцы", "младенцев"],
+    },
+    seniors: {
+      aliases: ["seniors", "пенсионеры", "пожилые"],
+    },
+    name: {
+      aliases: ["name", "имя", "full_name", "fullName"],
+    },
+    phone: {
+      aliases: ["phone", "телефон", "phone_number", "phoneNumber"],
+    },
+    // Стиль промпта (см. services/promptService.js), важнее promptPreset профиля
+    preset: {
+      aliases: ["preset", "promptPreset", "prompt_preset"],
+      transforms: ["trim", "lowercase"],
+    },
+    notes: {
+      aliases: ["notes", "comment", "comments", "Комментарий", "message", "additional_info"],
+    },
+    // Язык заявки (см. utils/i18n.js), важнее locale профиля и адреса страницы
+    locale: {
+      aliases: ["locale", "language", "lang", "Язык"],
+      transforms: ["trim", "lowercase"],
+    },
+  },
+};
+
+/**
+ * Профили отдельных форм
+ * Пример: { name: "landing-en", match: { formid: "form123456" }, promptPreset: "family", locale: "en", fields: { city: { aliases: ["Where to"] } } }
+ */
+export const formProfiles = [];
+
+/**
+ * Дополнительные профили из JSON файла (FORM_MAPPINGS_FILE): { "profiles": [...] }
+ */
+const loadProfilesFile = () => {
+  const filePath = process.env.FORM_MAPPINGS_FILE;
+  if (!filePath) return [];
+
+  try {
+    const { profiles = [] } = JSON.parse(readFileSync(filePath, "utf-8"));
+    return profiles;
+  } catch (error) {
+    console.warn(`⚠️ Failed to load FORM_MAPPINGS_FILE (${filePath}):`, error.message);
+    return [];
+  }
+};
+
+formProfiles.push(...loadProfilesFile());
+
+export default { defaultProfile, formProfiles };
@@ -2,6 +2,111 @@ import dotenv from "dotenv";
 
 dotenv.config();
 
+// JSON из переменной окружения с fallback на значение по умолчанию
+const parseJsonEnv = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn("⚠️ Invalid JSON in environment variable, using defaults:", value);
+    return fallback;
+  }
+};
+
+// Настройки LLM провайдеров по именам для LLM_PROVIDERS (см. src/providers)
+const LLM_PROVIDER_SETTINGS = {
+  openai: () => ({
+    type: "openai",
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey: process.env.OPENAI_API_KEY,
+    models: [process.env.OPENAI_MODEL || "gpt-4o-mini", process.env.OPENAI_FALLBACK_MODEL || "gpt-3.5-turbo"],
+    // Fallback модель может не поддерживать json_schema - для нее только json_object
+    jsonSchema: [process.env.OPENAI_MODEL || "gpt-4o-mini"],
+  }),
+  azure: () => ({
+    type: "azure",
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-06-01",
+    models: (process.env.AZURE_OPENAI_DEPLOYMENTS || "").split(",").map((name) => name.trim()),
+  }),
+  anthropic: () => ({
+    type: "anthropic",
+    baseUrl: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    models: (process.env.ANTHROPIC_MODELS || "claude-3-5-haiku-latest").split(",").map((name) => name.trim()),
+  }),
+  // Любой OpenAI-совместимый API: Ollama (http://localhost:11434/v1), vLLM, LM Studio
+  compatible: () => ({
+    type: "compatible",
+    baseUrl: process.env.LLM_COMPATIBLE_BASE_URL,
+    apiKey: process.env.LLM_COMPATIBLE_API_KEY || null,
+    models: (process.env.LLM_COMPATIBLE_MODELS || "").split(",").map((name) => name.trim()),
+  }),
+  // Заготовленные маршруты без сети и ключа, с имитацией задержек и сбоев (src/providers/mockProvider.js)
+  mock: () => ({
+    type: "mock",
+    models: (process.env.MOCK_LLM_MODELS || "mock-itinerary").split(",").map((name) => name.trim()),
+    latency: parseInt(process.env.MOCK_LLM_LATENCY || "300"),
+    // "timeout" в сценарии обрывается не позже этого срока, даже если таймаут сервиса больше
+    timeout: parseInt(process.env.MOCK_LLM_TIMEOUT || "10000"),
+    // Сценарий по очереди запросов: "429,timeout,length" - первые три запроса со сбоями
+    failures: (process.env.MOCK_LLM_FAILURES || "").split(",").map((step) => step.trim()).filter(Boolean),
+    failingModels: (process.env.MOCK_LLM_FAILING_MODELS || "").split(",").map((name) => name.trim()).filter(Boolean),
+  }),
+};
+
+// Цены моделей в USD за 1M токенов запроса (input) и ответа (output)
+const DEFAULT_LLM_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  mock: { input: 0, output: 0 },
+};
+
+// Домены, ссылкам на которые из ответа модели можно доверять (см. utils/linkSanitizer.js);
+// после "/" - допустимый префикс пути. Поддомены разрешены: "wikipedia.org" покрывает "ru.wikipedia.org"
+const DEFAULT_LINK_ALLOWED_DOMAINS = [
+  "google.com/maps",
+  "maps.google.com",
+  "yandex.ru/maps",
+  "yandex.com/maps",
+  "openstreetmap.org",
+  "wikipedia.org",
+  "booking.com",
+  "tripadvisor.com",
+  "tripadvisor.ru",
+  "guide.michelin.com",
+];
+
+// Что делать при превышении лимита расходов на LLM (см. services/usageService.js)
+const SPEND_CAP_ACTIONS = ["cache_only", "queue", "notify"];
+
+/**
+ * Провайдеры по порядку fallback: LLM_PROVIDERS_CONFIG (JSON массив настроек)
+ * или имена из LLM_PROVIDERS ("openai,anthropic") с настройками из переменных окружения
+ */
+const parseLlmProviders = () => {
+  const custom = parseJsonEnv(process.env.LLM_PROVIDERS_CONFIG, null);
+  if (Array.isArray(custom)) {
+    return custom.map((settings, index) => ({ name: settings.type || `provider${index + 1}`, ...settings }));
+  }
+
+  return (process.env.LLM_PROVIDERS || "openai")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => {
+      if (LLM_PROVIDER_SETTINGS[name]) return true;
+      console.warn("⚠️ Unknown LLM provider in LLM_PROVIDERS, skipped:", name);
+      return false;
+    })
+    .map((name) => ({ name, ...LLM_PROVIDER_SETTINGS[name]() }));
+};
+
 export const config = {
   server: {
     port: process.env.PORT || 3000,
@@ -18,6 +123,102 @@ export const config = {
     timeout: parseInt(process.env.OPENAI_TIMEOUT || "90000"),
     maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES || "2"),
     retryDelay: parseInt(process.env.OPENAI_RETRY_DELAY || "2000"),
+    // Потоковая генерация (stream: true) - маршрут виден в SSE по мере генерации
+    stream: process.env.OPENAI_STREAM !== "false",
+    // Сколько раз дописывать ответ, обрезанный по max_tokens (finish_reason: "length")
+    maxContinuations: parseInt(process.env.OPENAI_MAX_CONTINUATIONS || "3"),
+    // Провайдеры и модели по порядку: первая модель первого провайдера - основная, остальные - fallback
+    providers: parseLlmProviders(),
+  },
+
+  prompts: {
+    // Папка с шаблонами: <preset>/v<N>.txt (по умолчанию src/templates/prompts)
+    dir: process.env.PROMPTS_DIR || null,
+    // Пресет для всех заявок без пресета формы (иначе - пресет точки входа)
+    defaultPreset: process.env.PROMPT_PRESET || null,
+    // A/B версий: { "luxury": { "v1": 80, "v2": 20 } } - проценты заявок на версию
+    experiments: parseJsonEnv(process.env.PROMPT_EXPERIMENTS, {}),
+  },
+
+  dates: {
+    // Самая длинная поездка в днях; длиннее - ошибка дат (менеджер свяжется с клиентом), 0 - без ограничения
+    maxDays: parseInt(process.env.TRIP_MAX_DAYS || "30"),
+  },
+
+  planner: {
+    // Поездки от этого числа дней генерируются по частям (см. services/plannerService.js), 0 - выключено
+    minDays: parseInt(process.env.PLANNER_MIN_DAYS || "7"),
+    // Дней в одном запросе ежедневного плана
+    daysPerBlock: Math.max(1, parseInt(process.env.PLANNER_DAYS_PER_BLOCK || "2")),
+    // Параллельных запросов к модели
+    concurrency: Math.max(1, parseInt(process.env.PLANNER_CONCURRENCY || "3")),
+  },
+
+  usage: {
+    // Цены моделей: { "gpt-4o-mini": { "input": 0.15, "output": 0.6 } } поверх цен по умолчанию.
+    // Модель ищется по самому длинному префиксу: "gpt-4o-mini-2024-07-18" -> "gpt-4o-mini"
+    prices: { ...DEFAULT_LLM_PRICES, ...parseJsonEnv(process.env.LLM_PRICES, {}) },
+    // Лимиты расходов на LLM в USD за сутки и календарный месяц (UTC), 0 - без лимита
+    dailyCap: parseFloat(process.env.LLM_DAILY_CAP || "0"),
+    monthlyCap: parseFloat(process.env.LLM_MONTHLY_CAP || "0"),
+    // cache_only - только маршруты из кэша, queue - отложить генерацию до сброса лимита,
+    // notify - генерировать дальше; менеджер получает письмо о превышении в любом режиме
+    capAction: SPEND_CAP_ACTIONS.includes(process.env.LLM_CAP_ACTION) ? process.env.LLM_CAP_ACTION : "queue",
+    // Адрес для уведомлений о превышении лимита (по умолчанию EMAIL_FROM)
+    notifyEmail: process.env.LLM_CAP_NOTIFY_EMAIL || process.env.EMAIL_FROM,
+    // Сколько дней хранить статистику расходов
+    retentionDays: parseInt(process.env.LLM_USAGE_RETENTION_DAYS || "400"),
+  },
+
+  i18n: {
+    // Язык заявок без поля языка, языка профиля формы, адреса страницы и Accept-Language: ru, en, de
+    defaultLocale: (process.env.DEFAULT_LOCALE || "ru").toLowerCase(),
+  },
+
+  itinerary: {
+    // markdown - свободный текст модели, json - структура по схеме (см. utils/itinerary.js)
+    format: process.env.ITINERARY_FORMAT === "json" ? "json" : "markdown",
+    // Сколько раз просить модель исправить ответ, не прошедший проверку схемы
+    repairAttempts: parseInt(process.env.ITINERARY_REPAIR_ATTEMPTS || "1"),
+  },
+
+  links: {
+    // Ссылки в маршруте: домены из allowedDomains сохраняются, остальные заменяются поиском места на карте
+    sanitize: process.env.LINK_SANITIZE !== "false",
+    allowedDomains: process.env.LINK_ALLOWED_DOMAINS
+      ? process.env.LINK_ALLOWED_DOMAINS.split(",").map((domain) => domain.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_LINK_ALLOWED_DOMAINS,
+    // Ссылка поиска места: {query} - название места и город
+    searchUrl: process.env.LINK_SEARCH_URL || "https://www.google.com/maps/search/?api=1&query={query}",
+  },
+
+  screening: {
+    // Проверка текстовых полей заявки перед промптом: инструкции модели, длина, ссылки, мат (см. utils/inputScreening.js)
+    enabled: process.env.SCREENING !== "false",
+    // Максимальная длина полей (символов), длиннее - обрезается
+    maxLength: {
+      city: 100,
+      interests: 500,
+      budget: 200,
+      comment: 1000,
+      ...parseJsonEnv(process.env.SCREENING_MAX_LENGTH, {}),
+    },
+    // Причины, по которым заявка уходит на ручную проверку (quarantine) вместо генерации:
+    // instructions, profanity, url, length, moderation
+    quarantine: (process.env.SCREENING_QUARANTINE || "instructions,profanity,moderation")
+      .split(",")
+      .map((reason) => reason.trim())
+      .filter(Boolean),
+    // Проверка текста moderation API провайдера (OpenAI, mock) перед генерацией
+    moderation: process.env.SCREENING_MODERATION === "true",
+    moderationTimeout: parseInt(process.env.SCREENING_MODERATION_TIMEOUT || "10000"),
+  },
+
+  quality: {
+    // Проверка готового маршрута: разделы шаблона, число дней, направление, обрыв текста, отказ модели
+    enabled: process.env.QUALITY_CHECKS !== "false",
+    // Сколько раз догенерировать недостающие части маршрута (0 - только оценка)
+    maxRegenerations: parseInt(process.env.QUALITY_MAX_REGENERATIONS || "1"),
   },
 
   email: {
@@ -51,12 +252,77 @@ export const config = {
     retryDelay: parseInt(process.env.EMAIL_RETRY_DELAY || "5000"),
   },
 
+  pdf: {
+    // PDF версия маршрута во вложении письма (скачать можно всегда: GET /api/v1/trips/:id/pdf)
+    attach: process.env.PDF_ATTACHMENT === "true",
+    // TrueType шрифты с кириллицей; встроенные шрифты PDF ее не поддерживают
+    font: process.env.PDF_FONT || "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+    fontBold: process.env.PDF_FONT_BOLD || "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+  },
+
+  resilience: {
+    // Пауза перед повтором: OPENAI_RETRY_DELAY / EMAIL_RETRY_DELAY * 2^(попытка-1) со случайным разбросом, не больше maxDelay
+    maxDelay: parseInt(process.env.RETRY_MAX_DELAY || "30000"),
+    // Retry-After (или x-ratelimit-reset-*) длиннее этого - не ждем, запрос уходит следующей модели цепочки
+    maxRetryAfter: parseInt(process.env.RETRY_MAX_RETRY_AFTER || "60000"),
+    // Circuit breaker на каждого LLM провайдера, SMTP и Resend: после failureThreshold сбоев подряд
+    // запросы не отправляются resetTimeout мс, затем один пробный запрос (half-open)
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || "5"),
+    resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT || "30000"),
+  },
+
   cache: {
     enabled: process.env.CACHE_ENABLED !== "false",
     ttl: parseInt(process.env.CACHE_TTL || "3600"), // 1 hour in seconds
     checkPeriod: parseInt(process.env.CACHE_CHECK_PERIOD || "600"), // 10 minutes
   },
 
+  budget: {
+    baseCurrency: process.env.BUDGET_BASE_CURRENCY || "RUB",
+    defaultCurrency: process.env.BUDGET_DEFAULT_CURRENCY || "RUB",
+    // Сколько базовой валюты за 1 единицу валюты (локальная таблица, без внешних API)
+    rates: parseJsonEnv(process.env.BUDGET_RATES, {
+      RUB: 1,
+      USD: 95,
+      EUR: 100,
+      GBP: 120,
+      CNY: 13,
+      TRY: 2.8,
+      AED: 26,
+      KZT: 0.2,
+    }),
+    // Нижние границы уровней: расходы на человека в день в базовой валюте
+    tiers: {
+      mid: parseInt(process.env.BUDGET_TIER_MID || "6000"),
+      premium: parseInt(process.env.BUDGET_TIER_PREMIUM || "15000"),
+      luxury: parseInt(process.env.BUDGET_TIER_LUXURY || "40000"),
+    },
+  },
+
+  storage: {
+    dir: process.env.DATA_DIR, // по умолчанию ./data
+  },
+
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || "2"),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || "3"),
+    retention: parseInt(process.env.QUEUE_RETENTION || "604800"), // 7 days in seconds
+  },
+
+  idempotency: {
+    tranidTtl: parseInt(process.env.IDEMPOTENCY_TRANID_TTL || "86400"), // 24 hours in seconds
+    fingerprintWindow: parseInt(process.env.IDEMPOTENCY_WINDOW || "600"), // 10 minutes
+  },
+
+  api: {
+    // Максимальное ожидание результата в режиме wait=true (секунды)
+    waitTimeout: parseInt(process.env.API_WAIT_TIMEOUT || "120"),
+  },
+
+  admin: {
+    token: process.env.ADMIN_TOKEN,
+  },
+
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || "900000"), // 15 minutes
     max: parseInt(process.env.RATE_LIMIT_MAX || "100"), // 100 requests per window
@@ -72,8 +338,14 @@ export const config = {
 const validateConfig = () => {
   const errors = [];
   
-  if (!config.openai.apiKey) {
-    errors.push("OPENAI_API_KEY is required");
+  if (config.server.env === "production" && config.openai.providers.some((provider) => provider.type === "mock")) {
+    errors.push("mock LLM provider must not be used in production");
+  }
+
+  if (config.openai.providers.length === 0) {
+    errors.push("LLM_PROVIDERS has no known providers");
+  } else if (config.openai.providers[0].type === "openai" && !config.openai.apiKey) {
+    errors.push("OPENAI_API_KEY is required (LLM_PROVIDERS=mock for offline development)");
   }
   
   if (!config.email.from && !config.email.smtp.auth?.user) {
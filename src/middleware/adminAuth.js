@@ -0,0 +1,37 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+
+/**
+ * Проверка админского токена (сравнение за постоянное время)
+ */
+export const isAdminToken = (token) => {
+  if (!config.admin.token || !token || typeof token !== "string") return false;
+
+  const expected = Buffer.from(config.admin.token);
+  const provided = Buffer.from(token);
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+/**
+ * Middleware авторизации админских эндпоинтов
+ * Токен передается в заголовке Authorization: Bearer <ADMIN_TOKEN> или X-Admin-Token
+ */
+export const adminAuth = (req, res, next) => {
+  if (!config.admin.token) {
+    const error = new Error("Admin API disabled: ADMIN_TOKEN is not configured");
+    error.statusCode = 503;
+    return next(error);
+  }
+
+  const header = req.get("authorization") || "";
+  const token = header.replace(/^Bearer\s+/i, "") || req.get("x-admin-token") || "";
+
+  if (!isAdminToken(token)) {
+    const error = new Error("Unauthorized");
+    error.statusCode = 401;
+    return next(error);
+  }
+
+  next();
+};
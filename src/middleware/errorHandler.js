@@ -1,4 +1,4 @@
-import logger from "../utils/logger.js";
+import logger, { redactUrl } from "../utils/logger.js";
 import { config } from "../config/index.js";
 
 /**
@@ -9,7 +9,7 @@ export const errorHandler = (err, req, res, next) => {
     error: err.message,
     stack: err.stack,
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     ip: req.ip,
   });
 
@@ -22,6 +22,11 @@ export const errorHandler = (err, req, res, next) => {
     error: err.message || "Internal server error",
   };
 
+  // Ошибки валидации по полям
+  if (err.errors) {
+    response.errors = err.errors;
+  }
+
   // В development режиме добавляем stack trace
   if (config.server.env === "development") {
     response.stack = err.stack;
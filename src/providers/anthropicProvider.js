@@ -0,0 +1,134 @@
+import fetch from "node-fetch";
+import { readEventStream, createProviderError } from "./http.js";
+
+// stop_reason Anthropic -> finish_reason в формате OpenAI
+const FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+};
+
+// response_format у Messages API нет - JSON запрашивается системной инструкцией
+const JSON_INSTRUCTION = "Respond with a single valid JSON object only, without Markdown fences or any text around it.";
+
+const toUsage = ({ input_tokens = 0, output_tokens = 0 } = {}) => ({
+  prompt_tokens: input_tokens,
+  completion_tokens: output_tokens,
+  total_tokens: input_tokens + output_tokens,
+});
+
+/**
+ * Адаптер Anthropic Messages API
+ * Сообщения в формате OpenAI переводятся в system + messages, ответ - обратно в формат OpenAI.
+ */
+export class AnthropicProvider {
+  constructor({ name = "anthropic", baseUrl = "https://api.anthropic.com", apiKey, apiVersion = "2023-06-01", models = [] } = {}) {
+    this.name = name;
+    this.type = "anthropic";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.apiVersion = apiVersion;
+    this.models = models;
+  }
+
+  buildBody({ model, messages, temperature, maxTokens, stream, responseFormat }) {
+    const system = messages.filter((message) => message.role === "system").map((message) => message.content);
+    if (responseFormat) {
+      system.push(JSON_INSTRUCTION);
+    }
+
+    // Подряд идущие сообщения одной роли объединяются - API требует чередования ролей
+    const chat = [];
+    for (const { role, content } of messages.filter((message) => message.role !== "system")) {
+      const last = chat[chat.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${content}`;
+      } else {
+        chat.push({ role, content });
+      }
+    }
+
+    return {
+      model,
+      messages: chat,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system.length > 0 ? { system: system.join("\n\n") } : {}),
+      ...(stream ? { stream: true } : {}),
+    };
+  }
+
+  /**
+   * Запрос к модели, интерфейс как у OpenAIProvider.complete
+   */
+  async complete(request) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": this.apiKey,
+        "anthropic-version": this.apiVersion,
+      },
+      body: JSON.stringify(this.buildBody(request)),
+      signal: request.signal,
+    });
+
+    if (!response.ok) {
+      throw await createProviderError(this.name, response);
+    }
+
+    if (request.stream) {
+      return this.readStream(response, request);
+    }
+
+    const result = await response.json();
+    return {
+      content: (result.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      finishReason: FINISH_REASONS[result.stop_reason] || result.stop_reason || "unknown",
+      usage: toUsage(result.usage),
+      model: result.model || request.model,
+    };
+  }
+
+  /**
+   * Поток Messages API: message_start (входные токены), content_block_delta (текст),
+   * message_delta (stop_reason и выходные токены)
+   */
+  async readStream(response, { model, onToken }) {
+    const result = { content: "", finishReason: null, usage: {}, model };
+    let rawUsage = {};
+
+    await readEventStream(response, ({ data }) => {
+      if (!data) return;
+
+      const event = JSON.parse(data);
+      if (event.type === "message_start") {
+        result.model = event.message?.model || result.model;
+        rawUsage = { ...rawUsage, ...event.message?.usage };
+      } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+        result.content += event.delta.text;
+        if (onToken) {
+          onToken(event.delta.text);
+        }
+      } else if (event.type === "message_delta") {
+        result.finishReason = FINISH_REASONS[event.delta?.stop_reason] || event.delta?.stop_reason || result.finishReason;
+        rawUsage = { ...rawUsage, ...event.usage };
+      } else if (event.type === "error") {
+        const error = new Error(`${this.name} stream error: ${event.error?.message || "unknown"}`);
+        // overloaded_error - временная перегрузка, как 529
+        error.status = event.error?.type === "overloaded_error" ? 529 : 500;
+        error.provider = this.name;
+        throw error;
+      }
+    });
+
+    result.usage = toUsage(rawUsage);
+    return result;
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,36 @@
+import { OpenAIProvider } from "./openaiProvider.js";
+
+/**
+ * Адаптер Azure OpenAI: тот же формат Chat Completions, но модель - это deployment
+ * в адресе запроса, ключ передается заголовком api-key, версия API - параметром api-version.
+ * models - имена deployments; deployments - { "gpt-4o-mini": "my-deployment" }, если имена отличаются.
+ */
+export class AzureOpenAIProvider extends OpenAIProvider {
+  constructor({ name = "azure", endpoint, apiKey, apiVersion = "2024-06-01", models = [], deployments = {}, jsonSchema = true } = {}) {
+    // Moderation API у Azure OpenAI нет - фильтрация контента встроена в сами deployments
+    super({ name, baseUrl: endpoint || "", apiKey, models, jsonSchema, moderation: false });
+    this.type = "azure";
+    this.apiVersion = apiVersion;
+    this.deployments = deployments;
+  }
+
+  getUrl(model) {
+    const deployment = encodeURIComponent(this.deployments[model] || model);
+    return `${this.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "api-key": this.apiKey,
+    };
+  }
+
+  buildBody(request) {
+    // Модель задается адресом deployment
+    const { model, ...body } = super.buildBody(request);
+    return body;
+  }
+}
+
+export default AzureOpenAIProvider;
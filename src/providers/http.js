@@ -0,0 +1,79 @@
+import { parseRetryAfter } from "../utils/resilience.js";
+
+/**
+ * Общие части HTTP адаптеров провайдеров
+ */
+
+/**
+ * Ошибка ответа провайдера: status - HTTP статус,
+ * retryAfter - пауза из Retry-After или x-ratelimit-reset-* (мс, см. utils/resilience.js) или null
+ */
+export const createProviderError = async (provider, response) => {
+  const errorText = await response.text();
+  let errorData;
+  try {
+    errorData = JSON.parse(errorText);
+  } catch (e) {
+    errorData = { message: errorText };
+  }
+
+  // OpenAI: { error: { message } }, Anthropic: { error: { type, message } }
+  const message = errorData.error?.message || errorData.message || errorText;
+
+  const error = new Error(`${provider} API error: ${response.status} - ${message}`);
+  error.status = response.status;
+  error.provider = provider;
+  error.details = errorData;
+  error.retryAfter = parseRetryAfter(response.headers, { rateLimited: response.status === 429 });
+  return error;
+};
+
+/**
+ * Разбор потока Server-Sent Events: onEvent({ event, data }) для каждого события
+ * Байты декодируются потоково: символ UTF-8 на границе двух фрагментов не ломается
+ */
+export const readEventStream = async (response, onEvent) => {
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let event = null;
+  let data = [];
+
+  const dispatch = () => {
+    if (data.length > 0) {
+      onEvent({ event, data: data.join("\n").trim() });
+    }
+    event = null;
+    data = [];
+  };
+
+  const readLine = (rawLine) => {
+    const line = rawLine.replace(/\r$/, "");
+    if (line === "") {
+      dispatch();
+    } else if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      data.push(line.slice(5).trim());
+    }
+  };
+
+  const readLines = (text) => {
+    buffer += text;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(readLine);
+  };
+
+  for await (const chunk of response.body) {
+    readLines(typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true }));
+  }
+
+  // Остаток декодера и последняя строка без перевода строки
+  readLines(decoder.decode());
+  if (buffer) {
+    readLine(buffer);
+  }
+  dispatch();
+};
+
+export default { createProviderError, readEventStream };
@@ -0,0 +1,72 @@
+import logger from "../utils/logger.js";
+import { OpenAIProvider } from "./openaiProvider.js";
+import { AzureOpenAIProvider } from "./azureOpenAIProvider.js";
+import { AnthropicProvider } from "./anthropicProvider.js";
+import { MockProvider } from "./mockProvider.js";
+
+/**
+ * Адаптеры LLM провайдеров
+ *
+ * Каждый адаптер реализует complete(request) -> { content, finishReason, usage, model }
+ * в формате OpenAI (finishReason "stop" / "length", usage.prompt_tokens / completion_tokens)
+ * и бросает Error со status для ошибок API. Повторы и fallback - в services/openaiService.js.
+ */
+export const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  // OpenAI-совместимый API (Ollama, vLLM): тот же адаптер с другим baseUrl
+  compatible: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  // Заготовленные ответы без сети и ключа - для локальной разработки
+  mock: MockProvider,
+};
+
+// Без этих настроек провайдер не может отправить запрос
+const REQUIRED_SETTINGS = {
+  openai: ["apiKey"],
+  compatible: ["baseUrl"],
+  azure: ["endpoint", "apiKey"],
+  anthropic: ["apiKey"],
+  mock: [],
+};
+
+/**
+ * Адаптер по настройкам из config.openai.providers
+ */
+export const createProvider = (settings) => {
+  const Provider = PROVIDER_TYPES[settings.type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type: ${settings.type}`);
+  }
+
+  return new Provider({
+    ...settings,
+    // OpenAI-совместимые серверы чаще всего не поддерживают json_schema
+    jsonSchema: settings.jsonSchema ?? settings.type !== "compatible",
+  });
+};
+
+/**
+ * Адаптеры в порядке fallback; провайдеры без ключа, адреса или моделей пропускаются
+ */
+export const createProviders = (list = []) =>
+  list
+    .filter((settings) => {
+      if (!PROVIDER_TYPES[settings.type]) {
+        logger.warn("Unknown LLM provider type, skipped", { provider: settings.name, type: settings.type });
+        return false;
+      }
+
+      const missing = REQUIRED_SETTINGS[settings.type].filter((key) => !settings[key]);
+      if (!settings.models?.some(Boolean)) {
+        missing.push("models");
+      }
+      if (missing.length > 0) {
+        logger.warn("LLM provider skipped", { provider: settings.name, type: settings.type, missing });
+        return false;
+      }
+      return true;
+    })
+    .map((settings) => createProvider({ ...settings, models: settings.models.filter(Boolean) }));
+
+export default { PROVIDER_TYPES, createProvider, createProviders };
@@ -0,0 +1,515 @@
+import crypto from "crypto";
+import { renderItineraryMarkdown } from "../utils/itinerary.js";
+import { isContinuePrompt } from "../utils/continuation.js";
+import { getRequestedSections } from "../utils/qualityCheck.js";
+import { t, DEFAULT_LOCALE } from "../utils/i18n.js";
+
+// Заготовки маршрута на языках заявки: выбор и порядок зависят только от города и числа дней
+const FIXTURES = {
+  ru: {
+    city: "Город",
+    sights: [
+      "Исторический центр", "Кафедральный собор", "Городской музей истории", "Ботанический сад",
+      "Смотровая площадка", "Старый рынок", "Набережная", "Музей современного искусства",
+      "Крепость на холме", "Квартал ремесленников", "Главная площадь", "Парк у реки",
+      "Художественная галерея", "Старый порт", "Университетский квартал", "Музей дизайна",
+    ],
+    restaurants: [
+      "Бистро «Рынок»", "Траттория «У моста»", "Кафе «Утро»", "Ресторан «Старый город»",
+      "Гастробар «Соль»", "Пекарня «Хлеб и кофе»", "Винный бар «Погреб»", "Таверна «Набережная»",
+    ],
+    areas: ["Старый город", "Набережная", "Университетский квартал", "Холм", "Порт", "Новый центр"],
+    dishes: [
+      "Местный суп дня", "Свежая выпечка с начинкой", "Рыба на гриле", "Тушеное мясо по-домашнему",
+      "Сырная тарелка", "Сезонный десерт", "Уличная еда с рынка", "Домашняя паста",
+    ],
+    hotels: [
+      { name: "Отель «Старая площадь»", area: "Старый город", price: 120 },
+      { name: "Апартаменты «Набережная»", area: "Набережная", price: 90 },
+      { name: "Бутик-отель «Галерея»", area: "Новый центр", price: 160 },
+    ],
+    tips: [
+      "Купите проездной на несколько дней - он окупается уже на второй день.",
+      "Крупные музеи бронируйте онлайн заранее, особенно на выходные.",
+      "Рестораны в центре заполняются к 20:00 - бронируйте столик днем.",
+      "Возьмите удобную обувь: исторический центр лучше всего смотреть пешком.",
+      "В понедельник многие музеи закрыты - планируйте на этот день парки и прогулки.",
+    ],
+    slots: [
+      { time: "09:00", activity: "Прогулка и осмотр", transport: "Пешком" },
+      { time: "12:30", activity: "Обед", transport: null, meal: true },
+      { time: "15:00", activity: "Экскурсия", transport: "Метро или автобус, 15 минут" },
+      { time: "19:30", activity: "Ужин", transport: "Такси, около 10 минут", meal: true },
+    ],
+    dayTitle: (area, sight) => `${area}: ${sight} и окрестности`,
+    summary: (city, days, sights, area) =>
+      `${city} - город, который удобно исследовать пешком: за ${days} дн. вы увидите ${sights} и попробуете местную кухню в лучших заведениях района ${area}.`,
+    hotelDescription: "Удобное расположение рядом с транспортом и основными достопримечательностями.",
+    budget: {
+      accommodation: "Проживание",
+      nights: (nights, hotel) => `${nights} ноч., ${hotel}`,
+      food: "Питание",
+      museums: "Музеи и экскурсии",
+      transport: "Транспорт",
+      pass: "Проездной",
+      notes: "Оценка на одного путешественника, без перелета.",
+    },
+    closing: (city) => `${city} стоит того, чтобы вернуться: сохраните ссылки на главные места поездки.`,
+  },
+  en: {
+    city: "City",
+    sights: [
+      "Historic center", "Cathedral", "City history museum", "Botanical garden",
+      "Viewpoint", "Old market", "Waterfront", "Museum of contemporary art",
+      "Hilltop fortress", "Craftsmen's quarter", "Main square", "Riverside park",
+      "Art gallery", "Old harbor", "University quarter", "Design museum",
+    ],
+    restaurants: [
+      "Market Bistro", "Bridge Trattoria", "Morning Cafe", "Old Town Restaurant",
+      "Salt Gastrobar", "Bread & Coffee Bakery", "Cellar Wine Bar", "Waterfront Tavern",
+    ],
+    areas: ["Old town", "Waterfront", "University quarter", "Hill", "Harbor", "New center"],
+    dishes: [
+      "Local soup of the day", "Fresh filled pastries", "Grilled fish", "Home-style stew",
+      "Cheese platter", "Seasonal dessert", "Market street food", "Homemade pasta",
+    ],
+    hotels: [
+      { name: "Old Square Hotel", area: "Old town", price: 120 },
+      { name: "Waterfront Apartments", area: "Waterfront", price: 90 },
+      { name: "Gallery Boutique Hotel", area: "New center", price: 160 },
+    ],
+    tips: [
+      "Buy a multi-day transit pass - it pays off by the second day.",
+      "Book the major museums online in advance, especially for weekends.",
+      "Restaurants in the center fill up by 8 pm - book a table during the day.",
+      "Bring comfortable shoes: the historic center is best seen on foot.",
+      "Many museums are closed on Mondays - plan parks and walks for that day.",
+    ],
+    slots: [
+      { time: "09:00", activity: "Walk and sightseeing", transport: "On foot" },
+      { time: "12:30", activity: "Lunch", transport: null, meal: true },
+      { time: "15:00", activity: "Tour", transport: "Metro or bus, 15 minutes" },
+      { time: "19:30", activity: "Dinner", transport: "Taxi, about 10 minutes", meal: true },
+    ],
+    dayTitle: (area, sight) => `${area}: ${sight} and around`,
+    summary: (city, days, sights, area) =>
+      `${city} is a city best explored on foot: in ${days} ${days === 1 ? "day" : "days"} you will see ${sights} and taste the local cuisine in the best places of the ${area} area.`,
+    hotelDescription: "Convenient location close to transport and the main sights.",
+    budget: {
+      accommodation: "Accommodation",
+      nights: (nights, hotel) => `${nights} ${nights === 1 ? "night" : "nights"}, ${hotel}`,
+      food: "Food",
+      museums: "Museums and tours",
+      transport: "Transport",
+      pass: "Transit pass",
+      notes: "Estimate per traveler, flights not included.",
+    },
+    closing: (city) => `${city} is worth coming back to: save the links to the key places of the trip.`,
+  },
+  de: {
+    city: "Stadt",
+    sights: [
+      "Historisches Zentrum", "Kathedrale", "Stadtgeschichtliches Museum", "Botanischer Garten",
+      "Aussichtspunkt", "Alter Markt", "Uferpromenade", "Museum für zeitgenössische Kunst",
+      "Festung auf dem Hügel", "Handwerkerviertel", "Hauptplatz", "Park am Fluss",
+      "Kunstgalerie", "Alter Hafen", "Universitätsviertel", "Designmuseum",
+    ],
+    restaurants: [
+      "Bistro „Markt“", "Trattoria „An der Brücke“", "Café „Morgen“", "Restaurant „Altstadt“",
+      "Gastrobar „Salz“", "Bäckerei „Brot & Kaffee“", "Weinbar „Keller“", "Taverne „Uferpromenade“",
+    ],
+    areas: ["Altstadt", "Uferpromenade", "Universitätsviertel", "Hügel", "Hafen", "Neues Zentrum"],
+    dishes: [
+      "Lokale Tagessuppe", "Frisches gefülltes Gebäck", "Gegrillter Fisch", "Hausgemachter Eintopf",
+      "Käseplatte", "Saisonales Dessert", "Streetfood vom Markt", "Hausgemachte Pasta",
+    ],
+    hotels: [
+      { name: "Hotel „Alter Platz“", area: "Altstadt", price: 120 },
+      { name: "Apartments „Uferpromenade“", area: "Uferpromenade", price: 90 },
+      { name: "Boutique-Hotel „Galerie“", area: "Neues Zentrum", price: 160 },
+    ],
+    tips: [
+      "Kaufen Sie eine Mehrtageskarte für den Nahverkehr - sie lohnt sich schon am zweiten Tag.",
+      "Große Museen rechtzeitig online buchen, besonders am Wochenende.",
+      "Restaurants im Zentrum sind ab 20 Uhr voll - reservieren Sie tagsüber.",
+      "Nehmen Sie bequeme Schuhe mit: Das historische Zentrum erkundet man am besten zu Fuß.",
+      "Montags sind viele Museen geschlossen - planen Sie für diesen Tag Parks und Spaziergänge.",
+    ],
+    slots: [
+      { time: "09:00", activity: "Spaziergang und Besichtigung", transport: "Zu Fuß" },
+      { time: "12:30", activity: "Mittagessen", transport: null, meal: true },
+      { time: "15:00", activity: "Führung", transport: "U-Bahn oder Bus, 15 Minuten" },
+      { time: "19:30", activity: "Abendessen", transport: "Taxi, etwa 10 Minuten", meal: true },
+    ],
+    dayTitle: (area, sight) => `${area}: ${sight} und Umgebung`,
+    summary: (city, days, sights, area) =>
+      `${city} erkundet man am besten zu Fuß: In ${days} ${days === 1 ? "Tag" : "Tagen"} sehen Sie ${sights} und probieren die lokale Küche in den besten Lokalen im Viertel ${area}.`,
+    hotelDescription: "Günstige Lage nahe am Nahverkehr und an den wichtigsten Sehenswürdigkeiten.",
+    budget: {
+      accommodation: "Unterkunft",
+      nights: (nights, hotel) => `${nights} ${nights === 1 ? "Nacht" : "Nächte"}, ${hotel}`,
+      food: "Verpflegung",
+      museums: "Museen und Führungen",
+      transport: "Nahverkehr",
+      pass: "Mehrtageskarte",
+      notes: "Schätzung pro Person, ohne Flug.",
+    },
+    closing: (city) => `${city} ist eine Rückkehr wert: Speichern Sie die Links zu den wichtigsten Orten der Reise.`,
+  },
+};
+
+// Раздел ежедневного плана среди частей заготовки (renderItineraryMarkdown)
+const DAILY_PLAN_SECTION = 2;
+// Место ежедневного плана в общих разделах planner mode (services/plannerService.js)
+const DAILY_PLAN_PLACEHOLDER = "{{DAILY_PLAN}}";
+
+// Локальная "модерация": категории и признаки текста, который moderation API отметил бы
+const MODERATION_PATTERNS = {
+  violence: /(?<!\p{L})(?:убить|убей|взорв|kill|murder|bomb|töten|bombe)/iu,
+  "self-harm": /(?<!\p{L})(?:суицид|покончить с собой|suicide|selbstmord)/iu,
+  illicit: /(?<!\p{L})(?:наркотик|кокаин|героин|cocaine|heroin|drogen|kokain)/iu,
+};
+
+const MAX_DAYS = 30;
+const CHUNK_SIZE = 40;
+// Таймаут без signal: запрос не висит бесконечно
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Генератор псевдослучайных чисел с зерном (mulberry32)
+ */
+const createRandom = (seed) => {
+  let state = crypto.createHash("sha1").update(seed).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let index = result.length - 1; index > 0; index--) {
+    const swap = Math.floor(random() * (index + 1));
+    [result[index], result[swap]] = [result[swap], result[index]];
+  }
+  return result;
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (ms <= 0) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const abortError = () => {
+  const error = new Error("The operation was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getFixtures = (locale) => FIXTURES[locale] || FIXTURES[DEFAULT_LOCALE] || FIXTURES.ru;
+
+/**
+ * Город и число дней из текста промпта (шаблоны src/templates/prompts)
+ */
+export const parseTripFromPrompt = (prompt) => {
+  const cityMatch = String(prompt).match(
+    /(?:поездки в|путешествия в|маршрут в|itinerary for|Reiseroute für)\s+(.+?)(?:\s+(?:для|for|für)\s|[,.:\n])/i
+  );
+  const daysMatch = String(prompt).match(/(\d+)\s+(?:дн|день|day|Tag)/i);
+
+  return {
+    city: cityMatch ? cityMatch[1].trim() : null,
+    days: Math.min(MAX_DAYS, Math.max(1, daysMatch ? parseInt(daysMatch[1]) : 3)),
+  };
+};
+
+/**
+ * Маршрут-заготовка в формате ITINERARY_JSON_SCHEMA на языке заявки: одинаковый для одного города и числа дней
+ */
+export const buildMockItinerary = ({ city, days, locale = DEFAULT_LOCALE }) => {
+  const text = getFixtures(locale);
+  city = city || text.city;
+  const random = createRandom(`${city.toLowerCase()}|${days}`);
+  const sights = shuffle(text.sights, random);
+  const restaurants = shuffle(text.restaurants, random);
+  const areas = shuffle(text.areas, random);
+  const pick = (items, index) => items[index % items.length];
+  const mapLink = (name) => `https://www.google.com/maps/search/${encodeURIComponent(`${name} ${city}`)}`;
+
+  const itineraryDays = Array.from({ length: days }, (_, index) => {
+    const area = pick(areas, index);
+    return {
+      day: index + 1,
+      date: null,
+      title: text.dayTitle(area, pick(sights, index * 2)),
+      slots: text.slots.map((slot, slotIndex) => {
+        const name = slot.meal ? pick(restaurants, index * 2 + slotIndex) : pick(sights, index * 2 + slotIndex);
+        return {
+          time: slot.time,
+          activity: slot.meal ? slot.activity : `${slot.activity}: ${name}`,
+          place: { name, address: `${area}, ${city}`, link: mapLink(name) },
+          cuisine: slot.meal ? pick(text.dishes, index + slotIndex) : null,
+          cost: slot.meal ? `${20 + Math.floor(random() * 30)} EUR` : `${Math.floor(random() * 20)} EUR`,
+          transport: slot.transport,
+          tip: slotIndex === 0 ? pick(text.tips, index) : null,
+        };
+      }),
+    };
+  });
+
+  const hotels = shuffle(text.hotels, random).slice(0, 2);
+  const nights = Math.max(1, days - 1);
+  const items = [
+    { category: text.budget.accommodation, amount: hotels[0].price * nights, note: text.budget.nights(nights, hotels[0].name) },
+    { category: text.budget.food, amount: 60 * days, note: null },
+    { category: text.budget.museums, amount: 25 * days, note: null },
+    { category: text.budget.transport, amount: 10 * days, note: text.budget.pass },
+  ];
+
+  return {
+    city,
+    summary: text.summary(city, days, sights.slice(0, 3).join(", ").toLowerCase(), areas[0]),
+    accommodation: hotels.map((hotel) => ({
+      name: hotel.name,
+      area: hotel.area,
+      pricePerNight: `${hotel.price} EUR`,
+      description: text.hotelDescription,
+      link: mapLink(hotel.name),
+    })),
+    days: itineraryDays,
+    cuisine: shuffle(text.dishes, random).slice(0, 3).map((dish, index) => ({ dish, where: pick(restaurants, index) })),
+    tips: shuffle(text.tips, random).slice(0, 3),
+    budget: {
+      currency: "EUR",
+      items,
+      total: items.reduce((sum, item) => sum + item.amount, 0),
+      notes: text.budget.notes,
+    },
+  };
+};
+
+/**
+ * Markdown с разделами, которые просит шаблон промпта (у practical - разделы заготовки)
+ * Части заготовки идут по порядку (описание, проживание, ежедневный план, кухня, советы, бюджет),
+ * дополнительные разделы шаблона (заключение, ссылки) - заключение со ссылками на места.
+ * dailyPlan - текст вместо ежедневного плана
+ */
+const renderMockMarkdown = (itinerary, prompt, locale, dailyPlan = null) => {
+  const markdown = renderItineraryMarkdown(itinerary, locale);
+  const requested = getRequestedSections(prompt).map(({ heading }) => heading);
+  const headings = requested.length > 0 ? requested : markdown.match(/^### \d+\. .*$/gm);
+  const parts = markdown.split(/^### \d+\. .*\n/m).slice(1).map((part) => part.trim());
+  if (dailyPlan !== null) {
+    parts[DAILY_PLAN_SECTION] = dailyPlan;
+  }
+
+  const places = itinerary.days.flatMap((day) => day.slots.map((slot) => slot.place)).slice(0, 3);
+  const closing = [
+    getFixtures(locale).closing(itinerary.city),
+    "",
+    ...places.map((place) => `- [${place.name}](${place.link})`),
+  ].join("\n");
+
+  return headings.map((heading, index) => `${heading}\n\n${parts[index] ?? closing}`).join("\n\n");
+};
+
+/**
+ * Дни этапа 3 planner mode из задания на языке заявки: { first, last } или null
+ */
+const parsePlannerBlock = (prompt, locale) => {
+  const [task] = t(locale, "planner.daysTask").split("{range}");
+  const start = prompt.indexOf(task);
+  if (start === -1) return null;
+
+  const range = prompt.slice(start + task.length);
+  for (const key of ["planner.rangeMany", "planner.rangeOne"]) {
+    const pattern = new RegExp(`^${escapeRegExp(t(locale, key)).replace(/\\\{\w+\\\}/g, "(\\d+)")}`);
+    const match = range.match(pattern);
+    if (match) {
+      return { first: parseInt(match[1]), last: parseInt(match[2] || match[1]) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Ответ-заготовка на запрос: JSON маршрута, план поездки или Markdown (этапы planner mode)
+ */
+const buildMockContent = (prompt, responseFormat, locale = DEFAULT_LOCALE) => {
+  const itinerary = buildMockItinerary({ ...parseTripFromPrompt(prompt), locale });
+
+  if (responseFormat?.json_schema?.name === "trip_outline") {
+    return JSON.stringify({
+      days: itinerary.days.map((day) => ({
+        day: day.day,
+        area: day.slots[0].place.address.split(",")[0],
+        theme: day.title,
+        places: day.slots.map((slot) => slot.place.name),
+      })),
+    });
+  }
+
+  if (responseFormat) {
+    return JSON.stringify(itinerary);
+  }
+
+  // Этапы генерации по частям (services/plannerService.js)
+  if (prompt.includes(DAILY_PLAN_PLACEHOLDER)) {
+    return renderMockMarkdown(itinerary, prompt, locale, DAILY_PLAN_PLACEHOLDER);
+  }
+
+  const block = parsePlannerBlock(prompt, locale);
+  if (block) {
+    const markdown = renderItineraryMarkdown(
+      { ...itinerary, days: itinerary.days.filter((day) => day.day >= block.first && day.day <= block.last) },
+      locale
+    );
+    return markdown.split(/^### \d+\. .*\n/m)[DAILY_PLAN_SECTION + 1].trim();
+  }
+
+  return renderMockMarkdown(itinerary, prompt, locale);
+};
+
+/**
+ * Mock провайдер для разработки без сети и ключа API
+ *
+ * Возвращает правдоподобный маршрут на языке заявки (locale запроса) с разделами шаблона промпта,
+ * одинаковый для одного города и числа дней (включая JSON режим и этапы planner mode), и умеет имитировать сбои:
+ * latency - задержка ответа (мс); failures - сценарий по очереди запросов:
+ * "429", "500", "timeout" (ответа нет до таймаута сервиса, но не дольше timeout мс),
+ * "length" (обрезанный ответ), "ok";
+ * failingModels - модели, которые всегда отвечают 503 (проверка fallback).
+ * Moderation API отвечает локально по списку признаков (MODERATION_PATTERNS).
+ */
+export class MockProvider {
+  constructor({
+    name = "mock",
+    models = ["mock-itinerary"],
+    latency = 0,
+    timeout = DEFAULT_TIMEOUT,
+    failures = [],
+    failingModels = [],
+  } = {}) {
+    this.name = name;
+    this.type = "mock";
+    this.models = models;
+    this.latency = latency;
+    this.timeout = timeout;
+    this.failures = [...failures];
+    this.failingModels = failingModels;
+    this.moderation = true;
+    this.requests = 0;
+  }
+
+  /**
+   * Следующий шаг сценария сбоев (после окончания сценария - обычные ответы)
+   */
+  nextFailure() {
+    const failure = this.failures[this.requests] || "ok";
+    this.requests++;
+    return String(failure).trim().toLowerCase();
+  }
+
+  createError(status, message, retryAfter = null) {
+    const error = new Error(`${this.name} API error: ${status} - ${message}`);
+    error.status = status;
+    error.provider = this.name;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * Проверка текста, интерфейс как у OpenAIProvider.moderate
+   */
+  async moderate({ input, signal }) {
+    await sleep(Math.min(this.latency, 100), signal);
+
+    const categories = Object.entries(MODERATION_PATTERNS)
+      .filter(([, pattern]) => pattern.test(String(input)))
+      .map(([category]) => category);
+    return { flagged: categories.length > 0, categories, model: "mock-moderation" };
+  }
+
+  /**
+   * Запрос к модели, интерфейс как у OpenAIProvider.complete
+   */
+  async complete({ model, messages, stream, responseFormat, signal, onToken, locale }) {
+    await sleep(this.latency, signal);
+
+    if (this.failingModels.includes(model)) {
+      throw this.createError(503, `Model ${model} is unavailable (mock)`);
+    }
+
+    const failure = this.nextFailure();
+    if (failure === "429") {
+      throw this.createError(429, "Rate limit reached (mock)", 1000);
+    }
+    if (/^5\d\d$/.test(failure)) {
+      throw this.createError(parseInt(failure), "Internal server error (mock)");
+    }
+    if (failure === "timeout") {
+      // Ответа нет - запрос прерывается таймаутом сервиса (OPENAI_TIMEOUT) или своим таймаутом
+      if (signal?.aborted) throw abortError();
+      await sleep(this.timeout, signal);
+      const error = new Error(`${this.name} request timeout after ${this.timeout}ms (mock)`);
+      error.timeout = true;
+      throw error;
+    }
+
+    const prompt = messages.find((message) => message.role === "user")?.content || "";
+    let content = buildMockContent(prompt, responseFormat, locale);
+    let finishReason = "stop";
+
+    // Продолжение обрезанного ответа: остаток текста с небольшим повтором конца
+    const last = messages[messages.length - 1];
+    const partial = messages.filter((message) => message.role === "assistant").pop()?.content;
+    if (isContinuePrompt(last?.content) && partial && content.startsWith(partial)) {
+      content = content.slice(Math.max(0, partial.length - CHUNK_SIZE));
+    }
+
+    if (failure === "length") {
+      content = content.slice(0, Math.ceil(content.length / 2));
+      finishReason = "length";
+    }
+
+    if (stream) {
+      for (let index = 0; index < content.length; index += CHUNK_SIZE) {
+        await sleep(Math.min(20, this.latency / 50), signal);
+        if (onToken) {
+          onToken(content.slice(index, index + CHUNK_SIZE));
+        }
+      }
+    }
+
+    const promptTokens = estimateTokens(messages.map((message) => message.content).join("\n"));
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      finishReason,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+      model,
+    };
+  }
+}
+
+export default MockProvider;
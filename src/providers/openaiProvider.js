@@ -0,0 +1,148 @@
+import fetch from "node-fetch";
+import { readEventStream, createProviderError } from "./http.js";
+
+/**
+ * Адаптер OpenAI Chat Completions
+ * Подходит для любого OpenAI-совместимого API (Ollama, vLLM, LM Studio): другой baseUrl,
+ * ключ необязателен. jsonSchema - поддерживают ли модели json_schema (true/false или список моделей);
+ * остальным вместо json_schema отправляется json_object.
+ * moderation - есть ли moderation API (по умолчанию только у api.openai.com).
+ */
+export class OpenAIProvider {
+  constructor({
+    name = "openai",
+    type = "openai",
+    baseUrl = "https://api.openai.com/v1",
+    apiKey = null,
+    models = [],
+    jsonSchema = true,
+    moderation = type === "openai",
+    moderationModel = "omni-moderation-latest",
+  } = {}) {
+    this.name = name;
+    this.type = type;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.models = models;
+    this.jsonSchema = jsonSchema;
+    this.moderation = moderation;
+    this.moderationModel = moderationModel;
+  }
+
+  getUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+    };
+  }
+
+  supportsJsonSchema(model) {
+    return Array.isArray(this.jsonSchema) ? this.jsonSchema.includes(model) : Boolean(this.jsonSchema);
+  }
+
+  buildBody({ model, messages, temperature, maxTokens, stream, responseFormat }) {
+    return {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      ...(responseFormat
+        ? { response_format: this.supportsJsonSchema(model) ? responseFormat : { type: "json_object" } }
+        : {}),
+    };
+  }
+
+  /**
+   * Запрос к модели
+   * request: { model, messages, temperature, maxTokens, stream, responseFormat, signal, onToken }
+   * Возвращает { content, finishReason, usage, model }; ошибка API - Error со status
+   */
+  async complete(request) {
+    const response = await fetch(this.getUrl(request.model), {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(request)),
+      signal: request.signal,
+    });
+
+    if (!response.ok) {
+      throw await createProviderError(this.name, response);
+    }
+
+    if (request.stream) {
+      return this.readStream(response, request);
+    }
+
+    const result = await response.json();
+    const choice = result.choices?.[0];
+    return {
+      content: choice?.message?.content || "",
+      finishReason: choice?.finish_reason || "unknown",
+      usage: result.usage || {},
+      model: result.model || request.model,
+    };
+  }
+
+  /**
+   * Проверка текста moderation API
+   * Возвращает { flagged, categories, model }: categories - сработавшие категории ("violence", "hate", ...)
+   */
+  async moderate({ input, signal }) {
+    const response = await fetch(`${this.baseUrl}/moderations`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({ model: this.moderationModel, input }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await createProviderError(this.name, response);
+    }
+
+    const result = await response.json();
+    const item = result.results?.[0] || {};
+    return {
+      flagged: Boolean(item.flagged),
+      categories: Object.entries(item.categories || {})
+        .filter(([, value]) => value)
+        .map(([name]) => name),
+      model: result.model || this.moderationModel,
+    };
+  }
+
+  /**
+   * Чтение потокового ответа: onToken(delta) для каждого фрагмента текста
+   */
+  async readStream(response, { model, onToken }) {
+    const result = { content: "", finishReason: null, usage: {}, model };
+
+    await readEventStream(response, ({ data }) => {
+      if (!data || data === "[DONE]") return;
+
+      const event = JSON.parse(data);
+      const choice = event.choices?.[0];
+      result.model = event.model || result.model;
+      result.usage = event.usage || result.usage;
+
+      if (choice?.delta?.content) {
+        result.content += choice.delta.content;
+        if (onToken) {
+          onToken(choice.delta.content);
+        }
+      }
+
+      if (choice?.finish_reason) {
+        result.finishReason = choice.finish_reason;
+      }
+    });
+
+    return result;
+  }
+}
+
+export default OpenAIProvider;
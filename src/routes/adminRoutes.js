@@ -0,0 +1,137 @@
+import { Router } from "express";
+import deadLetterService from "../services/deadLetterService.js";
+import usageService from "../services/usageService.js";
+import screeningService from "../services/screeningService.js";
+import { adminAuth } from "../middleware/adminAuth.js";
+import { parseTildaData, extractFormMeta } from "../utils/tildaParser.js";
+import { mapFormData } from "../utils/fieldMapper.js";
+import { defaultProfile, formProfiles } from "../config/formMappings.js";
+
+const router = Router();
+
+router.use("/admin", adminAuth);
+
+/**
+ * GET /admin/dead-letters - Список упавших заявок (?status=pending|replayed)
+ */
+router.get("/admin/dead-letters", (req, res) => {
+  const items = deadLetterService.list({ status: req.query.status });
+  res.json({ success: true, count: items.length, items });
+});
+
+/**
+ * GET /admin/dead-letters/:id - Детали: данные формы, ошибка, история попыток
+ */
+router.get("/admin/dead-letters/:id", (req, res, next) => {
+  try {
+    res.json({ success: true, item: deadLetterService.getOrThrow(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/dead-letters/:id/replay - Повторная генерация и отправка маршрута
+ * token - новый токен доступа к статусу, null - действует токен исходной задачи
+ */
+router.post("/admin/dead-letters/:id/replay", (req, res, next) => {
+  try {
+    const { entry, job, token } = deadLetterService.replay(req.params.id);
+    res.status(202).json({
+      success: true,
+      id: entry.id,
+      jobId: job.id,
+      token,
+      statusUrl: `/api/v1/trips/${job.id}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /admin/dead-letters/:id - Удаление заявки из dead-letter
+ */
+router.delete("/admin/dead-letters/:id", (req, res, next) => {
+  try {
+    const entry = deadLetterService.discard(req.params.id);
+    res.json({ success: true, id: entry.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/quarantine - Заявки на ручной проверке: причины и фрагменты текста
+ */
+router.get("/admin/quarantine", (req, res) => {
+  const items = screeningService.listQuarantined();
+  res.json({ success: true, count: items.length, items });
+});
+
+/**
+ * GET /admin/quarantine/:id - Заявка на ручной проверке целиком (id задачи)
+ */
+router.get("/admin/quarantine/:id", (req, res, next) => {
+  try {
+    res.json({ success: true, job: screeningService.getQuarantinedOrThrow(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/quarantine/:id/approve - Заявка в порядке: генерация и отправка маршрута
+ * Тело (необязательно): { "note": "..." }
+ */
+router.post("/admin/quarantine/:id/approve", (req, res, next) => {
+  try {
+    const job = screeningService.approve(req.params.id, { note: req.body?.note || null });
+    res.status(202).json({ success: true, jobId: job.id, status: job.state });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/quarantine/:id/reject - Маршрут не генерируется, задача закрывается
+ * Тело (необязательно): { "note": "..." }
+ */
+router.post("/admin/quarantine/:id/reject", (req, res, next) => {
+  try {
+    const job = screeningService.reject(req.params.id, { note: req.body?.note || null });
+    res.json({ success: true, jobId: job.id, status: job.state });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/usage - Расходы на LLM за последние ?days= дней (по умолчанию 30):
+ * итоги по дням, моделям, формам и направлениям, лимиты и режим деградации
+ */
+router.get("/admin/usage", (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  res.json({ success: true, ...usageService.getReport({ days }) });
+});
+
+/**
+ * GET /admin/mappings - Профили сопоставления полей форм
+ */
+router.get("/admin/mappings", (req, res) => {
+  res.json({ success: true, default: defaultProfile, profiles: formProfiles });
+});
+
+/**
+ * POST /admin/mappings/preview - Какие исходные ключи payload от Tilda попали в какие поля
+ * Тело запроса - payload в том же формате, что приходит на /api/route
+ */
+router.post("/admin/mappings/preview", (req, res) => {
+  const meta = extractFormMeta(req.body);
+  const parsed = parseTildaData(req.body || {});
+  const { profile, data, mapping, unmapped, missing } = mapFormData(parsed, meta);
+
+  res.json({ success: true, meta, profile, mapping, unmapped, missing, data });
+});
+
+export default router;
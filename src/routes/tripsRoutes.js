@@ -0,0 +1,358 @@
+import { Router } from "express";
+import { mapFormData } from "../utils/fieldMapper.js";
+import { validateFormData } from "../utils/validator.js";
+import { DATE_INTERPRETATIONS } from "../utils/dateParser.js";
+import tripService from "../services/tripService.js";
+import pdfService from "../services/pdfService.js";
+import { TOKEN_SCOPES } from "../services/idempotencyService.js";
+import jobQueue, { JOB_STATES } from "../services/jobQueue.js";
+import { verifyJobToken } from "../utils/jobToken.js";
+import { isAdminToken } from "../middleware/adminAuth.js";
+import promptService from "../services/promptService.js";
+import { resolveLocale, t } from "../utils/i18n.js";
+import { config } from "../config/index.js";
+
+const router = Router();
+
+/**
+ * Ошибка валидации с ошибками по полям (см. errorHandler)
+ */
+const validationError = (errors) => {
+  const error = new Error("Validation failed");
+  error.statusCode = 400;
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Признак синхронного режима: ?wait=true или "wait": true в теле
+ */
+const isWaitRequested = (req) =>
+  [req.query.wait, req.body?.wait].some((value) => value === true || value === "true" || value === "1");
+
+/**
+ * Токен из Authorization: Bearer, X-Job-Token или ?token=
+ * Повторенный или вложенный ?token (массив, объект) не принимается
+ */
+const getRequestToken = (req) =>
+  (req.get("authorization") || "").replace(/^Bearer\s+/i, "") ||
+  req.get("x-job-token") ||
+  req.get("x-admin-token") ||
+  (typeof req.query.token === "string" ? req.query.token : "");
+
+/**
+ * Ссылка на статус задачи
+ */
+const statusUrl = (jobId) => `/api/v1/trips/${jobId}`;
+
+/**
+ * Признак потокового ответа: ?stream=true или Accept: text/event-stream
+ */
+const isStreamRequested = (req) =>
+  req.query.stream === "true" || (req.get("accept") || "").includes("text/event-stream");
+
+/**
+ * Задача по id с проверкой токена задачи или ADMIN_TOKEN
+ */
+const findAuthorizedJob = (req) => {
+  const token = getRequestToken(req);
+  if (!token) {
+    const error = new Error("Job token required");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // Неверный токен и несуществующая задача неотличимы для клиента
+  const job = jobQueue.get(req.params.id);
+  if (!job || !(verifyJobToken(job, token) || isAdminToken(token))) {
+    const error = new Error("Job not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return job;
+};
+
+// События очереди, после которых поток задачи закрывается
+const FINISH_EVENTS = ["completed", "failed", "quarantined", "rejected"];
+
+/**
+ * Трансляция задачи в Server-Sent Events до ее завершения
+ * События: accepted, stage, snapshot, token, section, reset, complete, failed,
+ * quarantined - заявка ждет ручной проверки (см. services/screeningService.js), поток закрывается
+ */
+const streamJob = (req, res, jobId, accepted = null) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.status(200);
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const forJob = (handler) => (id, data) => {
+    if (id === jobId) handler(data);
+  };
+
+  const onToken = forJob((data) => send("token", data));
+  const onSection = forJob((data) => send("section", data));
+  const onReset = forJob((data) => send("reset", data));
+  const onState = (job, entry) => {
+    if (job.id === jobId) send("stage", { stage: entry.state, at: entry.at });
+  };
+  const onFinished = (job) => {
+    if (job.id !== jobId) return;
+    const { itinerary, ...metadata } = tripService.getStatus(job);
+    const event = { [JOB_STATES.DONE]: "complete", [JOB_STATES.QUARANTINED]: "quarantined" }[job.state] || "failed";
+    send(event, metadata);
+    close();
+  };
+
+  // Комментарий раз в 15 секунд не дает прокси закрыть соединение
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    tripService.off("token", onToken);
+    tripService.off("section", onSection);
+    tripService.off("reset", onReset);
+    jobQueue.off("state", onState);
+    FINISH_EVENTS.forEach((event) => jobQueue.off(event, onFinished));
+    res.end();
+  };
+
+  tripService.on("token", onToken);
+  tripService.on("section", onSection);
+  tripService.on("reset", onReset);
+  jobQueue.on("state", onState);
+  FINISH_EVENTS.forEach((event) => jobQueue.on(event, onFinished));
+  res.on("close", close);
+
+  if (accepted) {
+    send("accepted", accepted);
+  }
+
+  const job = jobQueue.get(jobId);
+  if (!job) {
+    send("failed", { id: jobId, error: "Job not found" });
+    return close();
+  }
+
+  send("stage", { stage: job.state, at: job.updatedAt });
+
+  // Подключение посреди генерации - сначала уже полученный текст
+  const live = tripService.getLiveContent(jobId);
+  const itinerary = live?.content || job.result?.route || job.result?.plan;
+  if (itinerary) {
+    send("snapshot", { content: itinerary, sections: live?.sections || [] });
+  }
+
+  if ([JOB_STATES.DONE, JOB_STATES.FAILED, JOB_STATES.QUARANTINED, JOB_STATES.REJECTED].includes(job.state)) {
+    onFinished(job);
+  }
+};
+
+/**
+ * Маршрут сгенерирован, но письмо с ним не доставлено
+ */
+const isDeliveryFailure = (job) =>
+  job.state === JOB_STATES.FAILED && job.email?.status === "failed" && Boolean(job.result?.route);
+
+/**
+ * Ответ по завершенной задаче (режим wait=true)
+ * Сбой отправки письма - не ошибка генерации: 200 с маршрутом и email.status "failed"
+ */
+const sendJobResult = (res, job, extra = {}) => {
+  if (job.state === JOB_STATES.FAILED && !isDeliveryFailure(job)) {
+    return res.status(502).json({
+      success: false,
+      error: job.error || "Route generation failed",
+      jobId: job.id,
+      ...extra,
+      status: job.state,
+      itinerary: job.result?.route || null,
+    });
+  }
+
+  if (job.state === JOB_STATES.QUARANTINED || job.state === JOB_STATES.REJECTED) {
+    // Заявка ждет менеджера (или отклонена им) - ждать или опрашивать статус бессмысленно
+    const rejected = job.state === JOB_STATES.REJECTED;
+    const locale = job.payload?.locale;
+    return res.status(rejected ? 422 : 202).json({
+      success: !rejected,
+      ...(rejected ? { error: job.error || "Request rejected" } : {}),
+      jobId: job.id,
+      ...extra,
+      status: job.state,
+      review: rejected ? "rejected" : "pending",
+      message: t(locale, rejected ? "api.rejected" : "api.quarantined"),
+      itinerary: null,
+    });
+  }
+
+  if (job.state !== JOB_STATES.DONE && !isDeliveryFailure(job)) {
+    // Не дождались - клиент продолжает по jobId
+    return res.status(202).json({ success: true, jobId: job.id, ...extra, status: job.state });
+  }
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    ...extra,
+    status: job.state,
+    itinerary: job.result?.route || null,
+    structured: job.result?.structured || null,
+    cached: Boolean(job.result?.cached),
+    model: job.result?.model || null,
+    // Результат отправки письма: { status: "sent" | "failed", error, at }
+    email: job.email || null,
+  });
+};
+
+/**
+ * POST /api/v1/trips - Заявка на маршрут (JSON)
+ * В отличие от /api/route отвечает реальными статусами:
+ * 202 - задача принята, 400 - ошибки валидации по полям,
+ * 200 - маршрут в теле ответа (wait=true; если письмо не доставлено - email.status "failed"),
+ * 502 - генерация не удалась,
+ * 202 со status "quarantined" - заявка ждет ручной проверки, 422 - отклонена менеджером.
+ * ?stream=true или Accept: text/event-stream - ответ потоком SSE (см. streamJob).
+ * Заголовок Idempotency-Key защищает от повторной постановки той же заявки.
+ * Язык маршрута, письма и ошибок - поле locale (language, lang), иначе Accept-Language.
+ */
+router.post("/api/v1/trips", async (req, res, next) => {
+  const receivedAt = new Date();
+  let locale = resolveLocale({ acceptLanguage: req.get("accept-language") });
+
+  try {
+    if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+      throw validationError([{ field: "body", message: t(locale, "api.invalidBody") }]);
+    }
+
+    // Те же имена и алиасы полей, что у форм Tilda
+    const { data: mappedData } = mapFormData(req.body);
+    const input = Object.fromEntries(
+      Object.entries(mappedData).filter(([, value]) => value !== null)
+    );
+
+    locale = resolveLocale({ field: input.locale, acceptLanguage: req.get("accept-language") });
+    res.set("Content-Language", locale);
+
+    const validation = validateFormData(input, { locale });
+    if (!validation.isValid) {
+      throw validationError(validation.errors);
+    }
+
+    const { data: formData } = validation;
+
+    if (formData.preset && !promptService.hasPreset(formData.preset)) {
+      throw validationError([{
+        field: "preset",
+        message: t(locale, "api.unknownPreset", { presets: promptService.getPresets().join(", ") }),
+      }]);
+    }
+
+    const payload = tripService.buildPayload(formData, { locale, form: "api" });
+
+    if (payload.dates.interpretation === DATE_INTERPRETATIONS.INVALID) {
+      throw validationError([{
+        field: "startDate",
+        message: t(
+          locale,
+          ["dates", "errors", payload.dates.errorCode || ""],
+          { maxDays: config.dates.maxDays },
+          payload.dates.error
+        ),
+      }]);
+    }
+
+    const { job, jobId, token, duplicate } = tripService.submit(formData, {
+      idempotencyToken: req.get("Idempotency-Key"),
+      idempotencyScope: TOKEN_SCOPES.API,
+      payload,
+      receivedAt,
+    });
+
+    res.location(statusUrl(jobId));
+
+    if (isStreamRequested(req)) {
+      return streamJob(req, res, jobId, { jobId, token, statusUrl: statusUrl(jobId), duplicate });
+    }
+
+    if (!isWaitRequested(req)) {
+      // Токен выдается только при создании задачи, повтор получает null
+      return res.status(202).json({
+        success: true,
+        jobId,
+        token,
+        statusUrl: statusUrl(jobId),
+        status: job?.state || JOB_STATES.QUEUED,
+        duplicate,
+      });
+    }
+
+    const finishedJob = await jobQueue.waitFor(jobId, config.api.waitTimeout * 1000);
+    if (!finishedJob) {
+      // Задача уже удалена по сроку хранения
+      return res.status(202).json({ success: true, jobId, token, status: null, duplicate });
+    }
+
+    sendJobResult(res, finishedJob, { token, statusUrl: statusUrl(jobId), duplicate });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/trips/:id - Статус задачи: этапы, модель, токены, кэш, email, маршрут
+ * Доступ по токену задачи (выдается при создании) или по ADMIN_TOKEN для поддержки
+ */
+router.get("/api/v1/trips/:id", (req, res, next) => {
+  try {
+    const job = findAuthorizedJob(req);
+    res.json({ success: true, job: tripService.getStatus(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/trips/:id/pdf - PDF версия готового маршрута (409, пока маршрут не сгенерирован)
+ * Доступ как у статуса задачи
+ */
+router.get("/api/v1/trips/:id/pdf", async (req, res, next) => {
+  try {
+    const job = findAuthorizedJob(req);
+    const { filename, content } = await pdfService.renderJob(job);
+
+    res.set("Cache-Control", "private, no-store");
+    res.attachment(filename);
+    res.type("application/pdf");
+    res.send(content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/trips/:id/stream - Генерация маршрута в реальном времени (SSE)
+ * Для EventSource токен передается как ?token=
+ */
+router.get("/api/v1/trips/:id/stream", (req, res, next) => {
+  try {
+    const job = findAuthorizedJob(req);
+    streamJob(req, res, job.id);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
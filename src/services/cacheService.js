@@ -1,6 +1,7 @@
 import NodeCache from "node-cache";
 import { config } from "../config/index.js";
 import logger from "../utils/logger.js";
+import { DEFAULT_LOCALE } from "../utils/i18n.js";
 import crypto from "crypto";
 
 /**
@@ -43,15 +44,26 @@ class CacheService {
 
   /**
    * Генерация ключа кэша на основе параметров маршрута
+   * Даты - нормализованные ISO даты и длительность (см. utils/dateParser.js),
+   * бюджет - ключ разобранного бюджета (см. getBudgetCacheKey в utils/budgetParser.js)
+   * people - ключ состава группы (см. getTravelersCacheKey в utils/travelerParser.js)
+   * format - формат маршрута (markdown или json, см. config.itinerary.format)
+   * prompt - шаблон промпта ("luxury@v2", см. services/promptService.js)
+   * locale - язык маршрута (см. utils/i18n.js)
    */
-  generateKey(city, startDate, endDate, budget, interests, people) {
+  generateKey({ city, startDate, endDate, days, budget, interests, comment, people, format, prompt, locale }) {
     const data = {
       city: city?.toLowerCase().trim(),
       startDate: startDate?.trim(),
       endDate: endDate?.trim(),
+      days,
       budget: budget?.trim(),
       interests: interests?.toLowerCase().trim(),
+      comment: comment?.toLowerCase().trim() || null,
       people: people?.trim(),
+      format: format || "markdown",
+      prompt: prompt || null,
+      locale: locale || DEFAULT_LOCALE,
     };
 
     const hash = crypto
@@ -65,28 +77,28 @@ class CacheService {
   /**
    * Получение маршрута из кэша
    */
-  get(city, startDate, endDate, budget, interests, people) {
+  get(params) {
     if (!this.enabled || !this.cache) {
       return null;
     }
 
     try {
-      const key = this.generateKey(city, startDate, endDate, budget, interests, people);
+      const key = this.generateKey(params);
       const cached = this.cache.get(key);
 
       if (cached) {
         logger.info("Cache hit", {
           key,
-          city,
+          city: params.city,
           dataLength: cached.route?.length || 0,
         });
         return cached;
       }
 
-      logger.debug("Cache miss", { key, city });
+      logger.debug("Cache miss", { key, city: params.city });
       return null;
     } catch (error) {
-      logger.error("Cache get error", { error: error.message, city });
+      logger.error("Cache get error", { error: error.message, city: params.city });
       return null;
     }
   }
@@ -94,21 +106,16 @@ class CacheService {
   /**
    * Сохранение маршрута в кэш
    */
-  set(city, startDate, endDate, budget, interests, people, route, metadata = {}) {
+  set(params, route, metadata = {}) {
     if (!this.enabled || !this.cache) {
       return false;
     }
 
     try {
-      const key = this.generateKey(city, startDate, endDate, budget, interests, people);
+      const key = this.generateKey(params);
       const value = {
         route,
-        city,
-        startDate,
-        endDate,
-        budget,
-        interests,
-        people,
+        ...params,
         cachedAt: new Date().toISOString(),
         ...metadata,
       };
@@ -118,14 +125,14 @@ class CacheService {
       if (success) {
         logger.info("Cache set", {
           key,
-          city,
+          city: params.city,
           routeLength: route?.length || 0,
         });
       }
 
       return success;
     } catch (error) {
-      logger.error("Cache set error", { error: error.message, city });
+      logger.error("Cache set error", { error: error.message, city: params.city });
       return false;
     }
   }
@@ -133,22 +140,22 @@ class CacheService {
   /**
    * Удаление маршрута из кэша
    */
-  delete(city, startDate, endDate, budget, interests, people) {
+  delete(params) {
     if (!this.enabled || !this.cache) {
       return false;
     }
 
     try {
-      const key = this.generateKey(city, startDate, endDate, budget, interests, people);
+      const key = this.generateKey(params);
       const deleted = this.cache.del(key);
 
       if (deleted > 0) {
-        logger.info("Cache deleted", { key, city });
+        logger.info("Cache deleted", { key, city: params.city });
       }
 
       return deleted > 0;
     } catch (error) {
-      logger.error("Cache delete error", { error: error.message, city });
+      logger.error("Cache delete error", { error: error.message, city: params.city });
       return false;
     }
   }
@@ -0,0 +1,203 @@
+import crypto from "crypto";
+import jobQueue from "./jobQueue.js";
+import { createJobToken } from "../utils/jobToken.js";
+import logger from "../utils/logger.js";
+import { resolveDataPath, readJsonFile, writeJsonFile } from "../utils/fileStore.js";
+
+export const DEAD_LETTER_STATUSES = {
+  PENDING: "pending",
+  REPLAYED: "replayed",
+};
+
+/**
+ * Хранилище заявок, генерация которых окончательно не удалась (dead-letter)
+ * Сохраняет данные формы, ошибку и историю попыток, позволяет
+ * повторно запустить генерацию и отправку маршрута
+ */
+class DeadLetterService {
+  constructor() {
+    this.filePath = resolveDataPath("dead-letters.json");
+    this.entries = new Map();
+    this.load();
+
+    jobQueue.on("failed", (job, error) => {
+      try {
+        this.add(job, error);
+      } catch (storeError) {
+        logger.error("Dead letter store failed", {
+          jobId: job.id,
+          error: storeError.message,
+        });
+      }
+    });
+  }
+
+  /**
+   * Загрузка записей с диска
+   */
+  load() {
+    try {
+      const stored = readJsonFile(this.filePath, []);
+      for (const entry of stored) {
+        this.entries.set(entry.id, entry);
+      }
+    } catch (error) {
+      logger.error("Dead letter loading failed", {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Сохранение записей на диск
+   */
+  persist() {
+    writeJsonFile(this.filePath, [...this.entries.values()]);
+  }
+
+  /**
+   * Добавление упавшей задачи
+   */
+  add(job, error) {
+    const entry = {
+      id: crypto.randomUUID(),
+      jobId: job.id,
+      type: job.type,
+      status: DEAD_LETTER_STATUSES.PENDING,
+      payload: job.payload,
+      // Хэш токена клиента: повторная задача доступна по тому же токену
+      tokenHash: job.tokenHash || null,
+      error: {
+        message: error.message,
+        stack: error.stack,
+      },
+      attempts: job.attempts,
+      history: job.history,
+      attemptLog: job.attemptLog || [],
+      replays: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.entries.set(entry.id, entry);
+    this.persist();
+
+    logger.warn("Job moved to dead letters", {
+      id: entry.id,
+      jobId: job.id,
+      city: job.payload?.city,
+      email: job.payload?.email,
+    });
+
+    return entry;
+  }
+
+  /**
+   * Список записей (кратко), новые сверху
+   */
+  list({ status } = {}) {
+    return [...this.entries.values()]
+      .filter((entry) => !status || entry.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((entry) => ({
+        id: entry.id,
+        jobId: entry.jobId,
+        type: entry.type,
+        status: entry.status,
+        city: entry.payload?.city,
+        email: entry.payload?.email,
+        error: entry.error.message,
+        attempts: entry.attempts,
+        replays: entry.replays.length,
+        createdAt: entry.createdAt,
+      }));
+  }
+
+  /**
+   * Полная запись по id
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Повторный запуск: новая задача с теми же данными формы
+   * (маршрут генерируется заново и отправляется на email)
+   * Новая задача доступна по токену исходной; если его нет - выдается новый токен (token, иначе null),
+   * статус исходной задачи ссылается на новую (replayedBy)
+   */
+  replay(id) {
+    const entry = this.getOrThrow(id);
+
+    if (!jobQueue.hasHandler(entry.type)) {
+      const error = new Error(`No handler registered for job type: ${entry.type}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const original = jobQueue.get(entry.jobId);
+    const inheritedHash = entry.tokenHash || original?.tokenHash || null;
+    const { token, tokenHash } = inheritedHash ? { token: null, tokenHash: inheritedHash } : createJobToken();
+
+    const job = jobQueue.enqueue(entry.type, entry.payload, { tokenHash });
+    if (original) {
+      jobQueue.update(original.id, { replayedBy: job.id });
+    }
+
+    entry.status = DEAD_LETTER_STATUSES.REPLAYED;
+    entry.replays.push({ jobId: job.id, at: new Date().toISOString() });
+    entry.updatedAt = new Date().toISOString();
+    this.persist();
+
+    logger.info("Dead letter replayed", { id, jobId: job.id, tokenReused: Boolean(inheritedHash) });
+
+    return { entry, job, token };
+  }
+
+  /**
+   * Удаление записи
+   */
+  discard(id) {
+    const entry = this.getOrThrow(id);
+
+    this.entries.delete(id);
+    this.persist();
+
+    logger.info("Dead letter discarded", { id, jobId: entry.jobId });
+
+    return entry;
+  }
+
+  /**
+   * Получение записи или ошибка 404
+   */
+  getOrThrow(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      const error = new Error(`Dead letter not found: ${id}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * Статистика
+   */
+  getStats() {
+    const stats = { total: this.entries.size };
+
+    for (const status of Object.values(DEAD_LETTER_STATUSES)) {
+      stats[status] = 0;
+    }
+
+    for (const entry of this.entries.values()) {
+      stats[entry.status] = (stats[entry.status] || 0) + 1;
+    }
+
+    return stats;
+  }
+}
+
+export default new DeadLetterService();
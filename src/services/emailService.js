@@ -1,12 +1,10 @@
 import nodemailer from "nodemailer";
 import { config } from "../config/index.js";
 import logger from "../utils/logger.js";
-import { readFileSync } from "fs";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { t, DEFAULT_LOCALE } from "../utils/i18n.js";
+import { getCircuitBreaker, getRetryDelay } from "../utils/resilience.js";
+import { renderMarkdownHtml, renderMarkdownText } from "../utils/markdown.js";
+import { renderEmail, escapeHtml } from "../utils/emailTemplate.js";
 
 /**
  * Сервис для отправки email через различные провайдеры
@@ -18,6 +16,8 @@ class EmailService {
     this.transporter = null;
     this.maxRetries = this.config.maxRetries;
     this.retryDelay = this.config.retryDelay;
+    // Circuit breaker почтового сервера (см. utils/resilience.js)
+    this.breaker = getCircuitBreaker("smtp");
     this.initializeTransporter();
   }
 
@@ -88,65 +88,41 @@ class EmailService {
   }
 
   /**
-   * Загрузка HTML шаблона
+   * Письмо по шаблону из src/templates (см. utils/emailTemplate.js): { subject, html, text }
+   * Ошибка шаблона - простой HTML шаблон (fallback), subject и text - null
    */
   loadTemplate(templateName, data = {}) {
     try {
-      const templatePath = join(__dirname, "../templates", `${templateName}.html`);
-      let html = readFileSync(templatePath, "utf-8");
-
-      // Обработка специальных полей ПЕРЕД общей заменой
-      // Для name: если есть имя, показываем приветствие, иначе просто "Привет!"
-      if (data.name && data.name.trim()) {
-        html = html.replace(/{{name}}/g, `Привет, ${data.name}!`);
-      } else {
-        html = html.replace(/{{name}}/g, "Привет!");
-      }
-
-      // Для dates: если есть даты, показываем их, иначе пусто
-      if (data.dates && data.dates.trim() && data.dates !== "не указаны") {
-        html = html.replace(/{{dates}}/g, `<div class="dates">📅 ${data.dates}</div>`);
-      } else {
-        html = html.replace(/{{dates}}/g, "");
-      }
-
-      // Замена остальных переменных в шаблоне
-      Object.keys(data).forEach((key) => {
-        // Пропускаем уже обработанные поля
-        if (key === "name" || key === "dates") return;
-        
-        const regex = new RegExp(`{{${key}}}`, "g");
-        const value = data[key] || "";
-        html = html.replace(regex, value);
-      });
-
-      return html;
+      return renderEmail(templateName, data);
     } catch (error) {
       logger.error("Template loading error", {
         template: templateName,
         error: error.message,
       });
       // Возвращаем простой HTML шаблон как fallback
-      return this.getSimpleTemplate(data);
+      return { subject: null, html: this.getSimpleTemplate(data), text: null };
     }
   }
 
   /**
-   * Простой HTML шаблон (fallback)
+   * Простой HTML шаблон (fallback); data.route - готовый HTML маршрута, остальное экранируется
    */
   getSimpleTemplate(data) {
+    const locale = data.locale || DEFAULT_LOCALE;
+    const city = escapeHtml(data.city || t(locale, "email.cityFallback"));
+
     return `
 <!DOCTYPE html>
-<html>
+<html lang="${escapeHtml(locale)}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Маршрут поездки в ${data.city || "город"}</title>
+  <title>${t(locale, "email.route.title", { city })}</title>
   <style>
     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; padding: 20px; }
     .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
     .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-    .route-content { background: white; padding: 20px; border-radius: 5px; margin-top: 20px; white-space: pre-wrap; }
+    .route-content { background: white; padding: 20px; border-radius: 5px; margin-top: 20px; }
     .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
     h1 { margin: 0; }
     h2 { color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px; }
@@ -154,16 +130,16 @@ class EmailService {
 </head>
 <body>
   <div class="header">
-    <h1>🌍 Маршрут поездки в ${data.city || "город"}</h1>
-    ${data.dates ? `<p>📅 ${data.dates}</p>` : ""}
+    <h1>${t(locale, "email.route.heading", { city })}</h1>
+    ${data.dates ? `<p>📅 ${escapeHtml(data.dates)}</p>` : ""}
   </div>
   <div class="content">
-    ${data.name ? `<p>Привет, ${data.name}!</p>` : "<p>Привет!</p>"}
-    <p>Ваш персональный маршрут готов! Вот детальный план поездки:</p>
-    <div class="route-content">${data.route || "Маршрут не сгенерирован"}</div>
+    <p>${data.name ? t(locale, "email.greeting", { name: escapeHtml(data.name) }) : t(locale, "email.greetingAnonymous")}</p>
+    <p>${t(locale, "email.route.intro")}</p>
+    <div class="route-content">${data.route || t(locale, "email.routeMissing")}</div>
     <div class="footer">
-      <p>С уважением,<br>AI Travel Planner</p>
-      <p>Это автоматическое письмо, пожалуйста не отвечайте на него.</p>
+      <p>${t(locale, "email.route.signature")}</p>
+      <p>${t(locale, "email.route.autoNotice")}</p>
     </div>
   </div>
 </body>
@@ -171,17 +147,44 @@ class EmailService {
     `;
   }
 
+  /**
+   * Подготовка письма с маршрутом на языке заявки: тема, HTML и текстовая версия
+   * (шаблоны route.html, route.subject.txt и route.text.txt)
+   */
+  renderRouteEmail({ city, route, dates, name, locale = DEFAULT_LOCALE }) {
+    const cityLabel = city || t(locale, "email.cityFallback");
+    const data = {
+      locale,
+      city: cityLabel,
+      // "Даты не указаны" в шапке письма не показываются
+      dates: dates && dates !== t(locale, "dates.notSpecified") ? dates : null,
+      name: name?.trim() || null,
+      // Markdown маршрута -> HTML со стилями в атрибутах и текстовая версия (см. utils/markdown.js)
+      route: route ? renderMarkdownHtml(route) : null,
+      routeText: route ? renderMarkdownText(route) : null,
+    };
+    const message = this.loadTemplate("route", data);
+
+    return {
+      subject: message.subject || t(locale, "email.subject", { city: cityLabel }),
+      html: message.html,
+      text: message.text || `${t(locale, "email.text", { city: cityLabel })}\n\n${data.routeText || t(locale, "email.routeMissing")}`,
+    };
+  }
+
   /**
    * Отправка email с маршрутом
+   * emailData.message - готовое письмо (renderRouteEmail), иначе письмо готовится здесь
+   * emailData.onAttempt(details) вызывается при каждой неудачной попытке
+   * emailData.headers - дополнительные заголовки письма
+   * emailData.pdf - PDF версия маршрута во вложении: { filename, content } (см. services/pdfService.js)
    */
   async sendRouteEmail(emailData) {
     const {
       to,
       city,
-      route,
-      dates,
-      name,
       retryCount = 0,
+      onAttempt,
     } = emailData;
 
     if (!this.transporter) {
@@ -193,28 +196,31 @@ class EmailService {
     }
 
     try {
-      const htmlContent = this.loadTemplate("route", {
-        city: city || "город",
-        route: route || "Маршрут не сгенерирован",
-        dates: dates || "",
-        name: name || "",
-      });
+      const { subject, html, text } = emailData.message || this.renderRouteEmail(emailData);
 
       const mailOptions = {
         from: `${this.config.fromName} <${this.config.from || this.config.smtp.auth?.user}>`,
         to,
-        subject: `🌍 Ваш маршрут поездки в ${city || "город"}`,
-        html: htmlContent,
-        text: `Ваш маршрут поездки в ${city || "город"}\n\n${route || "Маршрут не сгенерирован"}`,
+        subject,
+        html,
+        text,
+        ...(emailData.headers ? { headers: emailData.headers } : {}),
+        ...(emailData.pdf
+          ? { attachments: [{ filename: emailData.pdf.filename, content: emailData.pdf.content, contentType: "application/pdf" }] }
+          : {}),
       };
 
       logger.info("Sending route email", {
         to,
         city,
         attempt: retryCount + 1,
+        pdf: Boolean(emailData.pdf),
       });
 
-      const info = await this.transporter.sendMail(mailOptions);
+      // Сервер недоступен несколько отправок подряд - письмо не отправляется до пробного запроса
+      const info = await this.breaker.execute(() => this.transporter.sendMail(mailOptions), {
+        isFailure: (error) => this.isServerFailure(error),
+      });
 
       logger.info("Route email sent successfully", {
         to,
@@ -234,22 +240,28 @@ class EmailService {
         attempt: retryCount + 1,
       });
 
-      // Retry для определенных ошибок
+      if (onAttempt) {
+        onAttempt({
+          service: "email",
+          attempt: retryCount + 1,
+          code: error.code || error.responseCode,
+          error: error.message,
+        });
+      }
+
+      // Retry при сбое сервера (как для circuit breaker) и временных ошибках 5xx
       if (retryCount < this.maxRetries) {
-        const shouldRetry =
-          error.code === "ECONNECTION" ||
-          error.code === "ETIMEDOUT" ||
-          error.code === "ESOCKET" ||
-          error.responseCode >= 500;
+        const shouldRetry = this.isServerFailure(error) || error.responseCode >= 500;
 
         if (shouldRetry) {
+          const delay = getRetryDelay(retryCount + 1, { baseDelay: this.retryDelay });
           logger.info("Retrying email send", {
             to,
             attempt: retryCount + 1,
-            delay: this.retryDelay * (retryCount + 1),
+            delay,
           });
 
-          await this.delay(this.retryDelay * (retryCount + 1));
+          await this.delay(delay);
 
           return this.sendRouteEmail({
             ...emailData,
@@ -262,6 +274,14 @@ class EmailService {
     }
   }
 
+  /**
+   * Сбой почтового сервера для circuit breaker и retry: нет соединения, DNS, таймаут или 421 (сервис недоступен)
+   * Отказ в приеме письма (например, неверный адрес) - сервер доступен
+   */
+  isServerFailure(error) {
+    return ["ECONNECTION", "ETIMEDOUT", "ESOCKET", "EDNS", "ENOTFOUND"].includes(error.code) || error.responseCode === 421;
+  }
+
   /**
    * Отправка уведомления об ошибке
    */
@@ -272,17 +292,20 @@ class EmailService {
     }
 
     try {
+      const { subject, html } = renderEmail("error-notification", {
+        message: error.message,
+        stack: error.stack || JSON.stringify(error, null, 2),
+        context: Object.entries(context).map(([key, value]) => ({
+          key,
+          value: typeof value === "string" ? value : JSON.stringify(value),
+        })),
+      });
+
       const mailOptions = {
         from: `${this.config.fromName} <${this.config.from || this.config.smtp.auth?.user}>`,
         to: this.config.from, // Отправляем себе
-        subject: "⚠️ Ошибка генерации маршрута",
-        html: `
-          <h2>Ошибка генерации маршрута</h2>
-          <p><strong>Ошибка:</strong> ${error.message}</p>
-          <pre>${error.stack || JSON.stringify(error, null, 2)}</pre>
-          <h3>Контекст:</h3>
-          <pre>${JSON.stringify(context, null, 2)}</pre>
-        `,
+        subject,
+        html,
       };
 
       await this.transporter.sendMail(mailOptions);
@@ -294,6 +317,39 @@ class EmailService {
     }
   }
 
+  /**
+   * Уведомление менеджера о превышении лимита расходов на LLM
+   * limit - { period, spent, cap, resetAt, action } (см. services/usageService.js)
+   */
+  async sendSpendCapNotification(limit, { to = this.config.from } = {}) {
+    if (!this.config.from || !to) {
+      logger.warn("Cannot send spend cap notification: EMAIL_FROM not configured");
+      return;
+    }
+
+    try {
+      const { subject, html } = renderEmail("spend-cap", {
+        monthly: limit.period === "month",
+        spent: limit.spent.toFixed(2),
+        cap: limit.cap.toFixed(2),
+        action: limit.action,
+        resetAt: limit.resetAt,
+      });
+
+      await this.transporter.sendMail({
+        from: `${this.config.fromName} <${this.config.from}>`,
+        to,
+        subject,
+        html,
+      });
+      logger.info("Spend cap notification sent", { to, period: limit.period });
+    } catch (notifError) {
+      logger.error("Failed to send spend cap notification", {
+        error: notifError.message,
+      });
+    }
+  }
+
   /**
    * Задержка между попытками
    */
@@ -0,0 +1,137 @@
+import NodeCache from "node-cache";
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import jobQueue from "./jobQueue.js";
+import logger from "../utils/logger.js";
+import { incrementCounter } from "../utils/metrics.js";
+
+// Поля формы, по которым строится отпечаток заявки без tranid
+const FINGERPRINT_FIELDS = [
+  "city",
+  "email",
+  "startDate",
+  "endDate",
+  "budget",
+  "interests",
+  "people",
+  "adults",
+  "children",
+  "childrenAges",
+  "infants",
+  "seniors",
+  "notes",
+  "comment",
+  "preset",
+  "locale",
+];
+
+// Источники токена заявки - префиксы ключей
+export const TOKEN_SCOPES = {
+  TRANID: "tranid",
+  API: "api",
+};
+
+/**
+ * Защита от повторной обработки одной и той же заявки
+ * Tilda повторяет webhook, пользователи дважды нажимают "Отправить":
+ * повтор получает тот же ответ и не запускает генерацию заново
+ */
+class IdempotencyService {
+  constructor() {
+    this.config = config.idempotency;
+    this.cache = new NodeCache({ checkperiod: 120, useClones: false });
+    this.restore();
+  }
+
+  /**
+   * Восстановление ключей из сохраненных задач после перезапуска
+   */
+  restore() {
+    const now = Date.now();
+    let restored = 0;
+
+    for (const job of jobQueue.getAll()) {
+      if (!job.idempotencyKey) continue;
+
+      const ttl = this.getTtl(job.idempotencyKey);
+      const remaining = Math.floor((Date.parse(job.createdAt) + ttl * 1000 - now) / 1000);
+      if (remaining <= 0) continue;
+
+      this.cache.set(job.idempotencyKey, { jobId: job.id }, remaining);
+      restored++;
+    }
+
+    if (restored > 0) {
+      logger.info("Idempotency keys restored", { restored });
+    }
+  }
+
+  /**
+   * Нормализация значения для отпечатка
+   */
+  normalizeValue(value) {
+    if (value === undefined || value === null) return "";
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalizeValue(item)).sort().join(",");
+    }
+    return String(value).trim().toLowerCase().replace(/\s+/g, " ");
+  }
+
+  /**
+   * Ключ заявки: токен клиента, иначе отпечаток нормализованных полей
+   * scope - пространство токена: "tranid" (Tilda) или "api" (Idempotency-Key), чтобы ключ
+   * клиента API не совпал с tranid чужой заявки с формы
+   */
+  getKey(token, formData = {}, scope = TOKEN_SCOPES.TRANID) {
+    const normalizedToken = this.normalizeValue(token);
+    if (normalizedToken) {
+      return { key: `${scope}:${normalizedToken}`, source: scope };
+    }
+
+    const fingerprintData = {};
+    for (const field of FINGERPRINT_FIELDS) {
+      fingerprintData[field] = this.normalizeValue(formData[field]);
+    }
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(fingerprintData))
+      .digest("hex");
+
+    return { key: `fp:${hash}`, source: "fingerprint" };
+  }
+
+  /**
+   * Время жизни ключа в секундах: ключи по токену живут IDEMPOTENCY_TRANID_TTL
+   */
+  getTtl(key) {
+    return Object.values(TOKEN_SCOPES).some((scope) => key.startsWith(`${scope}:`))
+      ? this.config.tranidTtl
+      : this.config.fingerprintWindow;
+  }
+
+  /**
+   * Поиск уже принятой заявки по ключу
+   * Повторы учитываются в логах и метриках
+   */
+  findDuplicate(key, source) {
+    const existing = this.cache.get(key);
+    if (!existing) {
+      return null;
+    }
+
+    incrementCounter("intake_duplicates_total", { source });
+    logger.info("Duplicate submission ignored", { key, source, jobId: existing.jobId });
+
+    return existing;
+  }
+
+  /**
+   * Запоминание принятой заявки
+   */
+  remember(key, record) {
+    this.cache.set(key, record, this.getTtl(key));
+  }
+}
+
+export default new IdempotencyService();
@@ -0,0 +1,505 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+import { resolveDataPath, readJsonFile, writeJsonFile } from "../utils/fileStore.js";
+
+/**
+ * Состояния (этапы) задачи генерации маршрута
+ * received и validated записываются в историю при постановке задачи
+ */
+export const JOB_STATES = {
+  RECEIVED: "received",
+  VALIDATED: "validated",
+  QUEUED: "queued",
+  CACHE_LOOKUP: "cache_lookup",
+  GENERATING: "generating",
+  RENDERING: "rendering",
+  EMAILING: "emailing",
+  DONE: "done",
+  FAILED: "failed",
+  // Заявка ждет ручной проверки (см. services/screeningService.js) и отклонена менеджером
+  QUARANTINED: "quarantined",
+  REJECTED: "rejected",
+};
+
+const FINAL_STATES = [JOB_STATES.DONE, JOB_STATES.FAILED, JOB_STATES.REJECTED];
+
+// Как часто удаляются завершенные задачи старше срока хранения (не реже раза в час)
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Максимальная задержка setTimeout (~24.8 дня); более поздний запуск перепланируется
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Персистентная очередь задач генерации маршрутов
+ * Задача записывается на диск до ответа Tilda, незавершенные задачи
+ * автоматически возобновляются при старте сервера
+ *
+ * События: "state" (job, entry) - переход на новый этап,
+ * "completed" (job) - задача выполнена,
+ * "failed" (job) - задача окончательно завершилась ошибкой,
+ * "deferred" (job) - запуск задачи отложен (обработчик бросил ошибку с deferUntil),
+ * "quarantined" (job) - задача ждет ручной проверки (обработчик бросил ошибку с quarantine),
+ * "rejected" (job) - задача отклонена после ручной проверки
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    // На события подписываются запросы, ожидающие результата (waitFor)
+    this.setMaxListeners(0);
+    this.config = config.queue;
+    this.filePath = resolveDataPath("jobs.json");
+    this.jobs = new Map();
+    this.handlers = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.started = false;
+    this.load();
+  }
+
+  /**
+   * Загрузка задач с диска
+   */
+  load() {
+    try {
+      const stored = readJsonFile(this.filePath, []);
+      for (const job of stored) {
+        this.jobs.set(job.id, job);
+      }
+
+      if (this.jobs.size > 0) {
+        logger.info("Job queue loaded", { jobs: this.jobs.size, file: this.filePath });
+      }
+    } catch (error) {
+      logger.error("Job queue loading failed", {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Сохранение задач на диск
+   */
+  persist() {
+    writeJsonFile(this.filePath, [...this.jobs.values()]);
+  }
+
+  /**
+   * Регистрация обработчика для типа задач
+   * Обработчик получает (job, { setState, update, recordAttempt }) и бросает ошибку при неудаче;
+   * ошибка с deferUntil (ISO время) откладывает задачу вместо завершения (см. defer),
+   * ошибка с quarantine оставляет ее до ручной проверки (см. quarantine)
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+
+    if (this.started) {
+      this.resume(type);
+    }
+  }
+
+  /**
+   * Проверка наличия обработчика для типа задач
+   */
+  hasHandler(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Постановка задачи в очередь
+   * Бросает ошибку, если задачу не удалось сохранить на диск
+   * history - этапы до постановки в очередь (received, validated),
+   * tokenHash - хэш токена доступа к статусу задачи (см. utils/jobToken.js)
+   */
+  enqueue(type, payload, { idempotencyKey = null, tokenHash = null, history = [] } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: JOB_STATES.QUEUED,
+      payload,
+      idempotencyKey,
+      tokenHash,
+      result: null,
+      email: null,
+      error: null,
+      attempts: 0,
+      history: [...history, { state: JOB_STATES.QUEUED, at: now }],
+      attemptLog: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.jobs.set(job.id, job);
+
+    try {
+      this.persist();
+    } catch (error) {
+      this.jobs.delete(job.id);
+      throw error;
+    }
+
+    logger.info("Job enqueued", { id: job.id, type });
+
+    if (this.started) {
+      this.schedule(job.id);
+    }
+
+    return job;
+  }
+
+  /**
+   * Получение задачи по id
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Все задачи, отсортированные по времени создания
+   */
+  getAll() {
+    return [...this.jobs.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Обновление полей задачи с сохранением на диск
+   */
+  update(id, changes = {}) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return job;
+  }
+
+  /**
+   * Переход задачи в новое состояние с записью в историю
+   */
+  setState(id, state, details = {}) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const entry = { state, at: new Date().toISOString(), ...details };
+    job.history.push(entry);
+    logger.debug("Job state changed", { id, type: job.type, state });
+    this.update(id, { state });
+    this.emit("state", job, entry);
+    return job;
+  }
+
+  /**
+   * Запись неудачной попытки обращения к внешнему сервису (OpenAI, email)
+   */
+  recordAttempt(id, details = {}) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const attemptLog = [...(job.attemptLog || []), { at: new Date().toISOString(), ...details }];
+    return this.update(id, { attemptLog });
+  }
+
+  /**
+   * Окончательное завершение задачи ошибкой
+   */
+  fail(id, error) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return;
+    }
+
+    this.update(id, { error: error.message });
+    this.setState(id, JOB_STATES.FAILED, { error: error.message });
+    logger.error("Job failed", {
+      id,
+      type: job.type,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    this.emit("failed", job, error);
+  }
+
+  /**
+   * Отложенный запуск задачи: задача возвращается в очередь и запускается не раньше until
+   * Попытка не засчитывается; время запуска (runAt) сохраняется и переживает перезапуск
+   */
+  defer(id, until, reason = null) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return;
+    }
+
+    this.update(id, { attempts: Math.max(0, job.attempts - 1), runAt: until });
+    this.setState(id, JOB_STATES.QUEUED, { until, ...(reason ? { reason } : {}) });
+    logger.info("Job deferred", { id, type: job.type, until, reason });
+
+    this.emit("deferred", job);
+    this.scheduleAt(id, until);
+  }
+
+  /**
+   * Задача на ручной проверке: не выполняется и не возобновляется при старте,
+   * пока ее не вернут в очередь (release) или не отклонят (reject). Попытка не засчитывается
+   */
+  quarantine(id, reason = null) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return;
+    }
+
+    this.update(id, { attempts: Math.max(0, job.attempts - 1) });
+    this.setState(id, JOB_STATES.QUARANTINED, reason ? { reason } : {});
+    logger.warn("Job quarantined", { id, type: job.type, reason });
+
+    this.emit("quarantined", job);
+  }
+
+  /**
+   * Возврат задачи с ручной проверки в очередь
+   */
+  release(id, reason = null) {
+    const job = this.jobs.get(id);
+    if (!job || job.state !== JOB_STATES.QUARANTINED) {
+      return null;
+    }
+
+    this.setState(id, JOB_STATES.QUEUED, reason ? { reason } : {});
+    logger.info("Job released from quarantine", { id, type: job.type });
+
+    if (this.started) {
+      this.schedule(id);
+    }
+    return job;
+  }
+
+  /**
+   * Отклонение задачи после ручной проверки (в dead-letter не попадает)
+   */
+  reject(id, reason) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    this.update(id, { error: reason });
+    this.setState(id, JOB_STATES.REJECTED, { error: reason });
+    logger.info("Job rejected", { id, type: job.type, reason });
+
+    this.emit("rejected", job);
+    return job;
+  }
+
+  /**
+   * Ожидание завершения задачи (done, failed или rejected) или ручной проверки
+   * По истечении таймаута возвращает задачу в текущем состоянии
+   */
+  waitFor(id, timeoutMs) {
+    const job = this.jobs.get(id);
+    if (!job || FINAL_STATES.includes(job.state) || job.state === JOB_STATES.QUARANTINED) {
+      return Promise.resolve(job || null);
+    }
+
+    const events = ["completed", "failed", "quarantined"];
+    return new Promise((resolve) => {
+      const finish = (finishedJob) => {
+        if (finishedJob && finishedJob.id !== id) return;
+        clearTimeout(timer);
+        events.forEach((event) => this.off(event, finish));
+        resolve(this.jobs.get(id) || null);
+      };
+
+      const timer = setTimeout(() => finish(null), timeoutMs);
+      events.forEach((event) => this.on(event, finish));
+    });
+  }
+
+  /**
+   * Запуск обработки очереди и возобновление незавершенных задач
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    this.prune();
+    this.resume();
+
+    // Иначе jobs.json, который переписывается при каждом изменении задачи, растет все время работы
+    const interval = Math.min(PRUNE_INTERVAL, Math.max(this.config.retention * 1000, 60 * 1000));
+    setInterval(() => this.prune(), interval).unref();
+  }
+
+  /**
+   * Возобновление незавершенных задач (всех или одного типа), кроме ждущих ручной проверки
+   */
+  resume(type = null) {
+    const unfinished = [...this.jobs.values()]
+      .filter((job) => !FINAL_STATES.includes(job.state) && job.state !== JOB_STATES.QUARANTINED)
+      .filter((job) => !type || job.type === type)
+      .filter((job) => this.handlers.has(job.type))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (unfinished.length === 0) {
+      return;
+    }
+
+    logger.info("Resuming unfinished jobs", {
+      count: unfinished.length,
+      jobs: unfinished.map((job) => ({ id: job.id, state: job.state })),
+    });
+
+    unfinished.forEach((job) => (job.runAt ? this.scheduleAt(job.id, job.runAt) : this.schedule(job.id)));
+  }
+
+  /**
+   * Добавление задачи в очередь в заданное время (ISO строка)
+   */
+  scheduleAt(id, at) {
+    const delay = Date.parse(at) - Date.now();
+    if (!(delay > 0)) {
+      this.schedule(id);
+      return;
+    }
+
+    // Таймер не держит процесс; до запуска задача остается в состоянии queued на диске
+    setTimeout(() => this.schedule(id), Math.min(delay, MAX_TIMER_DELAY)).unref();
+  }
+
+  /**
+   * Добавление задачи в очередь на выполнение
+   */
+  schedule(id) {
+    if (this.pending.includes(id)) {
+      return;
+    }
+
+    this.pending.push(id);
+    this.drain();
+  }
+
+  /**
+   * Запуск задач в пределах лимита параллельности
+   */
+  drain() {
+    while (this.active < this.config.concurrency && this.pending.length > 0) {
+      const id = this.pending.shift();
+      this.active++;
+
+      this.run(id)
+        .catch((error) => {
+          logger.error("Job runner error", { id, error: error.message });
+        })
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Выполнение одной задачи
+   */
+  async run(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINAL_STATES.includes(job.state) || job.state === JOB_STATES.QUARANTINED) {
+      return;
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      logger.warn("No handler registered for job type", { id, type: job.type });
+      return;
+    }
+
+    // Отложенная задача, таймер которой сработал раньше срока (ограничение setTimeout)
+    if (job.runAt && Date.parse(job.runAt) > Date.now()) {
+      this.scheduleAt(id, job.runAt);
+      return;
+    }
+
+    // Защита от бесконечных перезапусков задачи, которая роняет процесс
+    if (job.attempts >= this.config.maxAttempts) {
+      this.fail(id, new Error(`Job exceeded max attempts (${this.config.maxAttempts})`));
+      return;
+    }
+
+    this.update(id, { attempts: job.attempts + 1, runAt: null });
+
+    const context = {
+      setState: (state, details) => this.setState(id, state, details),
+      update: (changes) => this.update(id, changes),
+      recordAttempt: (details) => this.recordAttempt(id, details),
+    };
+
+    try {
+      logger.info("Job started", { id, type: job.type, state: job.state, attempt: job.attempts });
+
+      await handler(job, context);
+
+      this.update(id, { error: null });
+      this.setState(id, JOB_STATES.DONE);
+      logger.info("Job completed", { id, type: job.type, attempts: job.attempts });
+      this.emit("completed", job);
+    } catch (error) {
+      if (error.deferUntil) {
+        this.defer(id, error.deferUntil, error.message);
+        return;
+      }
+      if (error.quarantine) {
+        this.quarantine(id, error.message);
+        return;
+      }
+      this.fail(id, error);
+    }
+  }
+
+  /**
+   * Удаление завершенных задач старше срока хранения
+   */
+  prune() {
+    const threshold = Date.now() - this.config.retention * 1000;
+    let removed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (FINAL_STATES.includes(job.state) && Date.parse(job.updatedAt) < threshold) {
+        this.jobs.delete(job.id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.persist();
+      logger.info("Job queue pruned", { removed });
+    }
+  }
+
+  /**
+   * Статистика очереди
+   */
+  getStats() {
+    const stats = { total: this.jobs.size, active: this.active, pending: this.pending.length };
+
+    for (const state of Object.values(JOB_STATES)) {
+      stats[state] = 0;
+    }
+
+    for (const job of this.jobs.values()) {
+      stats[job.state] = (stats[job.state] || 0) + 1;
+    }
+
+    return stats;
+  }
+}
+
+export default new JobQueue();
@@ -1,138 +1,325 @@
-import fetch from "node-fetch";
 import { config } from "../config/index.js";
 import logger from "../utils/logger.js";
+import promptService, { PROMPT_PRESETS } from "./promptService.js";
+import { createProviders } from "../providers/index.js";
+import {
+  ITINERARY_JSON_SCHEMA,
+  STRUCTURED_INSTRUCTIONS,
+  buildRepairPrompt,
+  parseItinerary,
+  renderItineraryMarkdown,
+} from "../utils/itinerary.js";
+import {
+  buildContinuationMessages,
+  stitchContinuation,
+  createContinuationStream,
+  addUsage,
+} from "../utils/continuation.js";
+import { calculateCost } from "../utils/llmPricing.js";
+import { getCircuitBreaker, getRetryDelay, CIRCUIT_STATES } from "../utils/resilience.js";
 
 /**
- * Сервис для работы с OpenAI API
- * Включает retry механизм, fallback модель, кэширование промптов
+ * Сервис генерации маршрутов через LLM провайдеров (см. src/providers)
+ * Включает повторы с экспоненциальной паузой и Retry-After, circuit breaker на каждого провайдера
+ * и fallback по цепочке провайдеров и моделей из config.openai.providers
  */
 class OpenAIService {
   constructor() {
-    this.apiKey = config.openai.apiKey;
-    this.baseUrl = "https://api.openai.com/v1";
-    this.defaultModel = config.openai.model;
-    this.fallbackModel = config.openai.fallbackModel;
+    this.providers = createProviders(config.openai.providers);
     this.maxTokens = config.openai.maxTokens;
     this.temperature = config.openai.temperature;
     this.timeout = config.openai.timeout;
     this.maxRetries = config.openai.maxRetries;
     this.retryDelay = config.openai.retryDelay;
+    this.maxRetryAfter = config.resilience.maxRetryAfter;
+    this.stream = config.openai.stream;
+    this.repairAttempts = config.itinerary.repairAttempts;
+    this.maxContinuations = config.openai.maxContinuations;
+
+    // Breakers создаются при старте, чтобы /health показывал всех провайдеров
+    this.providers.forEach((provider) => this.getBreaker(provider));
+
+    logger.info("LLM providers configured", {
+      chain: this.getTargets().map(({ provider, model }) => `${provider.name}:${model}`),
+    });
   }
 
   /**
-   * Генерация промпта для маршрута
+   * Генерация промпта для маршрута по шаблону (см. services/promptService.js)
+   * dates - нормализованные даты поездки (см. utils/dateParser.js)
+   * budget - разобранный бюджет (см. utils/budgetParser.js)
+   * travelers - состав путешественников (см. utils/travelerParser.js)
+   * template - { preset, version }, по умолчанию последняя версия пресета "practical"
+   * locale - язык маршрута (см. utils/i18n.js)
    */
-  buildPrompt(city, startDate, endDate, budget, interests, people, days) {
-    return `Ты — профессиональный travel-планировщик.
-Создай ПОЛНЫЙ и детальный маршрут поездки в ${city}.
-
-📅 Даты: ${startDate || "не указаны"} - ${endDate || "не указаны"} (${days} ${days === 1 ? 'день' : 'дней'})
-💰 Бюджет: ${budget || "не указан"}
-🎯 Интересы: ${interests || "не указаны"}
-👥 Путешественников: ${people || "1"}
-
-ВАЖНО: Опиши КАЖДЫЙ день с утра до вечера:
-- Что посетить (достопримечательности, музеи, парки) с конкретными названиями и адресами
-- Где поесть (завтрак, обед, ужин с названиями ресторанов/кафе и их локациями)
-- Что попробовать (локальные блюда, напитки, десерты)
-- Советы по транспорту между точками (метро, автобус, пешком)
-- Атмосферу и рекомендации для каждого места
-- Бюджетные альтернативы, если нужно
-
-Структура:
-- Используй эмодзи для визуального разделения
-- Структурируй по времени дня: ☀️ Утро, 🌞 День, 🌙 Вечер
-- Добавляй конкретные адреса и время работы мест
-- Учитывай логистику перемещений между точками
-
-ОБЯЗАТЕЛЬНО: Заверши маршрут полностью для всех дней. Не прерывай ответ посередине.
-Используй Markdown форматирование для читаемости.`;
+  buildPrompt({ template, locale, ...params }) {
+    return promptService.render(template || { preset: PROMPT_PRESETS.PRACTICAL }, params, locale);
   }
 
   /**
-   * Выполнение запроса к OpenAI с retry механизмом
+   * Цепочка { provider, model } в порядке fallback
+   * provider/model - конкретная модель (продолжение ответа той же модели); useFallback: false - только первая
+   */
+  getTargets({ provider = null, model = null, useFallback = true } = {}) {
+    const targets = this.providers.flatMap((item) => item.models.map((name) => ({ provider: item, model: name })));
+    const matching = targets.filter(
+      (target) => (!provider || target.provider.name === provider) && (!model || target.model === model)
+    );
+
+    // Модель не из цепочки (например, указана явно) - у выбранного или основного провайдера
+    if ((provider || model) && matching.length === 0) {
+      const item = this.providers.find((candidate) => !provider || candidate.name === provider) || this.providers[0];
+      return item ? [{ provider: item, model: model || item.models[0] }] : [];
+    }
+
+    return useFallback ? matching : matching.slice(0, 1);
+  }
+
+  /**
+   * Circuit breaker провайдера (см. utils/resilience.js)
+   */
+  getBreaker(provider) {
+    return getCircuitBreaker(`llm:${provider.name}`);
+  }
+
+  /**
+   * Сбой провайдера для circuit breaker: ошибка сервера, таймаут или сетевой сбой
+   * (429 и 4xx - ответ получен, провайдер доступен)
+   */
+  isProviderFailure(error) {
+    return error.status ? error.status >= 500 : this.isRetryable(error);
+  }
+
+  /**
+   * Повтор имеет смысл: лимит запросов, ошибка сервера, таймаут или сетевой сбой
+   */
+  isRetryable(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+    return Boolean(error.timeout) || /ECONNRESET|ETIMEDOUT|ENOTFOUND|ECONNREFUSED|EAI_AGAIN/.test(error.message);
+  }
+
+  /**
+   * Генерация маршрута: модели по цепочке fallback, каждая - с повторами
+   * options.provider / options.model - конкретная модель; options.useFallback: false - без fallback
+   * options.onAttempt(details) вызывается при каждой неудачной попытке
+   * options.responseFormat - response_format запроса (JSON схема структурированного маршрута)
+   * options.messages - готовые сообщения вместо одного сообщения с промптом (продолжение ответа)
+   * options.locale - язык заявки для запросов продолжения (см. utils/continuation.js)
+   * options.beforeRequest() вызывается перед каждой попыткой и запасной моделью и может запретить запрос ошибкой (лимит расходов)
+   * options.onUsage({ usage, model, provider }) вызывается после каждого полученного ответа
+   * Обрезанный по max_tokens ответ дописывается запросами продолжения (см. continueRoute)
    */
   async generateRoute(prompt, options = {}) {
+    const targets = this.getTargets(options);
+    if (targets.length === 0) {
+      throw new Error("No LLM providers configured");
+    }
+
+    let lastError = null;
+    for (const [index, target] of targets.entries()) {
+      // Лимит расходов проверяется и перед запросом к запасной модели; ошибка прерывает цепочку
+      if (options.beforeRequest) {
+        options.beforeRequest();
+      }
+
+      if (index > 0) {
+        logger.info("Trying fallback model", {
+          provider: target.provider.name,
+          model: target.model,
+          reason: lastError.message,
+        });
+      }
+
+      try {
+        return await this.requestWithRetry(prompt, target, options);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Проверка текста moderation API первого провайдера цепочки, который его поддерживает (OpenAI, mock)
+   * Возвращает { flagged, categories, model, provider } или null, если таких провайдеров нет
+   */
+  async moderate(input, { timeout = this.timeout } = {}) {
+    const provider = this.providers.find((item) => item.moderation && typeof item.moderate === "function");
+    if (!provider) {
+      return null;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      const result = await provider.moderate({ input, signal: controller.signal });
+      return { ...result, provider: provider.name };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error(`${provider.name} moderation timeout after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Запрос к одной модели с повторами при временных ошибках
+   * Пауза между повторами растет экспоненциально и не меньше Retry-After провайдера;
+   * при открытом circuit breaker провайдера запрос не отправляется (ошибка с circuitOpen)
+   */
+  async requestWithRetry(prompt, { provider, model }, options) {
     const {
-      model = this.defaultModel,
-      useFallback = true,
-      retryCount = 0,
+      onAttempt,
+      stream = false,
+      onToken,
+      onStart,
+      responseFormat,
+      messages = [{ role: "user", content: prompt }],
+      continuation = true,
     } = options;
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const breaker = this.getBreaker(provider);
+
+    for (let attempt = 1; ; attempt++) {
+      // Перед повтором - снова лимит расходов (первую попытку проверяет generateRoute)
+      if (attempt > 1 && options.beforeRequest) {
+        options.beforeRequest();
+      }
+
+      // Провайдер недоступен - запрос уходит следующей модели цепочки
+      if (!breaker.canRequest()) {
+        const error = breaker.createOpenError();
+        logger.warn("LLM provider circuit is open, request skipped", {
+          provider: provider.name,
+          model,
+          retryAfter: error.retryAfter,
+        });
+        throw error;
+      }
+
+      // Новый запрос (в т.ч. повтор или fallback) - потребитель потока сбрасывает полученный текст
+      if (onStart) {
+        onStart({ provider: provider.name, model, attempt });
+      }
+
+      const controller = new AbortController();
+      let timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      // В потоке таймаут считается от последнего полученного фрагмента, а не от начала запроса
+      const resetTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      };
 
-    try {
       const startTime = Date.now();
-      
-      logger.info("OpenAI request", {
-        model,
-        attempt: retryCount + 1,
-        promptLength: prompt.length,
-      });
+      let result;
 
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify({
+      try {
+        logger.info("LLM request", {
+          provider: provider.name,
           model,
-          messages: [{ role: "user", content: prompt }],
-          temperature: this.temperature,
-          max_tokens: this.maxTokens,
-        }),
-        signal: controller.signal,
-      });
+          attempt,
+          promptLength: prompt.length,
+        });
 
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
+        result = await provider.complete({
+          model,
+          messages,
+          temperature: this.temperature,
+          maxTokens: this.maxTokens,
+          stream,
+          responseFormat,
+          // Языком заявки пользуется mock провайдер, остальные его не передают
+          locale: options.locale,
+          signal: controller.signal,
+          onToken: stream
+            ? (delta) => {
+                resetTimeout();
+                if (onToken) onToken(delta);
+              }
+            : undefined,
+        });
+        breaker.recordSuccess();
+      } catch (caught) {
+        let error = caught;
+        if (error.name === "AbortError") {
+          error = new Error(`${provider.name} request timeout after ${this.timeout}ms`);
+          error.timeout = true;
+        }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch (e) {
-          errorData = { message: errorText };
+        if (this.isProviderFailure(error)) {
+          breaker.recordFailure(error);
+        } else {
+          breaker.recordSuccess();
         }
 
-        logger.error("OpenAI API error", {
-          status: response.status,
-          statusText: response.statusText,
-          error: errorData,
-          attempt: retryCount + 1,
+        logger.error("LLM request failed", {
+          provider: provider.name,
+          model,
+          status: error.status,
+          error: error.message,
+          attempt,
         });
 
-        // Retry для определенных ошибок
-        if (
-          retryCount < this.maxRetries &&
-          (response.status === 429 || response.status >= 500)
-        ) {
-          logger.info("Retrying OpenAI request", {
-            attempt: retryCount + 1,
-            status: response.status,
+        if (onAttempt) {
+          onAttempt({
+            service: "llm",
+            provider: provider.name,
+            model,
+            attempt,
+            status: error.status,
+            error: error.message,
           });
-          await this.delay(this.retryDelay * (retryCount + 1));
-          return this.generateRoute(prompt, {
-            ...options,
-            retryCount: retryCount + 1,
+        }
+
+        // Breaker открылся на этой ошибке - повторы бессмысленны, запрос уходит следующей модели
+        if (attempt <= this.maxRetries && this.isRetryable(error) && breaker.state !== CIRCUIT_STATES.OPEN) {
+          // Провайдер просит подождать дольше допустимого - не ждем, а переходим к следующей модели
+          if (error.retryAfter > this.maxRetryAfter) {
+            logger.warn("Retry-After exceeds limit, skipping retries", {
+              provider: provider.name,
+              model,
+              retryAfter: error.retryAfter,
+              maxRetryAfter: this.maxRetryAfter,
+            });
+            throw error;
+          }
+
+          const delay = getRetryDelay(attempt, { baseDelay: this.retryDelay, retryAfter: error.retryAfter });
+          logger.info("Retrying LLM request", {
+            provider: provider.name,
+            model,
+            attempt,
+            status: error.status,
+            delay,
+            retryAfter: error.retryAfter,
           });
+          await this.delay(delay);
+          continue;
         }
 
-        throw new Error(
-          `OpenAI API error: ${response.status} - ${errorData.message || errorText}`
-        );
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
       }
 
-      const result = await response.json();
-      const choice = result.choices?.[0];
-      const content = choice?.message?.content || "Маршрут не удалось создать.";
-      const finishReason = choice?.finish_reason || "unknown";
-      const usage = result.usage || {};
+      const duration = Date.now() - startTime;
+      const content = result.content || "Маршрут не удалось создать.";
+      const finishReason = result.finishReason || "unknown";
+      // Стоимость в USD - в usage: суммируется вместе с токенами продолжений, исправлений и частей planner
+      const usage = { ...result.usage, cost: calculateCost(model, result.usage) };
+      // Ответ оплачен, даже если дальше он окажется невалидным или генерация перейдет на запасной режим
+      if (options.onUsage) {
+        options.onUsage({ usage, model, provider: provider.name });
+      }
 
-      logger.info("OpenAI response", {
+      logger.info("LLM response", {
+        provider: provider.name,
+        model,
         duration: `${duration}ms`,
         finishReason,
         tokens: {
@@ -140,39 +327,25 @@ class OpenAIService {
           prompt: usage.prompt_tokens,
           completion: usage.completion_tokens,
         },
+        cost: usage.cost,
         contentLength: content.length,
-        attempt: retryCount + 1,
+        attempt,
       });
 
-      // Если ответ обрезан и есть fallback модель, пробуем fallback
-      if (
-        finishReason === "length" &&
-        useFallback &&
-        model !== this.fallbackModel &&
-        retryCount === 0
-      ) {
-        logger.warn("Response truncated, trying fallback model", {
-          originalModel: model,
-          fallbackModel: this.fallbackModel,
-        });
-
-        // Увеличиваем лимит токенов для fallback
-        const originalMaxTokens = this.maxTokens;
-        this.maxTokens = Math.min(4000, this.maxTokens + 2000);
+      const response = {
+        content,
+        finishReason,
+        usage,
+        model,
+        provider: provider.name,
+        duration,
+        continuations: 0,
+      };
 
-        try {
-          const fallbackResult = await this.generateRoute(prompt, {
-            model: this.fallbackModel,
-            useFallback: false,
-            retryCount: 0,
-          });
-          this.maxTokens = originalMaxTokens;
-          return fallbackResult;
-        } catch (fallbackError) {
-          this.maxTokens = originalMaxTokens;
-          // Возвращаем обрезанный результат вместо ошибки
-          logger.warn("Fallback failed, returning truncated result");
-        }
+      // Ответ обрезан по max_tokens - дописываем его запросами продолжения.
+      // В режиме JSON схемы модель начинает объект заново, поэтому там продолжение не используется
+      if (finishReason === "length" && continuation && !responseFormat && this.maxContinuations > 0) {
+        return this.continueRoute(prompt, response, options);
       }
 
       // Проверка на обрыв ответа
@@ -184,67 +357,126 @@ class OpenAIService {
         });
       }
 
-      return {
-        content,
-        finishReason,
-        usage,
-        model,
-        duration,
-      };
-    } catch (error) {
-      clearTimeout(timeoutId);
-
-      if (error.name === "AbortError") {
-        logger.error("OpenAI request timeout", {
-          timeout: this.timeout,
-          attempt: retryCount + 1,
-        });
-
-        // Retry при таймауте
-        if (retryCount < this.maxRetries) {
-          logger.info("Retrying after timeout", {
-            attempt: retryCount + 1,
-          });
-          await this.delay(this.retryDelay * (retryCount + 1));
-          return this.generateRoute(prompt, {
-            ...options,
-            retryCount: retryCount + 1,
-          });
-        }
+      return response;
+    }
+  }
 
-        // Если fallback доступен, пробуем его
-        if (useFallback && model !== this.fallbackModel && retryCount === 0) {
-          logger.info("Trying fallback model after timeout");
-          return this.generateRoute(prompt, {
-            model: this.fallbackModel,
-            useFallback: false,
-            retryCount: 0,
-          });
-        }
+  /**
+   * Продолжение обрезанного ответа: "продолжи с того места, где остановился"
+   * с уже полученным текстом в роли ответа ассистента. Повтор конца предыдущего фрагмента
+   * вырезается при склейке. Не больше config.openai.maxContinuations продолжений.
+   */
+  async continueRoute(prompt, firstResult, options = {}) {
+    let result = { ...firstResult, continuations: 0 };
+
+    while (result.finishReason === "length" && result.continuations < this.maxContinuations) {
+      const continuations = result.continuations + 1;
+      logger.info("Response truncated, requesting continuation", {
+        model: result.model,
+        continuation: continuations,
+        contentLength: result.content.length,
+      });
 
-        throw new Error(`OpenAI request timeout after ${this.timeout}ms`);
-      }
+      const stream = options.onToken
+        ? createContinuationStream(result.content, options.onToken)
+        : null;
 
-      // Retry для других сетевых ошибок
-      if (
-        retryCount < this.maxRetries &&
-        (error.message.includes("ECONNRESET") ||
-          error.message.includes("ETIMEDOUT") ||
-          error.message.includes("ENOTFOUND"))
-      ) {
-        logger.info("Retrying after network error", {
-          error: error.message,
-          attempt: retryCount + 1,
-        });
-        await this.delay(this.retryDelay * (retryCount + 1));
-        return this.generateRoute(prompt, {
+      let next;
+      try {
+        next = await this.generateRoute(prompt, {
           ...options,
-          retryCount: retryCount + 1,
+          provider: result.provider,
+          model: result.model,
+          useFallback: false,
+          continuation: false,
+          messages: buildContinuationMessages(prompt, result.content, options.locale),
+          // Полученный текст не сбрасывается - продолжение дописывается к нему
+          onStart: undefined,
+          onToken: stream ? (delta) => stream.push(delta) : undefined,
         });
+      } catch (error) {
+        // Обрезанный маршрут лучше, чем никакого
+        logger.warn("Continuation failed, returning truncated result", {
+          continuation: continuations,
+          error: error.message,
+        });
+        break;
       }
+      stream?.flush();
+
+      result = {
+        content: result.content + stitchContinuation(result.content, next.content),
+        finishReason: next.finishReason,
+        usage: addUsage(result.usage, next.usage),
+        model: result.model,
+        provider: result.provider,
+        duration: result.duration + next.duration,
+        continuations,
+      };
+    }
+
+    if (result.finishReason === "length") {
+      logger.warn("Response still truncated after continuations", {
+        continuations: result.continuations,
+        contentLength: result.content.length,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Генерация структурированного маршрута (JSON по ITINERARY_JSON_SCHEMA)
+   * Невалидный ответ отправляется модели на исправление (не больше config.itinerary.repairAttempts раз).
+   * Возвращает результат generateRoute с itinerary (структура) и content (Markdown из структуры на языке options.locale)
+   */
+  async generateStructuredRoute(prompt, options = {}) {
+    const structuredPrompt = `${prompt}\n\n${STRUCTURED_INSTRUCTIONS}`;
+    const requestOptions = {
+      ...options,
+      // JSON целиком проверяется только после получения, поток клиентам не нужен
+      stream: false,
+      responseFormat: {
+        type: "json_schema",
+        json_schema: { name: "itinerary", strict: true, schema: ITINERARY_JSON_SCHEMA },
+      },
+    };
+
+    let result = await this.generateRoute(structuredPrompt, requestOptions);
+    let { itinerary, errors } = parseItinerary(result.content);
+    let usage = { ...result.usage };
+    let repairs = 0;
+
+    while (!itinerary && repairs < this.repairAttempts) {
+      repairs++;
+      logger.warn("Structured itinerary failed validation, requesting repair", {
+        repair: repairs,
+        errors: errors.slice(0, 10),
+        model: result.model,
+      });
+
+      result = await this.generateRoute(
+        `${structuredPrompt}\n\n${buildRepairPrompt(result.content, errors)}`,
+        requestOptions
+      );
+      ({ itinerary, errors } = parseItinerary(result.content));
+      usage = addUsage(usage, result.usage);
+    }
 
+    if (!itinerary) {
+      const error = new Error(`Structured itinerary is invalid: ${errors.slice(0, 3).join("; ")}`);
+      error.errors = errors;
       throw error;
     }
+
+    return {
+      ...result,
+      usage,
+      itinerary,
+      content: renderItineraryMarkdown(itinerary, options.locale),
+      format: "json",
+      repairs,
+    };
   }
 
   /**
@@ -0,0 +1,535 @@
+import PDFDocument from "pdfkit";
+import { existsSync } from "fs";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+import { incrementCounter } from "../utils/metrics.js";
+import { parseMarkdown, renderInlineSegments } from "../utils/markdown.js";
+import { formatAmount } from "../utils/itinerary.js";
+import { getDayPattern, normalizeTitle } from "../utils/qualityCheck.js";
+import { formatTripDates, normalizeTripDates } from "../utils/dateParser.js";
+import { t, DEFAULT_LOCALE } from "../utils/i18n.js";
+
+// Цвета писем (см. utils/markdown.js EMAIL_STYLES)
+const COLORS = {
+  accent: "#667eea",
+  heading: "#1a1a1a",
+  text: "#333333",
+  muted: "#777777",
+  border: "#e0e0e0",
+  header: "#f5f5ff",
+};
+
+const FONT_SIZES = { 1: 20, 2: 17, 3: 15, 4: 13 };
+const TEXT_SIZE = 11;
+const LIST_INDENT = 16;
+const CELL_PADDING = 5;
+
+/**
+ * Текст для PDF: шрифты без цветных эмодзи, вместо них были бы пустые квадраты
+ */
+const cleanText = (text) =>
+  String(text)
+    .replace(/\p{Extended_Pictographic}\uFE0F?|[\uFE0F\u200D]/gu, "")
+    .replace(/[ \t]{2,}/g, " ");
+
+const cleanSegments = (text) => {
+  const segments = renderInlineSegments(text)
+    .map((segment) => ({ ...segment, text: cleanText(segment.text) }))
+    .filter((segment) => segment.text.trim() || segment.text === " ");
+  // Пробел на месте удаленного эмодзи в начале и в конце строки
+  if (segments.length > 0) {
+    segments[0].text = segments[0].text.trimStart();
+    segments[segments.length - 1].text = segments[segments.length - 1].text.trimEnd();
+  }
+  return segments.filter((segment) => segment.text);
+};
+
+const segmentsText = (text) => cleanSegments(text).map((segment) => segment.text).join("").trim();
+
+/**
+ * Раздел с заголовком blocks[index]: заголовок и блоки до следующего заголовка того же или более высокого уровня
+ */
+const sectionEnd = (blocks, index) => {
+  const { level } = blocks[index];
+  const end = blocks.findIndex((block, position) => position > index && block.type === "heading" && block.level <= level);
+  return end === -1 ? blocks.length : end;
+};
+
+/**
+ * Таблица бюджета: из структурированного маршрута или из раздела "Бюджет" Markdown (таблица или список "Статья: сумма")
+ * Возвращает { header, rows, total, notes } или null
+ */
+const buildBudget = ({ itinerary, section, locale }) => {
+  const header = [t(locale, "pdf.category"), t(locale, "pdf.amount"), t(locale, "pdf.note")];
+
+  if (itinerary?.budget) {
+    const { currency, items, total, notes } = itinerary.budget;
+    return {
+      header,
+      rows: items.map((item) => [item.category, `${formatAmount(item.amount)} ${currency}`, item.note || ""]),
+      total: [t(locale, "itinerary.total"), `${formatAmount(total)} ${currency}`, ""],
+      notes: notes ? [{ type: "paragraph", lines: [notes] }] : [],
+    };
+  }
+
+  if (!section) return null;
+
+  const table = section.find((block) => block.type === "table");
+  if (table) {
+    return {
+      header: table.header.map(segmentsText),
+      rows: table.rows.map((row) => table.header.map((_, index) => segmentsText(row[index] || ""))),
+      total: null,
+      notes: section.filter((block) => block.type === "paragraph"),
+    };
+  }
+
+  const list = section.find((block) => block.type === "list");
+  if (!list) return null;
+
+  // "Проживание: 180 EUR — 2 ночи" -> статья, сумма, примечание
+  const rows = list.items.map((item) => {
+    const text = segmentsText(item.text);
+    const separator = text.indexOf(":");
+    if (separator <= 0) return [text, "", ""];
+    const [amount, ...note] = text.slice(separator + 1).trim().split(/\s+[—–]\s+/);
+    return [text.slice(0, separator).trim(), amount, note.join(" — ")];
+  });
+  // Строка "Итого" - отдельной строкой таблицы
+  const totalLabel = normalizeTitle(t(locale, "itinerary.total"));
+  const totalIndex = rows.findIndex(([category]) => normalizeTitle(category) === totalLabel);
+
+  const hasNotes = rows.some((row) => row[2]);
+  const columns = (row) => (hasNotes ? row : row.slice(0, 2));
+
+  return {
+    header: columns(header),
+    rows: rows.filter((_, index) => index !== totalIndex).map(columns),
+    total: totalIndex === -1 ? null : columns(rows[totalIndex]),
+    notes: section.filter((block) => block.type === "paragraph"),
+  };
+};
+
+/**
+ * Разбор маршрута на части PDF: вступление (до первого дня), дни, остальные разделы и бюджет
+ * День начинается заголовком или строкой жирным "День N" и заканчивается следующим днем
+ * или заголовком того же уровня (у дня-строки - любым заголовком).
+ */
+export const splitItinerary = (content, { itinerary = null, locale = DEFAULT_LOCALE } = {}) => {
+  const blocks = parseMarkdown(content);
+  const dayPattern = new RegExp(getDayPattern(locale).source, "iu");
+  const dayTitle = (block) => {
+    const text = block.type === "heading" ? block.text : block.type === "paragraph" ? block.lines[0] : null;
+    return text && dayPattern.test(segmentsText(text)) ? text : null;
+  };
+
+  const intro = [];
+  const days = [];
+  const rest = [];
+  let day = null;
+
+  for (const block of blocks) {
+    const title = dayTitle(block);
+    if (title) {
+      day = {
+        title,
+        // Остальные строки абзаца "**День 1**\nОписание" - первый блок дня
+        blocks: block.type === "paragraph" && block.lines.length > 1 ? [{ type: "paragraph", lines: block.lines.slice(1) }] : [],
+        endLevel: block.type === "heading" ? block.level : 6,
+      };
+      days.push(day);
+      continue;
+    }
+
+    if (day && block.type === "heading" && block.level <= day.endLevel) {
+      day = null;
+    }
+
+    if (day) {
+      day.blocks.push(block);
+    } else {
+      (days.length > 0 ? rest : intro).push(block);
+    }
+  }
+
+  // Заголовок раздела дней ("Ежедневный план") без текста в конце вступления
+  while (intro.length > 0 && intro[intro.length - 1].type === "heading") {
+    intro.pop();
+  }
+
+  // Раздел "Бюджет" - таблицей на отдельной странице
+  const budgetTitle = normalizeTitle(t(locale, "itinerary.budget"));
+  const others = [...intro, ...rest];
+  const budgetIndex = others.findIndex((block) => block.type === "heading" && normalizeTitle(block.text).includes(budgetTitle));
+  let section = null;
+  if (budgetIndex !== -1) {
+    section = others.slice(budgetIndex + 1, sectionEnd(others, budgetIndex));
+  }
+
+  const budget = buildBudget({ itinerary, section, locale });
+  // Без таблицы раздел бюджета остается текстом
+  const keep = (block) => !budget || !section || (block !== others[budgetIndex] && !section.includes(block));
+
+  return {
+    intro: intro.filter(keep),
+    days: days.map(({ title, blocks: dayBlocks }) => ({ title, blocks: dayBlocks })),
+    rest: rest.filter(keep),
+    budget,
+  };
+};
+
+/**
+ * PDF версия маршрута для печати и использования без интернета
+ *
+ * Собирается локально (pdfkit): обложка с городом и датами, вступление, каждый день на своей странице,
+ * остальные разделы и таблица бюджета. Текст маршрута - тот же Markdown, что и в письме
+ * (для структурированного маршрута бюджет берется из JSON).
+ */
+class PdfService {
+  constructor() {
+    this.attach = config.pdf.attach;
+    this.fonts = this.resolveFonts();
+  }
+
+  /**
+   * Шрифты с кириллицей из config.pdf; без файлов - встроенная Helvetica (кириллица не отображается)
+   */
+  resolveFonts() {
+    const { font, fontBold } = config.pdf;
+    if (existsSync(font) && existsSync(fontBold)) {
+      return { regular: font, bold: fontBold };
+    }
+
+    logger.warn("PDF fonts not found, falling back to Helvetica without Cyrillic", { font, fontBold });
+    return { regular: "Helvetica", bold: "Helvetica-Bold" };
+  }
+
+  /**
+   * Имя файла PDF: "Маршрут - Лиссабон.pdf"
+   */
+  getFilename(city, locale = DEFAULT_LOCALE) {
+    const name = t(locale, "pdf.filename", { city: city || t(locale, "email.cityFallback") });
+    return `${name.replace(/[\\/:*?"<>|\u0000-\u001F]/g, "").trim()}.pdf`;
+  }
+
+  /**
+   * PDF маршрута задачи (JSON API или webhook Tilda): { filename, content }
+   * Задача без готового маршрута - ошибка 409
+   */
+  async renderJob(job) {
+    const result = job.result || {};
+    const content = result.route || result.plan;
+    if (!content) {
+      const error = new Error(`Itinerary is not ready yet: ${job.id} (${job.state})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const { city, name } = job.payload;
+    const locale = job.payload.locale || DEFAULT_LOCALE;
+    // Задачи, поставленные до нормализации дат, содержат только исходные строки
+    const dates = job.payload.dates || normalizeTripDates(job.payload.startDate, job.payload.endDate);
+
+    return {
+      filename: this.getFilename(city, locale),
+      content: await this.renderItinerary({
+        city,
+        name,
+        dates: formatTripDates(dates, { locale }),
+        content,
+        itinerary: result.structured || null,
+        locale,
+      }),
+    };
+  }
+
+  /**
+   * PDF для вложения в письмо или null: ошибка PDF не задерживает письмо с маршрутом
+   */
+  async renderAttachment(job) {
+    try {
+      return await this.renderJob(job);
+    } catch (error) {
+      incrementCounter("pdf_failed_total");
+      logger.warn("Itinerary PDF failed, email sent without attachment", { jobId: job.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * PDF маршрута: Buffer
+   * content - Markdown маршрута, itinerary - структура (ITINERARY_FORMAT=json) или null
+   */
+  renderItinerary({ city, name = null, dates = null, content, itinerary = null, locale = DEFAULT_LOCALE }) {
+    const startedAt = Date.now();
+    const { intro, days, rest, budget } = splitItinerary(content, { itinerary, locale });
+    const cityLabel = city || t(locale, "email.cityFallback");
+
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: 56, bottom: 56, left: 56, right: 56 },
+      bufferPages: true,
+      info: { Title: t(locale, "pdf.title", { city: cityLabel }), Author: config.email.fromName },
+    });
+    doc.registerFont("regular", this.fonts.regular);
+    doc.registerFont("bold", this.fonts.bold);
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    this.renderCover(doc, { city: cityLabel, name, dates, locale });
+
+    if (intro.length > 0) {
+      doc.addPage();
+      this.renderHeading(doc, t(locale, "pdf.overview"), 1);
+      this.renderBlocks(doc, intro);
+    }
+
+    for (const day of days) {
+      doc.addPage();
+      this.renderHeading(doc, day.title, 1);
+      this.renderBlocks(doc, day.blocks);
+    }
+
+    if (rest.length > 0) {
+      doc.addPage();
+      this.renderHeading(doc, t(locale, "pdf.more"), 1);
+      this.renderBlocks(doc, rest);
+    }
+
+    if (budget) {
+      doc.addPage();
+      this.renderHeading(doc, t(locale, "pdf.budget"), 1);
+      this.renderTable(doc, budget.header, budget.total ? [...budget.rows, budget.total] : budget.rows, {
+        boldLastRow: Boolean(budget.total),
+      });
+      this.renderBlocks(doc, budget.notes);
+    }
+
+    this.renderPageNumbers(doc, locale);
+    doc.end();
+
+    return done.then((buffer) => {
+      incrementCounter("pdf_rendered_total");
+      logger.info("Itinerary PDF rendered", {
+        city: cityLabel,
+        days: days.length,
+        pages: doc.bufferedPageRange().count,
+        bytes: buffer.length,
+        duration: Date.now() - startedAt,
+      });
+      return buffer;
+    });
+  }
+
+  renderCover(doc, { city, name, dates, locale }) {
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const top = doc.page.height / 3;
+
+    doc.rect(0, 0, doc.page.width, 12).fill(COLORS.accent);
+    doc
+      .font("bold")
+      .fontSize(30)
+      .fillColor(COLORS.heading)
+      .text(cleanText(t(locale, "pdf.title", { city })).trim(), doc.page.margins.left, top, { width, align: "center" });
+
+    doc.moveDown(1);
+    if (dates && dates !== t(locale, "dates.notSpecified")) {
+      doc.font("regular").fontSize(16).fillColor(COLORS.accent).text(dates, { width, align: "center" });
+      doc.moveDown(0.5);
+    }
+    if (name) {
+      doc.font("regular").fontSize(13).fillColor(COLORS.text).text(t(locale, "pdf.traveler", { name }), { width, align: "center" });
+      doc.moveDown(0.5);
+    }
+
+    doc
+      .font("regular")
+      .fontSize(11)
+      .fillColor(COLORS.muted)
+      .text(t(locale, "pdf.subtitle"), doc.page.margins.left, doc.page.height - doc.page.margins.bottom - 40, {
+        width,
+        align: "center",
+      });
+  }
+
+  renderHeading(doc, text, level) {
+    const left = doc.page.margins.left;
+    if (doc.y > doc.page.margins.top) {
+      doc.moveDown(level === 1 ? 0.2 : 0.6);
+    }
+
+    this.renderSegments(doc, text, {
+      x: left,
+      size: FONT_SIZES[Math.min(level, 4)],
+      color: level <= 2 ? COLORS.heading : COLORS.accent,
+      bold: true,
+    });
+
+    if (level === 1) {
+      const y = doc.y + 4;
+      doc.moveTo(left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(1).strokeColor(COLORS.border).stroke();
+      doc.y = y + 8;
+    } else {
+      doc.moveDown(0.3);
+    }
+  }
+
+  /**
+   * Строка Markdown фрагментами: жирный текст своим шрифтом, ссылки кликабельные
+   */
+  renderSegments(doc, text, { x, size = TEXT_SIZE, color = COLORS.text, bold = false }) {
+    const segments = cleanSegments(text);
+    if (segments.length === 0) return;
+
+    const width = doc.page.width - doc.page.margins.right - x;
+    segments.forEach((segment, index) => {
+      doc
+        .font(bold || segment.bold ? "bold" : "regular")
+        .fontSize(size)
+        .fillColor(segment.link ? COLORS.accent : color);
+      const options = {
+        width,
+        continued: index < segments.length - 1,
+        link: segment.link,
+        underline: Boolean(segment.link),
+      };
+      if (index === 0) {
+        doc.text(segment.text, x, doc.y, options);
+      } else {
+        doc.text(segment.text, options);
+      }
+    });
+  }
+
+  renderBlocks(doc, blocks, { indent = 0 } = {}) {
+    const x = doc.page.margins.left + indent;
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case "heading":
+          this.renderHeading(doc, block.text, Math.max(block.level, 2));
+          break;
+        case "paragraph":
+          block.lines.forEach((line) => this.renderSegments(doc, line, { x }));
+          doc.moveDown(0.5);
+          break;
+        case "list":
+          block.items.forEach((item, index) => {
+            const marker = block.ordered ? `${(block.start || 1) + index}.` : "•";
+            // Пункт с новой страницы, если маркер не помещается на текущей
+            if (doc.y + TEXT_SIZE * 2 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+            const y = doc.y;
+            doc.font("regular").fontSize(TEXT_SIZE).fillColor(COLORS.accent).text(marker, x, y, { width: LIST_INDENT, lineBreak: false });
+            doc.y = y;
+            this.renderSegments(doc, item.text, { x: x + LIST_INDENT });
+            if (item.blocks.length > 0) {
+              this.renderBlocks(doc, item.blocks, { indent: indent + LIST_INDENT });
+            }
+            doc.moveDown(0.2);
+          });
+          doc.moveDown(0.3);
+          break;
+        case "table":
+          this.renderTable(doc, block.header.map(segmentsText), block.rows.map((row) => block.header.map((_, index) => segmentsText(row[index] || ""))), { indent });
+          break;
+        case "quote":
+          this.renderBlocks(doc, block.blocks, { indent: indent + LIST_INDENT });
+          break;
+        case "code":
+          doc.font("regular").fontSize(TEXT_SIZE - 1).fillColor(COLORS.text).text(cleanText(block.text), x, doc.y);
+          doc.moveDown(0.5);
+          break;
+        case "rule": {
+          const y = doc.y + 4;
+          doc.moveTo(x, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+          doc.y = y + 8;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Таблица с рамками; строка, которая не помещается, переносится на новую страницу вместе с шапкой
+   */
+  renderTable(doc, header, rows, { indent = 0, boldLastRow = false } = {}) {
+    const x = doc.page.margins.left + indent;
+    const width = doc.page.width - doc.page.margins.right - x;
+    const columnWidth = width / header.length;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const rowHeight = (cells, font) => {
+      doc.font(font).fontSize(TEXT_SIZE - 1);
+      return Math.max(
+        ...cells.map((cell) => doc.heightOfString(cleanText(cell), { width: columnWidth - CELL_PADDING * 2 }))
+      ) + CELL_PADDING * 2;
+    };
+
+    const drawRow = (cells, { font, fill = null }) => {
+      const height = rowHeight(cells, font);
+      const y = doc.y;
+      cells.forEach((cell, index) => {
+        const cellX = x + columnWidth * index;
+        if (fill) doc.rect(cellX, y, columnWidth, height).fill(fill);
+        doc.rect(cellX, y, columnWidth, height).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+        doc
+          .font(font)
+          .fontSize(TEXT_SIZE - 1)
+          .fillColor(COLORS.text)
+          .text(cleanText(cell), cellX + CELL_PADDING, y + CELL_PADDING, { width: columnWidth - CELL_PADDING * 2 });
+      });
+      doc.y = y + height;
+    };
+
+    const drawHeader = () => drawRow(header, { font: "bold", fill: COLORS.header });
+
+    if (doc.y + rowHeight(header, "bold") * 2 > bottom()) doc.addPage();
+    drawHeader();
+
+    rows.forEach((row, index) => {
+      const cells = header.map((_, column) => row[column] || "");
+      const font = boldLastRow && index === rows.length - 1 ? "bold" : "regular";
+      if (doc.y + rowHeight(cells, font) > bottom()) {
+        doc.addPage();
+        drawHeader();
+      }
+      drawRow(cells, { font });
+    });
+
+    doc.x = doc.page.margins.left;
+    doc.moveDown(0.8);
+  }
+
+  /**
+   * Номера страниц внизу (кроме обложки)
+   */
+  renderPageNumbers(doc, locale) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start + 1; index < start + count; index++) {
+      doc.switchToPage(index);
+      const { margins } = doc.page;
+      // Текст ниже нижнего поля иначе перенесся бы на новую страницу
+      const bottomMargin = margins.bottom;
+      margins.bottom = 0;
+      doc
+        .font("regular")
+        .fontSize(9)
+        .fillColor(COLORS.muted)
+        .text(t(locale, "pdf.page", { page: index, pages: count - 1 }), margins.left, doc.page.height - bottomMargin / 2 - 5, {
+          width: doc.page.width - margins.left - margins.right,
+          align: "center",
+          lineBreak: false,
+        });
+      margins.bottom = bottomMargin;
+    }
+  }
+}
+
+export default new PdfService();
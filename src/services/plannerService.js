@@ -0,0 +1,234 @@
+import openaiService from "./openaiService.js";
+import logger from "../utils/logger.js";
+import { addUsage } from "../utils/continuation.js";
+import { t, DEFAULT_LOCALE } from "../utils/i18n.js";
+import { config } from "../config/index.js";
+
+// Место ежедневного плана в тексте общих разделов
+const DAILY_PLAN_PLACEHOLDER = "{{DAILY_PLAN}}";
+
+const OUTLINE_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["days"],
+  properties: {
+    days: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["day", "area", "theme", "places"],
+        properties: {
+          day: { type: "integer" },
+          area: { type: ["string", "null"] },
+          theme: { type: "string" },
+          places: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Дата N-го дня поездки (DD.MM.YYYY) или null, если даты гибкие
+ */
+const getDayDate = (startDate, index) => {
+  if (!startDate) return null;
+  const date = new Date(new Date(`${startDate}T00:00:00Z`).getTime() + index * DAY_MS);
+  return date.toISOString().slice(0, 10).split("-").reverse().join(".");
+};
+
+/**
+ * Выполнение задач с ограничением параллельности, результаты в исходном порядке
+ */
+const mapWithConcurrency = async (items, limit, handler) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await handler(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Генерация длинных поездок по частям (planner mode)
+ *
+ * 1. План поездки по дням: район, тема и ключевые места каждого дня (JSON)
+ * 2. Общие разделы маршрута и ежедневный план блоками по config.planner.daysPerBlock дней -
+ *    параллельно; каждый блок видит план всей поездки и не повторяет места других дней
+ * 3. Склейка: блоки дней подставляются в общие разделы вместо {{DAILY_PLAN}}
+ *
+ * Базовый промпт (buildPrompt) общий для всех частей, к нему добавляется задание этапа.
+ */
+class PlannerService {
+  constructor() {
+    this.minDays = config.planner.minDays;
+    this.daysPerBlock = config.planner.daysPerBlock;
+    this.concurrency = config.planner.concurrency;
+  }
+
+  /**
+   * Включается автоматически для поездок от config.planner.minDays дней (0 - выключен)
+   */
+  shouldUse(dates) {
+    return this.minDays > 0 && (dates?.days || 0) >= this.minDays;
+  }
+
+  /**
+   * Генерация маршрута по частям
+   * Возвращает результат в формате openaiService.generateRoute и planner: { days, blocks }
+   * locale - язык заявки для заданий этапов, заголовков дней и подстановок,
+   * остальные параметры (onAttempt, onUsage, beforeRequest) передаются каждому запросу
+   */
+  async generateRoute(prompt, { dates, locale = DEFAULT_LOCALE, ...options } = {}) {
+    const startTime = Date.now();
+    const days = dates.days;
+    let usage = {};
+    const addResult = (result) => {
+      usage = addUsage(usage, result.usage);
+      return result;
+    };
+
+    logger.info("Planner generation started", { days, daysPerBlock: this.daysPerBlock });
+
+    const outlineResult = addResult(
+      await openaiService.generateRoute(this.buildOutlinePrompt(prompt, days, locale), {
+        ...options,
+        locale,
+        responseFormat: {
+          type: "json_schema",
+          json_schema: { name: "trip_outline", strict: true, schema: OUTLINE_JSON_SCHEMA },
+        },
+      })
+    );
+    const outline = this.parseOutline(outlineResult.content, dates, locale);
+    const outlineText = this.formatOutline(outline, locale);
+
+    const blocks = [];
+    for (let start = 0; start < outline.length; start += this.daysPerBlock) {
+      blocks.push(outline.slice(start, start + this.daysPerBlock));
+    }
+
+    // Общие разделы - первая задача, блоки дней - остальные
+    const tasks = [
+      () => openaiService.generateRoute(this.buildGeneralPrompt(prompt, outlineText, locale), { ...options, locale }),
+      ...blocks.map((block) => () =>
+        openaiService.generateRoute(this.buildDaysPrompt(prompt, outlineText, block, locale), { ...options, locale })
+      ),
+    ];
+    const results = (await mapWithConcurrency(tasks, this.concurrency, (task) => task())).map(addResult);
+    const [general, ...dayResults] = results;
+
+    const content = this.merge(
+      general.content,
+      dayResults.map((result) => result.content.trim()),
+      locale
+    );
+
+    const duration = Date.now() - startTime;
+    logger.info("Planner generation completed", {
+      days,
+      blocks: blocks.length,
+      duration: `${duration}ms`,
+      tokens: usage.total_tokens,
+    });
+
+    return {
+      content,
+      // Обрезанная часть (после всех продолжений) делает обрезанным весь маршрут
+      finishReason: results.some((result) => result.finishReason === "length") ? "length" : general.finishReason,
+      usage,
+      model: general.model,
+      duration,
+      continuations: results.reduce((sum, result) => sum + (result.continuations || 0), 0),
+      planner: { days, blocks: blocks.length },
+    };
+  }
+
+  buildOutlinePrompt(prompt, days, locale = DEFAULT_LOCALE) {
+    return `${prompt}\n\n${t(locale, "planner.outlineTask", { days })}`;
+  }
+
+  buildGeneralPrompt(prompt, outlineText, locale = DEFAULT_LOCALE) {
+    return `${prompt}\n\n${t(locale, "planner.generalTask", { placeholder: DAILY_PLAN_PLACEHOLDER, outline: outlineText })}`;
+  }
+
+  buildDaysPrompt(prompt, outlineText, block, locale = DEFAULT_LOCALE) {
+    const first = block[0].day;
+    const last = block[block.length - 1].day;
+    const range = first === last
+      ? t(locale, "planner.rangeOne", { day: first })
+      : t(locale, "planner.rangeMany", { first, last });
+
+    return `${prompt}\n\n${t(locale, "planner.daysTask", {
+      range,
+      dayHeading: t(locale, "itinerary.day", { day: "N" }),
+      outline: outlineText,
+    })}`;
+  }
+
+  /**
+   * План поездки из ответа модели: ровно dates.days дней по порядку
+   */
+  parseOutline(content, dates, locale = DEFAULT_LOCALE) {
+    let data;
+    try {
+      data = JSON.parse(String(content || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, ""));
+    } catch (error) {
+      throw new Error(`Planner outline is not valid JSON: ${error.message}`);
+    }
+
+    const outlineDays = Array.isArray(data?.days) ? data.days : [];
+    if (outlineDays.length === 0) {
+      throw new Error("Planner outline has no days");
+    }
+
+    return Array.from({ length: dates.days }, (_, index) => {
+      const day = outlineDays.find((item) => item.day === index + 1) || {};
+      return {
+        day: index + 1,
+        date: getDayDate(dates.startDate, index),
+        area: day.area || null,
+        theme: day.theme || t(locale, "planner.freeDay"),
+        places: Array.isArray(day.places) ? day.places : [],
+      };
+    });
+  }
+
+  formatOutline(outline, locale = DEFAULT_LOCALE) {
+    return outline
+      .map(({ day, date, area, theme, places }) => {
+        const header = t(locale, "planner.outlineDay", { day, date: date ? ` (${date})` : "", theme }) +
+          (area ? t(locale, "planner.outlineArea", { area }) : "");
+        return places.length > 0
+          ? `- ${header}. ${t(locale, "planner.outlinePlaces", { places: places.join("; ") })}`
+          : `- ${header}`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Склейка: дни на место {{DAILY_PLAN}}, без него - после общих разделов
+   */
+  merge(general, dayParts, locale = DEFAULT_LOCALE) {
+    const daily = dayParts.join("\n\n");
+    const text = general.trim();
+
+    if (text.includes(DAILY_PLAN_PLACEHOLDER)) {
+      return text.replace(DAILY_PLAN_PLACEHOLDER, () => daily);
+    }
+
+    logger.warn("Planner placeholder not found, appending daily plan");
+    return `${text}\n\n### ${t(locale, "planner.dailyPlan")}\n\n${daily}`;
+  }
+}
+
+export default new PlannerService();
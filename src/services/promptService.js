@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import { readdirSync, readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+import { incrementCounter } from "../utils/metrics.js";
+import { t, DEFAULT_LOCALE } from "../utils/i18n.js";
+import { parsePromptTemplate, renderPromptTemplate } from "../utils/promptTemplate.js";
+import { formatTripDates } from "../utils/dateParser.js";
+import { formatBudget, isBudgetSpecified } from "../utils/budgetParser.js";
+import { formatTravelers, getTravelerGuidance } from "../utils/travelerParser.js";
+import { quoteUserText } from "../utils/inputScreening.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const PROMPT_PRESETS = {
+  LUXURY: "luxury",
+  PRACTICAL: "practical",
+  FAMILY: "family",
+};
+
+// v1.txt - шаблон по умолчанию, v1.en.txt - перевод той же версии
+const VERSION_PATTERN = /^v(\d+)(?:\.([a-z]{2}))?\.txt$/;
+
+/**
+ * Библиотека шаблонов промптов с версиями и пресетами
+ *
+ * Шаблоны лежат в src/templates/prompts/<preset>/v<N>.txt (синтаксис - utils/promptTemplate.js),
+ * переводы - рядом в v<N>.<locale>.txt; без перевода к шаблону добавляется указание языка ответа.
+ * Пресет выбирается профилем формы (promptPreset), полем заявки или PROMPT_PRESET;
+ * версия - последняя, либо по A/B эксперименту (PROMPT_EXPERIMENTS) с долями в процентах.
+ * Выбранные пресет и версия сохраняются в задачу, кэш и письмо.
+ */
+class PromptService {
+  constructor() {
+    this.dir = config.prompts.dir || join(__dirname, "../templates/prompts");
+    this.defaultPreset = config.prompts.defaultPreset;
+    this.experiments = config.prompts.experiments;
+    // preset -> { version -> { base, locales: { locale -> разобранный шаблон } } }
+    this.templates = this.loadTemplates();
+  }
+
+  loadTemplates() {
+    const templates = new Map();
+
+    for (const preset of readdirSync(this.dir, { withFileTypes: true })) {
+      if (!preset.isDirectory()) continue;
+
+      const versions = new Map();
+      for (const file of readdirSync(join(this.dir, preset.name))) {
+        const match = file.match(VERSION_PATTERN);
+        if (!match) continue;
+
+        const version = `v${match[1]}`;
+        const source = readFileSync(join(this.dir, preset.name, file), "utf-8");
+        try {
+          const entry = versions.get(version) || { base: null, locales: {} };
+          const parsed = parsePromptTemplate(source);
+          if (match[2]) {
+            entry.locales[match[2]] = parsed;
+          } else {
+            entry.base = parsed;
+          }
+          versions.set(version, entry);
+        } catch (error) {
+          logger.error("Invalid prompt template", { preset: preset.name, file, error: error.message });
+        }
+      }
+
+      // Перевод без шаблона по умолчанию не считается версией
+      for (const [version, entry] of versions) {
+        if (!entry.base) versions.delete(version);
+      }
+
+      if (versions.size > 0) {
+        templates.set(preset.name, versions);
+      }
+    }
+
+    logger.info("Prompt templates loaded", {
+      presets: Object.fromEntries([...templates].map(([name, versions]) => [name, [...versions.keys()]])),
+    });
+
+    return templates;
+  }
+
+  hasPreset(preset) {
+    return this.templates.has(preset);
+  }
+
+  getPresets() {
+    return [...this.templates.keys()];
+  }
+
+  /**
+   * Первый существующий пресет из кандидатов, иначе любой загруженный
+   */
+  resolvePreset(...candidates) {
+    return candidates.find((name) => name && this.hasPreset(name)) || this.getPresets()[0];
+  }
+
+  /**
+   * Последняя версия пресета (v10 новее v9)
+   */
+  getLatestVersion(preset) {
+    const versions = [...(this.templates.get(preset)?.keys() || [])];
+    return versions.sort((a, b) => Number(b.slice(1)) - Number(a.slice(1)))[0] || null;
+  }
+
+  /**
+   * Выбор шаблона для заявки: { preset, version, experiment }
+   * preset - пресет формы или заявки; fallbackPreset - пресет точки входа (Tilda - luxury, API - practical).
+   * seed (например, email) закрепляет вариант эксперимента: повторные заявки получают ту же версию.
+   */
+  select({ preset = null, fallbackPreset = PROMPT_PRESETS.PRACTICAL, seed = null } = {}) {
+    const selected = this.resolvePreset(preset, this.defaultPreset, fallbackPreset);
+    if (preset && preset !== selected) {
+      logger.warn("Unknown prompt preset, using default", { preset, selected });
+    }
+
+    const version = this.pickExperimentVersion(selected, seed);
+    const template = {
+      preset: selected,
+      version: version || this.getLatestVersion(selected),
+      experiment: Boolean(version),
+    };
+
+    incrementCounter("prompt_assigned_total", { preset: template.preset, version: template.version });
+    return template;
+  }
+
+  /**
+   * Версия по долям эксперимента или null, если эксперимента для пресета нет
+   */
+  pickExperimentVersion(preset, seed) {
+    const weights = Object.entries(this.experiments?.[preset] || {}).filter(
+      ([version, weight]) => this.templates.get(preset).has(version) && Number(weight) > 0
+    );
+    if (weights.length === 0) return null;
+
+    const total = weights.reduce((sum, [, weight]) => sum + Number(weight), 0);
+    const bucket = seed
+      ? crypto.createHash("sha1").update(`${preset}:${String(seed).toLowerCase()}`).digest().readUInt32BE(0) / 0x100000000
+      : Math.random();
+
+    let threshold = 0;
+    for (const [version, weight] of weights) {
+      threshold += Number(weight) / total;
+      if (bucket < threshold) return version;
+    }
+    return weights[weights.length - 1][0];
+  }
+
+  /**
+   * Идентификатор шаблона для кэша, письма и логов: "luxury@v2"
+   */
+  getTemplateId(template) {
+    return template ? `${template.preset}@${template.version}` : null;
+  }
+
+  /**
+   * Переменные шаблона из данных заявки
+   * dates, budget, travelers - разобранные значения (см. utils/dateParser.js, budgetParser.js, travelerParser.js)
+   * Текст клиента (интересы, пожелания, нераспознанный бюджет) - в тройных кавычках (см. utils/inputScreening.js);
+   * город проверен и обрезан при приеме заявки и подставляется в предложения шаблона как есть
+   */
+  buildVariables({ city, dates, budget, interests, travelers, comment }, locale = DEFAULT_LOCALE) {
+    const budgetLabel = formatBudget(budget, locale);
+    const guidance = getTravelerGuidance(travelers, locale);
+    const budgetSpecified = isBudgetSpecified(budget);
+    // Нераспознанный бюджет подставляется исходным текстом клиента
+    const budgetIsText = typeof budget === "string" || (budget && budget.amount === null && !budget.tier);
+    const interestsText = Array.isArray(interests) ? interests.join(", ") : interests;
+
+    return {
+      city: city || t(locale, "prompt.notSpecified"),
+      dates: formatTripDates(dates, { locale }),
+      budget: budgetSpecified ? (budgetIsText ? quoteUserText(budgetLabel) : budgetLabel) : t(locale, "prompt.notSpecified"),
+      budgetSpecified,
+      interests: interestsText ? quoteUserText(interestsText) : t(locale, "prompt.interestsNotSpecified"),
+      travelers: formatTravelers(travelers, locale),
+      travelerGuidance: guidance.map((line) => `- ${line}`).join("\n"),
+      comment: comment ? quoteUserText(comment) : "",
+      userText: Boolean(interestsText || comment || (budgetSpecified && budgetIsText)),
+    };
+  }
+
+  /**
+   * Текст промпта по шаблону на языке заявки
+   * Версия, удаленная после постановки задачи, заменяется последней версией пресета.
+   * С текстом клиента в промпте - указание, что это данные, а не инструкции (prompt.userText)
+   */
+  render(template, params, locale = DEFAULT_LOCALE) {
+    const preset = this.resolvePreset(template?.preset, this.defaultPreset, PROMPT_PRESETS.PRACTICAL);
+    const versions = this.templates.get(preset);
+    let version = template?.version;
+
+    if (!versions.has(version)) {
+      if (version) {
+        logger.warn("Prompt template version not found, using latest", { template, preset });
+      }
+      version = this.getLatestVersion(preset);
+    }
+
+    const entry = versions.get(version);
+    const variables = this.buildVariables(params, locale);
+    const prompt = renderPromptTemplate(entry.locales[locale] || entry.base, variables);
+    const notes = [
+      variables.userText ? t(locale, "prompt.userText") : "",
+      entry.locales[locale] ? "" : t(locale, "prompt.language"),
+    ].filter(Boolean);
+
+    return [prompt, ...notes].join("\n\n");
+  }
+}
+
+export default new PromptService();
@@ -0,0 +1,300 @@
+import openaiService from "./openaiService.js";
+import logger from "../utils/logger.js";
+import { incrementCounter } from "../utils/metrics.js";
+import { buildContinuationMessages, stitchContinuation, addUsage } from "../utils/continuation.js";
+import { checkItinerary, getRequestedSections, findSection, findDays } from "../utils/qualityCheck.js";
+import { t, DEFAULT_LOCALE } from "../utils/i18n.js";
+import { config } from "../config/index.js";
+
+// Заголовок раздела Markdown: конец блока дня или раздела
+const SECTION_HEADING_PATTERN = /^#{1,3}[ \t]/gm;
+
+export const REGENERATION_PARTS = {
+  FULL: "full",
+  CONTINUATION: "continuation",
+  DAYS: "days",
+  SECTIONS: "sections",
+};
+
+/**
+ * Вставка фрагмента перед позицией index (или в конец текста) с пустыми строками вокруг
+ */
+const insertAt = (content, index, fragment) => {
+  if (index === null || index >= content.length) {
+    return `${content.trimEnd()}\n\n${fragment.trim()}\n`;
+  }
+  return `${content.slice(0, index).trimEnd()}\n\n${fragment.trim()}\n\n${content.slice(index).trimStart()}`;
+};
+
+/**
+ * Части ответа по позициям заголовков: [{ key, text }]
+ * Часть заканчивается на следующем заголовке или границе (заголовки других дней и разделов,
+ * которые модель могла написать сверх запрошенного)
+ */
+const splitByHeadings = (content, headings, boundaries = []) => {
+  const found = headings.filter(({ index }) => index !== -1).sort((a, b) => a.index - b.index);
+  const stops = [...found.map(({ index }) => index), ...boundaries, ...[...content.matchAll(SECTION_HEADING_PATTERN)].map(({ index }) => index)];
+
+  return found.map(({ key, index }) => ({
+    key,
+    text: content.slice(index, Math.min(content.length, ...stops.filter((stop) => stop > index))).trim(),
+  }));
+};
+
+/**
+ * Проверка качества сгенерированного маршрута (см. utils/qualityCheck.js)
+ * и точечная догенерация: обрезанный текст дописывается продолжением, недостающие дни
+ * и разделы генерируются отдельным запросом и вставляются на свои места,
+ * при отказе модели маршрут генерируется заново. Не больше config.quality.maxRegenerations раундов.
+ */
+class QualityService {
+  constructor() {
+    this.enabled = config.quality.enabled;
+    this.maxRegenerations = config.quality.maxRegenerations;
+  }
+
+  /**
+   * Проверка и исправление результата openaiService.generateRoute / plannerService.generateRoute
+   * prompt - промпт генерации, days - число дней поездки, regenerate: false - только оценка
+   * (структурированный маршрут собирается из JSON и не дописывается текстом);
+   * остальные параметры (onAttempt, onUsage, beforeRequest) передаются запросам догенерации
+   *
+   * Возвращает результат с исправленным content, usage с учетом догенерации
+   * и quality: { score, initialScore, passed, checks, issues, regenerated }
+   */
+  async review(result, { prompt = "", city = null, days = null, locale = DEFAULT_LOCALE, regenerate = true, jobId = null, ...requestOptions } = {}) {
+    if (!this.enabled || !result?.content) {
+      return result;
+    }
+
+    const checkOptions = { prompt, city, days, locale };
+    let current = { ...result };
+    let report = checkItinerary(current.content, { ...checkOptions, finishReason: current.finishReason });
+    const initialScore = report.score;
+    const regenerated = [];
+
+    Object.entries(report.checks)
+      .filter(([, passed]) => passed === false)
+      .forEach(([check]) => incrementCounter("itinerary_quality_failed_total", { check }));
+
+    for (let round = 1; regenerate && !report.passed && round <= this.maxRegenerations; round++) {
+      logger.warn("Itinerary failed quality checks, regenerating missing parts", {
+        jobId,
+        round,
+        score: report.score,
+        issues: report.issues,
+      });
+
+      const { result: next, parts } = await this.regenerate(current, report, { checkOptions, requestOptions, jobId });
+      if (parts.length === 0) {
+        break;
+      }
+
+      regenerated.push(...parts.map((details) => ({ ...details, round })));
+      current = next;
+      report = checkItinerary(current.content, { ...checkOptions, finishReason: current.finishReason });
+    }
+
+    const quality = {
+      score: report.score,
+      initialScore,
+      passed: report.passed,
+      checks: report.checks,
+      issues: report.issues,
+      regenerated,
+    };
+
+    logger[quality.passed ? "info" : "warn"]("Itinerary quality checked", {
+      jobId,
+      score: quality.score,
+      initialScore,
+      issues: quality.issues,
+      regenerated: quality.regenerated.map(({ part }) => part),
+    });
+
+    return { ...current, quality };
+  }
+
+  /**
+   * Один раунд догенерации по результатам проверки
+   * Возвращает { result, parts }: исправленный результат и сгенерированные части [{ part, model, ... }];
+   * ошибка запроса не прерывает обработку: часть пропускается, маршрут остается как есть
+   */
+  async regenerate(result, report, { checkOptions, requestOptions, jobId }) {
+    const { prompt, days, locale } = checkOptions;
+    const parts = [];
+
+    const apply = async (part, generate) => {
+      try {
+        const generated = await generate();
+        if (!generated) return false;
+
+        const { update, ...details } = generated;
+        incrementCounter("itinerary_regenerations_total", { part });
+        parts.push({ part, ...details });
+        // Следующая часть вставляется уже в исправленный текст
+        result = { ...result, ...update(result) };
+        return true;
+      } catch (error) {
+        logger.warn("Itinerary part regeneration failed", { jobId, part, error: error.message });
+        return false;
+      }
+    };
+
+    // Отказ модели или ни одного дня - исправлять нечего, маршрут генерируется заново
+    if (report.refusal || (days && report.missingDays.length === days)) {
+      await apply(REGENERATION_PARTS.FULL, () => this.regenerateFull(prompt, { ...requestOptions, locale }));
+      return { result, parts };
+    }
+
+    if (report.truncated && (await apply(REGENERATION_PARTS.CONTINUATION, () => this.regenerateContinuation(prompt, result, { ...requestOptions, locale })))) {
+      // Продолжение могло дописать недостающие дни и разделы
+      report = checkItinerary(result.content, { ...checkOptions, finishReason: result.finishReason });
+    }
+    if (report.missingDays.length > 0) {
+      await apply(REGENERATION_PARTS.DAYS, () => this.regenerateDays(prompt, result, report.missingDays, { ...requestOptions, locale }));
+    }
+    if (report.missingSections.length > 0) {
+      await apply(REGENERATION_PARTS.SECTIONS, () => this.regenerateSections(prompt, result, report.missingSections, { ...requestOptions, locale }));
+    }
+
+    return { result, parts };
+  }
+
+  async regenerateFull(prompt, requestOptions) {
+    const next = await openaiService.generateRoute(prompt, requestOptions);
+    if (!next.content) return null;
+
+    return {
+      model: next.model,
+      update: (item) => ({
+        content: next.content,
+        finishReason: next.finishReason,
+        model: next.model,
+        provider: next.provider,
+        usage: addUsage(item.usage, next.usage),
+      }),
+    };
+  }
+
+  async regenerateContinuation(prompt, result, requestOptions) {
+    const next = await openaiService.generateRoute(prompt, {
+      ...requestOptions,
+      continuation: false,
+      messages: buildContinuationMessages(prompt, result.content, requestOptions.locale),
+    });
+    const text = stitchContinuation(result.content, next.content);
+    if (!text.trim()) return null;
+
+    return {
+      model: next.model,
+      update: (item) => ({
+        content: item.content + stitchContinuation(item.content, next.content),
+        finishReason: next.finishReason,
+        usage: addUsage(item.usage, next.usage),
+      }),
+    };
+  }
+
+  async regenerateDays(prompt, result, missingDays, requestOptions) {
+    const { locale } = requestOptions;
+    const existing = findDays(result.content, locale).map(({ index }) => result.content.slice(index).split("\n")[0].trim());
+    const next = await openaiService.generateRoute(this.buildDaysPrompt(prompt, missingDays, existing, locale), requestOptions);
+
+    const found = findDays(next.content, locale);
+    const parts = splitByHeadings(
+      next.content,
+      found.filter(({ day }) => missingDays.includes(day)).map(({ day, index }) => ({ key: day, index })),
+      found.map(({ index }) => index)
+    );
+    if (parts.length === 0) return null;
+
+    return {
+      model: next.model,
+      days: parts.map(({ key }) => key),
+      update: (item) => ({
+        content: parts.reduce((content, { key, text }) => this.insertDay(content, key, text, locale), item.content),
+        usage: addUsage(item.usage, next.usage),
+      }),
+    };
+  }
+
+  async regenerateSections(prompt, result, missingSections, requestOptions) {
+    const next = await openaiService.generateRoute(
+      this.buildSectionsPrompt(prompt, missingSections, requestOptions.locale),
+      requestOptions
+    );
+
+    const parts = splitByHeadings(
+      next.content,
+      missingSections.map((section) => ({ key: section, index: findSection(next.content, section) })),
+      getRequestedSections(prompt).map((section) => findSection(next.content, section))
+    );
+    if (parts.length === 0) return null;
+
+    return {
+      model: next.model,
+      sections: parts.map(({ key }) => key.number),
+      update: (item) => ({
+        content: parts.reduce((content, { key, text }) => this.insertSection(content, key, text, prompt), item.content),
+        usage: addUsage(item.usage, next.usage),
+      }),
+    };
+  }
+
+  buildDaysPrompt(prompt, missingDays, existing, locale = DEFAULT_LOCALE) {
+    const task = t(locale, "quality.daysTask", {
+      days: missingDays.join(", "),
+      dayHeading: t(locale, "itinerary.day", { day: "N" }),
+    });
+    const described = existing.length > 0
+      ? `\n\n${t(locale, "quality.existingDays", { days: existing.map((line) => `- ${line}`).join("\n") })}`
+      : "";
+
+    return `${prompt}\n\n${task}${described}`;
+  }
+
+  buildSectionsPrompt(prompt, missingSections, locale = DEFAULT_LOCALE) {
+    return `${prompt}\n\n${t(locale, "quality.sectionsTask", {
+      sections: missingSections.map(({ heading }) => heading).join("\n"),
+    })}`;
+  }
+
+  /**
+   * Вставка дня перед следующим по номеру днем; если дальше дней нет - после последнего дня
+   * (до следующего раздела), без дней в тексте - в конец
+   */
+  insertDay(content, day, text, locale = DEFAULT_LOCALE) {
+    const found = findDays(content, locale);
+    const nextDay = found.find((item) => item.day > day);
+    if (nextDay) {
+      return insertAt(content, nextDay.index, text);
+    }
+
+    const lastDay = found[found.length - 1];
+    if (!lastDay) {
+      return insertAt(content, null, text);
+    }
+
+    const dayIndexes = new Set(found.map(({ index }) => index));
+    const sectionEnd = [...content.matchAll(SECTION_HEADING_PATTERN)].find(
+      ({ index }) => index > lastDay.index && !dayIndexes.has(index)
+    );
+    return insertAt(content, sectionEnd?.index ?? null, text);
+  }
+
+  /**
+   * Вставка раздела перед следующим по номеру разделом шаблона, если его нет - в конец
+   */
+  insertSection(content, section, text, prompt) {
+    const nextIndex = getRequestedSections(prompt)
+      .filter(({ number }) => number > section.number)
+      .map((item) => findSection(content, item))
+      .filter((index) => index !== -1)
+      .sort((a, b) => a - b)[0];
+
+    return insertAt(content, nextIndex ?? null, text);
+  }
+}
+
+export default new QualityService();
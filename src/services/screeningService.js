@@ -0,0 +1,208 @@
+import openaiService from "./openaiService.js";
+import jobQueue, { JOB_STATES } from "./jobQueue.js";
+import logger from "../utils/logger.js";
+import { incrementCounter } from "../utils/metrics.js";
+import { screenFields, SCREENING_REASONS } from "../utils/inputScreening.js";
+import { config } from "../config/index.js";
+
+export const REVIEW_STATUSES = {
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+export const MODERATION_STATUSES = {
+  PASSED: "passed",
+  FLAGGED: "flagged",
+  // Ни один провайдер цепочки не поддерживает moderation API
+  UNAVAILABLE: "unavailable",
+  // Ошибка запроса: заявка не задерживается
+  FAILED: "failed",
+};
+
+/**
+ * Текст заявки, который попадает в промпт (для moderation API)
+ */
+const getScreenedText = (payload) =>
+  [payload.city, payload.interests, payload.budget?.raw ?? payload.budget, payload.comment]
+    .flat()
+    .filter((value) => typeof value === "string" && value.trim())
+    .join("\n");
+
+/**
+ * Проверка текста заявок и ручная проверка подозрительных заявок (quarantine)
+ *
+ * При приеме заявки (screen) поля очищаются и проверяются (см. utils/inputScreening.js),
+ * результат сохраняется в payload.screening задачи. Перед генерацией (check) текст при необходимости
+ * проверяется moderation API; заявка с причиной из config.screening.quarantine не генерируется,
+ * а ждет решения менеджера: approve - генерация и отправка маршрута, reject - задача закрывается.
+ */
+class ScreeningService {
+  constructor() {
+    this.enabled = config.screening.enabled;
+    this.moderation = config.screening.moderation;
+    this.moderationTimeout = config.screening.moderationTimeout;
+    this.quarantineReasons = config.screening.quarantine;
+  }
+
+  /**
+   * Проверка полей заявки при приеме, до разбора бюджета и промпта
+   * fields - { city, interests, budget, comment }; source - форма или "api" (для логов)
+   * Возвращает { fields, screening }: fields - очищенные значения для задачи,
+   * screening - { flagged, reasons, checkedAt } для payload задачи или null, если проверка выключена
+   */
+  screen(fields, { source = null } = {}) {
+    if (!this.enabled) {
+      return { fields, screening: null };
+    }
+
+    const { flagged, reasons, fields: cleaned } = screenFields(fields, { quarantine: this.quarantineReasons });
+
+    reasons.forEach(({ reason }) => incrementCounter("input_screening_total", { reason }));
+    if (reasons.length > 0) {
+      logger.warn("Form input screening found issues", { source, flagged, reasons });
+    }
+
+    return { fields: cleaned, screening: { flagged, reasons, checkedAt: new Date().toISOString() } };
+  }
+
+  /**
+   * Проверка перед генерацией - первый шаг обработчика задачи
+   * Задачи без payload.screening (поставленные до проверки) и одобренные менеджером не проверяются.
+   * Бросает ошибку с quarantine: задача уходит на ручную проверку (см. jobQueue.quarantine)
+   */
+  async check(job, { update }) {
+    let screening = job.payload?.screening;
+    if (!screening || screening.review?.status === REVIEW_STATUSES.APPROVED) {
+      return;
+    }
+
+    // Moderation API - один раз на задачу, результат сохраняется
+    if (this.moderation && !screening.moderation) {
+      const moderation = await this.moderate(job);
+      const flagged = moderation.status === MODERATION_STATUSES.FLAGGED;
+      const reasons = flagged
+        ? [...screening.reasons, { field: null, reason: SCREENING_REASONS.MODERATION, excerpt: moderation.categories.join(", ") }]
+        : screening.reasons;
+
+      if (flagged) {
+        incrementCounter("input_screening_total", { reason: SCREENING_REASONS.MODERATION });
+      }
+
+      screening = {
+        ...screening,
+        flagged: screening.flagged || (flagged && this.quarantineReasons.includes(SCREENING_REASONS.MODERATION)),
+        reasons,
+        moderation,
+      };
+      update({ payload: { ...job.payload, screening } });
+    }
+
+    if (screening.flagged) {
+      const reasons = [...new Set(screening.reasons.map(({ reason }) => reason))];
+      const error = new Error(`Submission needs manual review: ${reasons.join(", ")}`);
+      error.quarantine = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Проверка текста заявки moderation API провайдера; ошибка не задерживает заявку
+   * Возвращает { status, categories, provider, model, at }
+   */
+  async moderate(job) {
+    const at = new Date().toISOString();
+
+    try {
+      const result = await openaiService.moderate(getScreenedText(job.payload), { timeout: this.moderationTimeout });
+      if (!result) {
+        logger.warn("No LLM provider supports moderation, check skipped", { jobId: job.id });
+        return { status: MODERATION_STATUSES.UNAVAILABLE, categories: [], at };
+      }
+
+      logger.info("Moderation checked", { jobId: job.id, flagged: result.flagged, categories: result.categories });
+      return {
+        status: result.flagged ? MODERATION_STATUSES.FLAGGED : MODERATION_STATUSES.PASSED,
+        categories: result.categories,
+        provider: result.provider,
+        model: result.model,
+        at,
+      };
+    } catch (error) {
+      logger.warn("Moderation check failed, submission not held", { jobId: job.id, error: error.message });
+      return { status: MODERATION_STATUSES.FAILED, categories: [], error: error.message, at };
+    }
+  }
+
+  /**
+   * Заявки на ручной проверке (кратко), старые сверху
+   */
+  listQuarantined() {
+    return jobQueue
+      .getAll()
+      .filter((job) => job.state === JOB_STATES.QUARANTINED)
+      .map((job) => ({
+        jobId: job.id,
+        type: job.type,
+        city: job.payload?.city,
+        email: job.payload?.email,
+        reasons: job.payload?.screening?.reasons || [],
+        createdAt: job.createdAt,
+        quarantinedAt: job.updatedAt,
+      }));
+  }
+
+  /**
+   * Задача на ручной проверке или ошибка 404 / 409
+   */
+  getQuarantinedOrThrow(id) {
+    const job = jobQueue.get(id);
+    if (!job) {
+      const error = new Error(`Job not found: ${id}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (job.state !== JOB_STATES.QUARANTINED) {
+      const error = new Error(`Job is not waiting for review: ${id} (${job.state})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return job;
+  }
+
+  /**
+   * Решение менеджера: заявка генерируется и отправляется как обычно
+   */
+  approve(id, { note = null } = {}) {
+    const job = this.getQuarantinedOrThrow(id);
+    this.setReview(job, { status: REVIEW_STATUSES.APPROVED, note });
+    jobQueue.release(id, "approved");
+    incrementCounter("input_screening_reviews_total", { status: REVIEW_STATUSES.APPROVED });
+    logger.info("Quarantined submission approved", { jobId: id });
+    return job;
+  }
+
+  /**
+   * Решение менеджера: маршрут не генерируется, задача закрывается
+   */
+  reject(id, { note = null } = {}) {
+    const job = this.getQuarantinedOrThrow(id);
+    this.setReview(job, { status: REVIEW_STATUSES.REJECTED, note });
+    jobQueue.reject(id, "Submission rejected after manual review");
+    incrementCounter("input_screening_reviews_total", { status: REVIEW_STATUSES.REJECTED });
+    logger.info("Quarantined submission rejected", { jobId: id });
+    return job;
+  }
+
+  setReview(job, { status, note }) {
+    jobQueue.update(job.id, {
+      payload: {
+        ...job.payload,
+        screening: { ...job.payload.screening, review: { status, note, at: new Date().toISOString() } },
+      },
+    });
+  }
+}
+
+export default new ScreeningService();
@@ -0,0 +1,587 @@
+import { EventEmitter } from "events";
+import { normalizeTripDates, formatTripDates } from "../utils/dateParser.js";
+import { parseBudget, getBudgetCacheKey } from "../utils/budgetParser.js";
+import { parseTravelers, getTravelersCacheKey } from "../utils/travelerParser.js";
+import openaiService from "./openaiService.js";
+import plannerService from "./plannerService.js";
+import promptService, { PROMPT_PRESETS } from "./promptService.js";
+import emailService from "./emailService.js";
+import pdfService from "./pdfService.js";
+import cacheService from "./cacheService.js";
+import jobQueue, { JOB_STATES } from "./jobQueue.js";
+import idempotencyService, { TOKEN_SCOPES } from "./idempotencyService.js";
+import usageService from "./usageService.js";
+import qualityService from "./qualityService.js";
+import screeningService from "./screeningService.js";
+import logger from "../utils/logger.js";
+import { createJobToken } from "../utils/jobToken.js";
+import { sanitizeRouteLinks } from "../utils/linkSanitizer.js";
+import { normalizeLocale, DEFAULT_LOCALE } from "../utils/i18n.js";
+import { incrementCounter } from "../utils/metrics.js";
+import { config } from "../config/index.js";
+
+export const ROUTE_JOB_TYPE = "route";
+
+// Заголовок раздела маршрута: "### 3. Ежедневный план"
+const SECTION_PATTERN = /^#{2,3}\s+(.+?)\s*$/;
+
+/**
+ * Прием заявок на маршрут и их обработка в очереди
+ * Общий для webhook Tilda (/api/route) и JSON API (/api/v1/trips)
+ *
+ * События потоковой генерации (для SSE):
+ * "token" (jobId, { delta }), "section" (jobId, { index, title }),
+ * "reset" (jobId, { model, attempt }) - повтор запроса, полученный текст нужно сбросить;
+ * (jobId, { reason }) - маршрут изменен после генерации и придет заново целиком:
+ * "quality" - догенерирован после проверки качества, "links" - заменены ссылки (см. utils/linkSanitizer.js)
+ */
+class TripService extends EventEmitter {
+  constructor() {
+    super();
+    // На события подписываются SSE клиенты
+    this.setMaxListeners(0);
+    // Текст, сгенерированный к текущему моменту: jobId -> { content, pending, sections }
+    this.live = new Map();
+    jobQueue.registerHandler(ROUTE_JOB_TYPE, (job, context) => this.processJob(job, context));
+  }
+
+  /**
+   * Текущий текст генерируемого маршрута (для клиентов, подключившихся посреди генерации)
+   */
+  getLiveContent(jobId) {
+    const live = this.live.get(jobId);
+    return live ? { content: live.content, sections: [...live.sections] } : null;
+  }
+
+  /**
+   * Начало (или повтор) потоковой генерации
+   */
+  startLive(jobId, details = {}) {
+    const hadContent = Boolean(this.live.get(jobId)?.content);
+    this.live.set(jobId, { content: "", pending: "", sections: [] });
+
+    if (hadContent || details.attempt > 1) {
+      this.emit("reset", jobId, details);
+    }
+  }
+
+  /**
+   * Фрагмент текста от модели: пересылка подписчикам и поиск заголовков разделов
+   */
+  publishToken(jobId, delta) {
+    const live = this.live.get(jobId);
+    if (!live) return;
+
+    live.content += delta;
+    live.pending += delta;
+    this.emit("token", jobId, { delta });
+
+    const lines = live.pending.split("\n");
+    live.pending = lines.pop();
+    lines.forEach((line) => this.detectSection(jobId, live, line));
+  }
+
+  /**
+   * Завершение потока: последняя строка без перевода строки тоже может быть заголовком
+   */
+  finishLive(jobId) {
+    const live = this.live.get(jobId);
+    if (!live) return;
+
+    this.detectSection(jobId, live, live.pending);
+    this.live.delete(jobId);
+  }
+
+  detectSection(jobId, live, line) {
+    const match = line.trim().match(SECTION_PATTERN);
+    if (!match) return;
+
+    const section = { index: live.sections.length, title: match[1] };
+    live.sections.push(section);
+    this.emit("section", jobId, section);
+  }
+
+  /**
+   * Данные задачи из проверенной заявки: нормализованные даты, бюджет, состав группы
+   * шаблон промпта (пресет заявки или профиля формы, версия по A/B эксперименту)
+   * и язык заявки (locale - определенный точкой входа, см. utils/i18n.js resolveLocale)
+   * form - источник заявки для учета расходов: formid Tilda, профиль формы или "api"
+   * Текст клиента проверяется и очищается до промпта (screening, см. services/screeningService.js)
+   */
+  buildPayload(formData, { promptPreset = null, locale = null, form = null } = {}) {
+    const { email, startDate, endDate, people, name, preset } = formData;
+
+    // Город, интересы, бюджет и комментарий попадают в промпт: инструкции модели, ссылки, мат, длина
+    // (комментарий - как у заявок с Tilda в server.js)
+    const { fields, screening } = screeningService.screen(
+      { city: formData.city, interests: formData.interests, budget: formData.budget, comment: formData.notes },
+      { source: form }
+    );
+    const { city, interests, budget, comment } = fields;
+
+    // Нормализация дат: DD.MM.YYYY, "с 5 по 12 июня", "через месяц, на неделю"
+    const dates = normalizeTripDates(startDate, endDate);
+    if (!dates.isValid) {
+      logger.warn("Date validation failed", { error: dates.error, startDate, endDate });
+    }
+
+    // Состав группы уже разобран при валидации (validateFormData)
+    const travelers = formData.travelers || parseTravelers(people, formData);
+
+    // Разбор бюджета: сумма/диапазон, валюта, на человека или на всех, уровень
+    const tripBudget = parseBudget(budget, { people: travelers.total, days: dates.days });
+    logger.debug("Parsed budget", { budget: tripBudget });
+
+    return {
+      city,
+      email,
+      dates,
+      budget: tripBudget,
+      interests,
+      comment,
+      travelers,
+      name,
+      locale: normalizeLocale(locale) || normalizeLocale(formData.locale) || DEFAULT_LOCALE,
+      form,
+      screening,
+      prompt: promptService.select({
+        preset: preset || promptPreset,
+        fallbackPreset: PROMPT_PRESETS.PRACTICAL,
+        seed: email,
+      }),
+    };
+  }
+
+  /**
+   * Постановка заявки в очередь
+   * Повтор той же заявки (idempotencyToken или отпечаток полей) возвращает уже созданную задачу;
+   * idempotencyScope - источник токена ("tranid" от Tilda или "api" для Idempotency-Key)
+   * Возвращает { job, jobId, token, duplicate }; token (доступ к статусу) выдается только новой задаче
+   */
+  submit(
+    formData,
+    {
+      idempotencyToken = null,
+      idempotencyScope = TOKEN_SCOPES.TRANID,
+      payload = null,
+      promptPreset = null,
+      locale = null,
+      form = null,
+      receivedAt = new Date(),
+    } = {}
+  ) {
+    const { key: idempotencyKey, source } = idempotencyService.getKey(
+      idempotencyToken,
+      formData,
+      idempotencyScope
+    );
+
+    const duplicate = idempotencyService.findDuplicate(idempotencyKey, source);
+    if (duplicate) {
+      return {
+        job: jobQueue.get(duplicate.jobId),
+        jobId: duplicate.jobId,
+        token: null,
+        duplicate: true,
+      };
+    }
+
+    const { token, tokenHash } = createJobToken();
+
+    // Задача сохраняется на диск до ответа клиенту и переживает перезапуск процесса
+    const job = jobQueue.enqueue(ROUTE_JOB_TYPE, payload || this.buildPayload(formData, { promptPreset, locale, form }), {
+      idempotencyKey,
+      tokenHash,
+      history: [
+        { state: JOB_STATES.RECEIVED, at: receivedAt.toISOString() },
+        { state: JOB_STATES.VALIDATED, at: new Date().toISOString() },
+      ],
+    });
+
+    idempotencyService.remember(idempotencyKey, { jobId: job.id });
+    incrementCounter("intake_accepted_total", { source });
+
+    logger.info("Route job accepted", { jobId: job.id, city: formData.city, email: formData.email });
+
+    return { job, jobId: job.id, token, duplicate: false };
+  }
+
+  /**
+   * Статус задачи для клиента и поддержки: этапы с временем, модель,
+   * токены, попадание в кэш, результат отправки email и готовый маршрут
+   */
+  getStatus(job) {
+    const result = job.result || {};
+
+    return {
+      id: job.id,
+      type: job.type,
+      stage: job.state,
+      stages: job.history.map(({ state, at, error }) => ({
+        stage: state,
+        at,
+        ...(error ? { error } : {}),
+      })),
+      attempts: job.attempts,
+      // Отложенная задача (лимит расходов на LLM): время следующего запуска
+      runAt: job.runAt || null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      model: result.model || null,
+      // LLM провайдер, ответивший на запрос (см. config.openai.providers)
+      provider: result.provider || null,
+      finishReason: result.finishReason || null,
+      usage: result.usage || null,
+      // Сколько раз обрезанный по max_tokens ответ дописывался продолжением
+      continuations: result.continuations || 0,
+      // Генерация по частям: { days, blocks }, иначе null
+      planner: result.planner || null,
+      // Проверка качества маршрута: { score, initialScore, passed, checks, issues, regenerated }, иначе null
+      quality: result.quality || null,
+      // Шаблон промпта: { preset, version, experiment }
+      prompt: job.payload?.prompt || null,
+      // Проверка текста заявки: на ручной проверке (stage "quarantined") и решение менеджера
+      screening: job.payload?.screening
+        ? { flagged: job.payload.screening.flagged, review: job.payload.screening.review?.status || null }
+        : null,
+      locale: job.payload?.locale || DEFAULT_LOCALE,
+      cached: Boolean(result.cached),
+      // Повторный запуск из dead-letter: id новой задачи (доступна по тому же токену)
+      replayedBy: job.replayedBy || null,
+      email: job.email || null,
+      error: job.error || null,
+      // route - задачи JSON API и /api/route из src, plan - задачи webhook Tilda в server.js
+      itinerary: result.route || result.plan || null,
+      // Структура маршрута (ITINERARY_FORMAT=json), иначе null
+      structured: result.structured || null,
+    };
+  }
+
+  /**
+   * Параметры ключа кэша маршрута (одинаковые для /api/v1/trips и webhook Tilda)
+   * dates, budget, travelers - разобранные значения, template - идентификатор шаблона (getTemplateId)
+   */
+  getCacheParams({ city, dates, budget, interests, comment, travelers, template, locale }) {
+    return {
+      city,
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      days: dates.days,
+      budget: getBudgetCacheKey(budget),
+      interests,
+      comment,
+      people: getTravelersCacheKey(travelers),
+      format: config.itinerary.format,
+      prompt: template,
+      locale,
+    };
+  }
+
+  /**
+   * Генерация без потока (структурированный маршрут, planner)
+   * Готовый текст уходит SSE клиентам целиком.
+   * При ошибке возвращает null - маршрут генерируется обычным текстом одним запросом
+   */
+  async generateComplete(job, mode, generate) {
+    try {
+      const aiResult = await generate();
+
+      this.startLive(job.id);
+      this.publishToken(job.id, aiResult.content);
+      this.finishLive(job.id);
+
+      return aiResult;
+    } catch (error) {
+      logger.warn("Generation failed, falling back to single request", {
+        jobId: job.id,
+        mode,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Обработчик задачи генерации маршрута из очереди
+   * Сгенерированный маршрут сохраняется в задачу до отправки email,
+   * поэтому возобновленная задача не генерирует маршрут повторно
+   */
+  async processJob(job, { setState, update, recordAttempt }) {
+    const { city, email, interests, comment, name } = job.payload;
+
+    // Задачи, поставленные до нормализации дат, содержат только исходные строки
+    const tripDates =
+      job.payload.dates ||
+      normalizeTripDates(job.payload.startDate, job.payload.endDate);
+    // Задачи, поставленные до разбора состава и бюджета, содержат исходные строки
+    const travelers = job.payload.travelers || parseTravelers(job.payload.people);
+    const budget =
+      typeof job.payload.budget === "object" && job.payload.budget !== null
+        ? job.payload.budget
+        : parseBudget(job.payload.budget, { people: travelers.total, days: tripDates.days });
+    // Задачи, поставленные до шаблонов промптов, получают шаблон при обработке
+    const promptTemplate = job.payload.prompt || promptService.select({ seed: email });
+    const templateId = promptService.getTemplateId(promptTemplate);
+    // Задачи, поставленные до выбора языка, генерируются на языке по умолчанию
+    const locale = job.payload.locale || DEFAULT_LOCALE;
+    const cacheParams = this.getCacheParams({
+      city,
+      dates: tripDates,
+      budget,
+      interests,
+      comment,
+      travelers,
+      template: templateId,
+      locale,
+    });
+
+    // Заявка с подозрительным текстом ждет ручной проверки до генерации
+    if (!job.result?.route) {
+      await screeningService.check(job, { update });
+    }
+
+    try {
+      let route = job.result?.route;
+
+      if (!route) {
+        setState(JOB_STATES.CACHE_LOOKUP);
+
+        // Проверка кэша
+        const cachedRoute = cacheService.get(cacheParams);
+
+        if (cachedRoute) {
+          logger.info("Using cached route", { jobId: job.id, city, email });
+          route = cachedRoute.route;
+
+          // Кэшированный маршрут уходит подписчикам потока целиком
+          this.startLive(job.id);
+          this.publishToken(job.id, route);
+          this.finishLive(job.id);
+
+          update({
+            result: {
+              route,
+              structured: cachedRoute.structured || null,
+              cached: true,
+              model: cachedRoute.model || null,
+              quality: cachedRoute.quality || null,
+              prompt: cachedRoute.prompt || templateId,
+              usage: null,
+            },
+          });
+        } else {
+          // Лимит расходов на LLM превышен: ошибка (cache_only) или перенос задачи (queue)
+          usageService.enforceLimits({ jobId: job.id });
+
+          // Каждый ответ модели учитывается в расходах сразу, лимит проверяется перед каждым запросом
+          const requestOptions = {
+            onAttempt: recordAttempt,
+            locale,
+            ...usageService.createRequestHooks({ jobId: job.id, city, form: job.payload.form }),
+          };
+
+          setState(JOB_STATES.GENERATING);
+
+          logger.info("Starting route generation", {
+            jobId: job.id,
+            city,
+            email,
+            days: tripDates.days,
+            datesInterpretation: tripDates.interpretation,
+          });
+
+          // Создание промпта
+          const prompt = openaiService.buildPrompt({
+            template: promptTemplate,
+            city,
+            dates: tripDates,
+            budget,
+            interests,
+            travelers,
+            comment,
+            locale,
+          });
+
+          // Генерация маршрута через OpenAI (потоково - текст сразу уходит SSE клиентам)
+          // Структура по схеме (ITINERARY_FORMAT=json) или длинная поездка по частям (planner);
+          // если не получилось - обычная генерация одним запросом
+          let aiResult = null;
+          if (config.itinerary.format === "json") {
+            aiResult = await this.generateComplete(job, "structured", () =>
+              openaiService.generateStructuredRoute(prompt, requestOptions)
+            );
+          } else if (plannerService.shouldUse(tripDates)) {
+            aiResult = await this.generateComplete(job, "planner", () =>
+              plannerService.generateRoute(prompt, { ...requestOptions, dates: tripDates })
+            );
+          }
+
+          if (!aiResult) {
+            try {
+              aiResult = await openaiService.generateRoute(prompt, {
+                ...requestOptions,
+                stream: config.openai.stream,
+                onStart: (details) => this.startLive(job.id, details),
+                onToken: (delta) => this.publishToken(job.id, delta),
+              });
+            } finally {
+              this.finishLive(job.id);
+            }
+          }
+
+          if (!aiResult || !aiResult.content) {
+            throw new Error("OpenAI returned empty response");
+          }
+
+          // Проверка качества: недостающие дни и разделы, обрезанный текст и отказ модели догенерируются;
+          // структурированный маршрут собирается из JSON - только оценка
+          const streamed = aiResult.content;
+          const structured = aiResult.format === "json";
+          aiResult = await qualityService.review(aiResult, {
+            ...requestOptions,
+            prompt: structured ? "" : prompt,
+            city,
+            days: tripDates.days,
+            regenerate: !structured,
+            jobId: job.id,
+          });
+
+          // Ссылки, придуманные моделью, заменяются поиском места на карте
+          aiResult = sanitizeRouteLinks(aiResult, { city, locale, jobId: job.id });
+
+          if (aiResult.content !== streamed) {
+            this.emit("reset", job.id, { reason: aiResult.quality?.regenerated.length > 0 ? "quality" : "links" });
+            this.startLive(job.id);
+            this.publishToken(job.id, aiResult.content);
+            this.finishLive(job.id);
+          }
+
+          route = aiResult.content;
+
+          logger.info("Route generated successfully", {
+            jobId: job.id,
+            city,
+            email,
+            routeLength: route.length,
+            finishReason: aiResult.finishReason,
+            tokens: aiResult.usage?.total_tokens,
+            cost: aiResult.usage?.cost,
+            model: aiResult.model,
+            provider: aiResult.provider,
+            format: aiResult.format || "markdown",
+            continuations: aiResult.continuations || 0,
+            planner: aiResult.planner,
+            quality: aiResult.quality?.score,
+            links: aiResult.links,
+            prompt: templateId,
+            locale,
+          });
+
+          // Сохранение в кэш
+          cacheService.set(cacheParams, route, {
+            model: aiResult.model,
+            tokens: aiResult.usage?.total_tokens,
+            finishReason: aiResult.finishReason,
+            structured: aiResult.itinerary || null,
+            quality: aiResult.quality || null,
+            prompt: templateId,
+          });
+
+          update({
+            result: {
+              route,
+              structured: aiResult.itinerary || null,
+              cached: false,
+              model: aiResult.model,
+              provider: aiResult.provider || null,
+              finishReason: aiResult.finishReason,
+              usage: aiResult.usage || null,
+              continuations: aiResult.continuations || 0,
+              planner: aiResult.planner || null,
+              quality: aiResult.quality || null,
+              prompt: templateId,
+            },
+          });
+        }
+      }
+
+      setState(JOB_STATES.RENDERING);
+
+      const message = emailService.renderRouteEmail({
+        city,
+        route,
+        dates: formatTripDates(tripDates, { locale }),
+        name,
+        locale,
+      });
+
+      // PDF версия маршрута во вложении (PDF_ATTACHMENT=true)
+      const pdf = pdfService.attach ? await pdfService.renderAttachment(job) : null;
+
+      setState(JOB_STATES.EMAILING);
+
+      // Отправка email с маршрутом, результат доставки сохраняется в задачу
+      try {
+        const delivery = await emailService.sendRouteEmail({
+          to: email,
+          city,
+          message,
+          pdf,
+          // Версия шаблона в письме - для сравнения вариантов A/B по откликам
+          headers: { "X-Prompt-Template": templateId },
+          onAttempt: recordAttempt,
+        });
+
+        update({
+          email: {
+            status: "sent",
+            messageId: delivery.messageId,
+            template: templateId,
+            pdf: Boolean(pdf),
+            at: new Date().toISOString(),
+          },
+        });
+      } catch (emailError) {
+        update({
+          email: { status: "failed", error: emailError.message, at: new Date().toISOString() },
+        });
+        throw emailError;
+      }
+
+      logger.info("Route email sent successfully", { jobId: job.id, city, email });
+    } catch (error) {
+      // Задача отложена до сброса лимита расходов - это не ошибка генерации
+      if (error.deferUntil) {
+        throw error;
+      }
+
+      logger.error("Route generation failed", {
+        jobId: job.id,
+        error: error.message,
+        stack: error.stack,
+        city,
+        email,
+      });
+
+      // Отправка уведомления об ошибке (если настроено);
+      // о превышении лимита расходов менеджер уже уведомлен usageService
+      if ((config.email.from || config.email.smtp.auth?.user) && error.code !== "SPEND_CAP_EXCEEDED") {
+        emailService.sendErrorNotification(error, {
+          jobId: job.id,
+          city,
+          email,
+          startDate: tripDates.startDate,
+          endDate: tripDates.endDate,
+        }).catch(notifError => {
+          logger.error("Failed to send error notification", {
+            error: notifError.message,
+          });
+        });
+      }
+
+      throw error;
+    }
+  }
+}
+
+export default new TripService();
@@ -0,0 +1,269 @@
+import emailService from "./emailService.js";
+import logger from "../utils/logger.js";
+import { incrementCounter } from "../utils/metrics.js";
+import { resolveDataPath, readJsonFile, writeJsonFile } from "../utils/fileStore.js";
+import { config } from "../config/index.js";
+
+export const SPEND_CAP_ACTIONS = {
+  CACHE_ONLY: "cache_only",
+  QUEUE: "queue",
+  NOTIFY: "notify",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ключи периодов по UTC: "2026-10-19" и "2026-10"
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const emptyTotals = () => ({ cost: 0, tokens: 0, generations: 0 });
+
+const addTotals = (totals, { cost, tokens }) => {
+  totals.cost = Math.round((totals.cost + cost) * 1_000_000) / 1_000_000;
+  totals.tokens += tokens;
+  totals.generations += 1;
+  return totals;
+};
+
+const mergeGroups = (target, groups = {}) => {
+  for (const [name, totals] of Object.entries(groups)) {
+    const merged = target[name] || emptyTotals();
+    merged.cost = Math.round((merged.cost + totals.cost) * 1_000_000) / 1_000_000;
+    merged.tokens += totals.tokens;
+    merged.generations += totals.generations;
+    target[name] = merged;
+  }
+  return target;
+};
+
+/**
+ * Учет токенов и расходов на LLM с лимитами на сутки и месяц
+ * Стоимость считается по ценам моделей (см. utils/llmPricing.js) для каждой генерации маршрута;
+ * итоги по дням (UTC) с разбивкой по моделям, формам и направлениям хранятся в data/usage.json.
+ * При превышении лимита - режим config.usage.capAction (см. enforceLimits)
+ */
+class UsageService {
+  constructor() {
+    this.config = config.usage;
+    this.filePath = resolveDataPath("usage.json");
+    // "2026-10-19" -> { cost, tokens, generations, models, forms, destinations }
+    this.days = {};
+    // Периоды, о превышении лимита в которых менеджер уже уведомлен: "day:2026-10-19" -> время
+    this.notified = {};
+    this.load();
+  }
+
+  /**
+   * Загрузка статистики с диска
+   */
+  load() {
+    try {
+      const stored = readJsonFile(this.filePath, {});
+      this.days = stored.days || {};
+      this.notified = stored.notified || {};
+    } catch (error) {
+      logger.error("Usage stats loading failed", {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Сохранение статистики на диск (старые дни удаляются по config.usage.retentionDays)
+   */
+  persist() {
+    const threshold = dayKey(new Date(Date.now() - this.config.retentionDays * DAY_MS));
+    for (const day of Object.keys(this.days)) {
+      if (day < threshold) delete this.days[day];
+    }
+    for (const key of Object.keys(this.notified)) {
+      if (key.split(":")[1] < threshold.slice(0, 7)) delete this.notified[key];
+    }
+
+    writeJsonFile(this.filePath, { days: this.days, notified: this.notified });
+  }
+
+  /**
+   * Учет одного запроса к LLM
+   * usage - токены и стоимость (usage.cost, USD) ответа модели,
+   * city - направление, form - форма заявки (formid Tilda, профиль формы или "api")
+   */
+  record({ usage, model = null, city = null, form = null, at = new Date() }) {
+    const cost = usage?.cost || 0;
+    const tokens = usage?.total_tokens || 0;
+    const entry = { cost, tokens };
+
+    const day = this.days[dayKey(at)] || { ...emptyTotals(), models: {}, forms: {}, destinations: {} };
+    addTotals(day, entry);
+    day.models[model || "unknown"] = addTotals(day.models[model || "unknown"] || emptyTotals(), entry);
+    day.forms[form || "unknown"] = addTotals(day.forms[form || "unknown"] || emptyTotals(), entry);
+    const destination = city ? city.toLowerCase().trim() : "unknown";
+    day.destinations[destination] = addTotals(day.destinations[destination] || emptyTotals(), entry);
+    this.days[dayKey(at)] = day;
+
+    try {
+      this.persist();
+    } catch (error) {
+      logger.error("Usage stats saving failed", { file: this.filePath, error: error.message });
+    }
+
+    incrementCounter("llm_generations_total", { model: model || "unknown" });
+    logger.info("LLM spend recorded", { model, city, form, cost, tokens, today: day.cost });
+
+    // Уведомление о превышении - сразу, а не при следующей заявке
+    this.checkLimits(at);
+  }
+
+  /**
+   * Расходы за сутки и месяц, в которые входит date
+   */
+  getSpend(date = new Date()) {
+    const month = monthKey(date);
+    const monthCost = Object.entries(this.days)
+      .filter(([day]) => day.startsWith(month))
+      .reduce((sum, [, totals]) => sum + totals.cost, 0);
+
+    return {
+      day: this.days[dayKey(date)]?.cost || 0,
+      month: Math.round(monthCost * 1_000_000) / 1_000_000,
+    };
+  }
+
+  /**
+   * Превышенный лимит: { period, spent, cap, resetAt, action } или null
+   * Сутки и месяц считаются по UTC; месячный лимит проверяется первым - он сбрасывается позже
+   */
+  getExceededLimit(date = new Date()) {
+    const spend = this.getSpend(date);
+    const action = this.config.capAction;
+
+    if (this.config.monthlyCap > 0 && spend.month >= this.config.monthlyCap) {
+      const resetAt = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+      return { period: "month", spent: spend.month, cap: this.config.monthlyCap, resetAt: resetAt.toISOString(), action };
+    }
+
+    if (this.config.dailyCap > 0 && spend.day >= this.config.dailyCap) {
+      const resetAt = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+      return { period: "day", spent: spend.day, cap: this.config.dailyCap, resetAt: resetAt.toISOString(), action };
+    }
+
+    return null;
+  }
+
+  /**
+   * Проверка лимитов; при превышении менеджер уведомляется один раз за период
+   */
+  checkLimits(date = new Date()) {
+    const limit = this.getExceededLimit(date);
+    if (!limit) {
+      return null;
+    }
+
+    const key = `${limit.period}:${limit.period === "month" ? monthKey(date) : dayKey(date)}`;
+    if (!this.notified[key]) {
+      this.notified[key] = new Date().toISOString();
+      try {
+        this.persist();
+      } catch (error) {
+        logger.error("Usage stats saving failed", { file: this.filePath, error: error.message });
+      }
+
+      logger.warn("LLM spend cap exceeded", limit);
+      emailService
+        .sendSpendCapNotification(limit, { to: this.config.notifyEmail })
+        .catch((error) => logger.error("Failed to send spend cap notification", { error: error.message }));
+    }
+
+    return limit;
+  }
+
+  /**
+   * Проверка лимитов перед генерацией (после промаха кэша)
+   * cache_only - ошибка 503 (задача завершается ошибкой и попадает в dead-letter),
+   * queue - ошибка с deferUntil (очередь откладывает задачу до сброса лимита),
+   * notify - генерация продолжается
+   */
+  enforceLimits({ jobId = null } = {}) {
+    const limit = this.checkLimits();
+    if (!limit || limit.action === SPEND_CAP_ACTIONS.NOTIFY) {
+      return limit;
+    }
+
+    incrementCounter("llm_spend_cap_blocked_total", { action: limit.action });
+    logger.warn("Generation blocked by spend cap", { jobId, ...limit });
+
+    const error = new Error(
+      `LLM ${limit.period === "month" ? "monthly" : "daily"} spend cap exceeded ($${limit.spent.toFixed(2)} of $${limit.cap.toFixed(2)})`
+    );
+    error.statusCode = 503;
+    error.code = "SPEND_CAP_EXCEEDED";
+    if (limit.action === SPEND_CAP_ACTIONS.QUEUE) {
+      error.deferUntil = limit.resetAt;
+    }
+    throw error;
+  }
+
+  /**
+   * Учет расходов задачи для openaiService.generateRoute: { beforeRequest, onUsage }
+   * Каждый ответ модели учитывается сразу (в том числе части planner, исправления JSON, продолжения
+   * и догенерация), лимит проверяется перед каждым следующим запросом
+   */
+  createRequestHooks({ jobId = null, city = null, form = null } = {}) {
+    return {
+      beforeRequest: () => this.enforceLimits({ jobId }),
+      onUsage: ({ usage, model }) => this.record({ usage, model, city, form }),
+    };
+  }
+
+  /**
+   * Отчет за последние days дней: итоги по дням, моделям, формам и направлениям
+   */
+  getReport({ days = 30 } = {}) {
+    const from = dayKey(new Date(Date.now() - (Math.max(1, days) - 1) * DAY_MS));
+    const entries = Object.entries(this.days)
+      .filter(([day]) => day >= from)
+      .sort(([a], [b]) => b.localeCompare(a));
+
+    const groups = { total: {}, byModel: {}, byForm: {}, byDestination: {} };
+    const byDay = entries.map(([day, totals]) => {
+      const { cost, tokens, generations } = totals;
+      mergeGroups(groups.total, { all: { cost, tokens, generations } });
+      mergeGroups(groups.byModel, totals.models);
+      mergeGroups(groups.byForm, totals.forms);
+      mergeGroups(groups.byDestination, totals.destinations);
+      return { day, cost, tokens, generations };
+    });
+
+    return {
+      ...this.getStats(),
+      total: groups.total.all || emptyTotals(),
+      byDay,
+      byModel: groups.byModel,
+      byForm: groups.byForm,
+      byDestination: groups.byDestination,
+    };
+  }
+
+  /**
+   * Статистика для /health: расходы за сутки и месяц, лимиты и режим деградации
+   */
+  getStats() {
+    const spend = this.getSpend();
+    const limit = this.getExceededLimit();
+
+    return {
+      today: spend.day,
+      month: spend.month,
+      caps: {
+        daily: this.config.dailyCap || null,
+        monthly: this.config.monthlyCap || null,
+        action: this.config.capAction,
+      },
+      // Лимит превышен: { period, spent, cap, resetAt, action }, иначе null
+      degraded: limit,
+    };
+  }
+}
+
+export default new UsageService();
@@ -0,0 +1,327 @@
+import { t, DEFAULT_LOCALE } from "./i18n.js";
+import { config } from "../config/index.js";
+
+/**
+ * Уровни бюджета
+ */
+export const BUDGET_TIERS = {
+  ECONOMY: "economy",
+  MID: "mid",
+  PREMIUM: "premium",
+  LUXURY: "luxury",
+};
+
+// Длительность для расчета уровня, если даты не указаны
+const DEFAULT_TRIP_DAYS = 7;
+
+const LETTER = "[а-яёa-z]";
+const NOT_LETTER_BEFORE = `(?<!${LETTER})`;
+const NOT_LETTER_AFTER = `(?!${LETTER})`;
+
+// Ключевые слова уровней (проверяются по порядку)
+const TIER_KEYWORDS = [
+  [BUDGET_TIERS.LUXURY, /люкс|lux|роскош|vip|без\s+ограничений|unlimited/i],
+  [BUDGET_TIERS.PREMIUM, /премиум|premium|бизнес|business|высок|high/i],
+  [BUDGET_TIERS.ECONOMY, /эконом|economy|бюджетн|budget|недорог|дешев|дёшев|cheap|low|минимальн/i],
+  [BUDGET_TIERS.MID, /средн|mid|medium|комфорт|comfort|standard|стандарт|умеренн|moderate/i],
+];
+
+// Обозначения валют: символы, коды и слова (ru/en)
+const CURRENCY_PATTERNS = [
+  ["RUB", new RegExp(`₽|${NOT_LETTER_BEFORE}(?:руб|rub|rur|р\\.?${NOT_LETTER_AFTER})`, "i")],
+  ["USD", new RegExp(`\\$|${NOT_LETTER_BEFORE}(?:usd|долл|бакс|dollar)`, "i")],
+  ["EUR", new RegExp(`€|${NOT_LETTER_BEFORE}(?:eur|евро)`, "i")],
+  ["GBP", new RegExp(`£|${NOT_LETTER_BEFORE}(?:gbp|фунт|pound)`, "i")],
+  ["CNY", new RegExp(`¥|${NOT_LETTER_BEFORE}(?:cny|юан|yuan)`, "i")],
+  ["TRY", new RegExp(`₺|${NOT_LETTER_BEFORE}(?:try${NOT_LETTER_AFTER}|лир|lira)`, "i")],
+  ["AED", new RegExp(`${NOT_LETTER_BEFORE}(?:aed|дирхам|dirham)`, "i")],
+  ["KZT", new RegExp(`₸|${NOT_LETTER_BEFORE}(?:kzt|тенге|tenge)`, "i")],
+];
+
+const GROUP_WORDS = {
+  двоих: 2, троих: 3, четверых: 4, пятерых: 5, шестерых: 6,
+  two: 2, three: 3, four: 4, five: 5, six: 6,
+};
+
+// "на человека", "с человека", "per person", "pp"
+const PER_PERSON_PATTERN = new RegExp(
+  `(?:на|с|за)\\s+(?:1\\s+|одного\\s+)?(?:человека|чел\\.?|персону|каждого|носа)|per\\s+(?:person|head|pax)|${NOT_LETTER_BEFORE}pp${NOT_LETTER_AFTER}|p\\.p\\.`,
+  "i"
+);
+
+// "на двоих", "на 4 человек", "for two", "на всех", "на семью"
+const GROUP_PATTERN = new RegExp(
+  `(?:на|for)\\s+(?:(\\d+)\\s*(?:человек|чел\\.?|персон|people|persons|pax)|(${LETTER}+(?:ых|оих)|two|three|four|five|six)${NOT_LETTER_AFTER}|(?:всех|семью|компанию|группу|all|the\\s+family|everyone))`,
+  "i"
+);
+
+// "в день", "за ночь", "/день", "per day", "daily"
+const PER_DAY_PATTERN = new RegExp(
+  `(?:в|за|на)\\s+(?:день|сутки|ночь)|\\/\\s*(?:день|сутки|ночь|day|night)|per\\s+(?:day|night)|a\\s+day|${NOT_LETTER_BEFORE}daily`,
+  "i"
+);
+
+const NUMBER_PATTERN = new RegExp(
+  `(?<![\\d.,])(\\d{1,3}(?:[ \\u00a0]\\d{3})+|\\d+)(?:[.,](\\d+))?(?:\\s*(k|к|тыс${LETTER}*\\.?|thousands?|млн\\.?|mln|millions?|m|м)${NOT_LETTER_AFTER})?`,
+  "gi"
+);
+
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|до|to|по)\s*$/i;
+const MAX_MARKER = /(?:до|не\s+более|не\s+больше|максимум|max|up\s+to|under|within|в\s+пределах)\s*$/i;
+const MIN_MARKER = /(?:от|не\s+менее|не\s+меньше|минимум|min|from|more\s+than|больше|более)\s*$/i;
+
+/**
+ * Множитель по суффиксу числа (k, тыс, млн)
+ */
+const parseMultiplier = (suffix) => {
+  if (!suffix) return null;
+  const lowered = suffix.toLowerCase();
+  if (/^(?:k|к|тыс|thousand)/.test(lowered)) return 1000;
+  if (/^(?:m|м|млн|mln|million)/.test(lowered)) return 1000000;
+  return null;
+};
+
+/**
+ * Все числа в тексте с позициями
+ * "1,500" без суффикса - разделитель тысяч, "1,5 тыс" - десятичная дробь
+ */
+const findNumbers = (text) =>
+  [...text.matchAll(NUMBER_PATTERN)].map((match) => {
+    const [full, integer, fraction, suffix] = match;
+    const multiplier = parseMultiplier(suffix);
+    const digits = integer.replace(/\s/g, "");
+
+    let value;
+    if (fraction && !multiplier && fraction.length === 3) {
+      value = Number(digits + fraction);
+    } else {
+      value = Number(fraction ? `${digits}.${fraction}` : digits);
+    }
+
+    return {
+      value,
+      multiplier,
+      index: match.index,
+      end: match.index + full.length,
+    };
+  });
+
+/**
+ * Сумма или диапазон из текста: { min, max, amount } или null
+ */
+const findAmount = (text) => {
+  const numbers = findNumbers(text);
+  if (numbers.length === 0) return null;
+
+  const [first, second] = numbers;
+
+  // Диапазон "1000-2000", "от 50 до 70 тыс", "1-2k"
+  if (second && RANGE_SEPARATOR.test(text.slice(first.end, second.index))) {
+    const multiplier = second.multiplier || first.multiplier || 1;
+    const min = first.value * (first.multiplier || multiplier);
+    const max = second.value * multiplier;
+    if (min <= max) {
+      return { min, max, amount: (min + max) / 2 };
+    }
+  }
+
+  const value = first.value * (first.multiplier || 1);
+  const before = text.slice(0, first.index);
+
+  if (MAX_MARKER.test(before)) {
+    return { min: null, max: value, amount: value };
+  }
+
+  if (MIN_MARKER.test(before)) {
+    return { min: value, max: null, amount: value };
+  }
+
+  return { min: value, max: value, amount: value };
+};
+
+/**
+ * Валюта по символу или слову, иначе валюта по умолчанию
+ */
+const findCurrency = (text) => {
+  const match = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
+
+/**
+ * Количество путешественников из "на двоих", "на 4 человек" или null ("на всех")
+ */
+const parseGroupSize = (match) => {
+  if (match[1]) return parseInt(match[1]);
+  if (match[2]) return GROUP_WORDS[match[2].toLowerCase()] || null;
+  return null;
+};
+
+/**
+ * Уровень по расходам на человека в день в базовой валюте
+ */
+const tierFromSpend = (perPersonPerDay, thresholds) => {
+  if (perPersonPerDay >= thresholds.luxury) return BUDGET_TIERS.LUXURY;
+  if (perPersonPerDay >= thresholds.premium) return BUDGET_TIERS.PREMIUM;
+  if (perPersonPerDay >= thresholds.mid) return BUDGET_TIERS.MID;
+  return BUDGET_TIERS.ECONOMY;
+};
+
+/**
+ * Разбор бюджета из свободного текста формы
+ * "€1500 на двоих", "до 2k$ на человека", "50-70 тыс руб", "премиум"
+ *
+ * Возвращает сумму или диапазон, валюту, признак "на человека", период (поездка/день),
+ * пересчет в базовую валюту по локальной таблице курсов и уровень бюджета.
+ * Уровень из ключевого слова важнее уровня, рассчитанного по сумме.
+ */
+export const parseBudget = (
+  rawBudget,
+  { people = null, days = null, budgetConfig = config.budget } = {}
+) => {
+  const raw = rawBudget === undefined || rawBudget === null ? "" : String(rawBudget).trim();
+
+  const result = {
+    raw: raw || null,
+    amount: null,
+    min: null,
+    max: null,
+    currency: null,
+    perPerson: false,
+    period: "trip",
+    travelers: null,
+    baseCurrency: budgetConfig.baseCurrency,
+    amountBase: null,
+    perPersonPerDay: null,
+    tier: null,
+    tierSource: null,
+  };
+
+  if (!raw) {
+    return result;
+  }
+
+  let text = raw.toLowerCase();
+
+  // Состав группы убираем из текста, чтобы "на 4 человек" не стало суммой
+  const groupMatch = text.match(GROUP_PATTERN);
+  if (groupMatch) {
+    result.travelers = parseGroupSize(groupMatch);
+    text = text.replace(groupMatch[0], " ");
+  }
+
+  result.perPerson = !groupMatch && PER_PERSON_PATTERN.test(text);
+  result.period = PER_DAY_PATTERN.test(text) ? "day" : "trip";
+
+  const amount = findAmount(text.replace(PER_PERSON_PATTERN, " "));
+  const travelers = result.travelers || parseInt(people) || 1;
+  const tripDays = parseInt(days) || DEFAULT_TRIP_DAYS;
+
+  if (amount) {
+    Object.assign(result, amount);
+    result.currency = findCurrency(text) || budgetConfig.defaultCurrency;
+
+    const rate = budgetConfig.rates[result.currency];
+    if (rate) {
+      result.amountBase = Math.round(result.amount * rate);
+
+      const tripTotal = result.period === "day" ? result.amountBase * tripDays : result.amountBase;
+      const perPersonTotal = result.perPerson ? tripTotal : tripTotal / travelers;
+      result.perPersonPerDay = Math.round(perPersonTotal / tripDays);
+    }
+  }
+
+  const keyword = TIER_KEYWORDS.find(([, pattern]) => pattern.test(text));
+
+  if (keyword) {
+    result.tier = keyword[0];
+    result.tierSource = "keyword";
+  } else if (result.perPersonPerDay !== null) {
+    result.tier = tierFromSpend(result.perPersonPerDay, budgetConfig.tiers);
+    result.tierSource = "amount";
+  }
+
+  return result;
+};
+
+/**
+ * Форматирование суммы: 150000 -> "150 000"
+ */
+const formatNumber = (value) =>
+  String(Math.round(value)).replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+
+/**
+ * Указан ли бюджет: сумма, уровень или хотя бы исходный текст клиента
+ */
+export const isBudgetSpecified = (budget) => {
+  if (!budget) return false;
+  if (typeof budget === "string") return Boolean(budget.trim());
+  return budget.amount !== null || Boolean(budget.tier) || Boolean(budget.raw?.trim());
+};
+
+/**
+ * Бюджет для промпта и письма на языке заявки:
+ * "1 500 EUR на 2 чел. за поездку (≈ 150 000 RUB), уровень: премиум"
+ */
+export const formatBudget = (budget, locale = DEFAULT_LOCALE) => {
+  if (!isBudgetSpecified(budget)) return t(locale, "prompt.notSpecified");
+  if (typeof budget === "string") return budget.trim();
+
+  const { raw, amount, min, max, currency, perPerson, period, travelers, baseCurrency, tier } = budget;
+
+  if (amount === null && !tier) {
+    return raw.trim();
+  }
+
+  const parts = [];
+
+  if (amount !== null) {
+    let sum;
+    if (min !== null && max !== null && min !== max) {
+      sum = `${formatNumber(min)}–${formatNumber(max)}`;
+    } else if (min === null) {
+      sum = t(locale, "budget.upTo", { amount: formatNumber(max) });
+    } else if (max === null) {
+      sum = t(locale, "budget.from", { amount: formatNumber(min) });
+    } else {
+      sum = formatNumber(amount);
+    }
+
+    let label = `${sum} ${currency}`;
+    if (perPerson) {
+      label += ` ${t(locale, "budget.perPerson")}`;
+    } else if (travelers) {
+      label += ` ${t(locale, "budget.perTravelers", { count: travelers })}`;
+    }
+    label += ` ${t(locale, period === "day" ? "budget.perDay" : "budget.perTrip")}`;
+
+    if (currency !== baseCurrency && budget.amountBase !== null) {
+      label += ` (≈ ${formatNumber(budget.amountBase)} ${baseCurrency})`;
+    }
+
+    parts.push(label);
+  }
+
+  if (tier) {
+    parts.push(t(locale, "budget.tier", { tier: t(locale, ["budget", "tiers", tier]) }));
+  }
+
+  return parts.join(", ");
+};
+
+/**
+ * Часть ключа кэша: одинаковые по смыслу бюджеты ("50 000 руб" и "50000р")
+ * дают одинаковый ключ, траты на человека в день округляются до 2 значащих цифр
+ */
+export const getBudgetCacheKey = (budget) => {
+  if (!budget) return null;
+  if (typeof budget === "string") return budget.trim().toLowerCase() || null;
+
+  if (budget.perPersonPerDay !== null) {
+    const spend = Number(budget.perPersonPerDay.toPrecision(2));
+    return `${budget.tier}:${spend}`;
+  }
+
+  return budget.tier || budget.raw?.toLowerCase() || null;
+};
+
+export default { parseBudget, isBudgetSpecified, formatBudget, getBudgetCacheKey };
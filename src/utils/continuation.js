@@ -0,0 +1,95 @@
+/**
+ * Продолжение ответа, обрезанного по max_tokens (finish_reason: "length")
+ */
+
+import { t, SUPPORTED_LOCALES, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * Просьба продолжить на языке заявки (continuation.prompt в каталогах)
+ */
+export const getContinuePrompt = (locale = DEFAULT_LOCALE) => t(locale, "continuation.prompt");
+
+/**
+ * Признак просьбы продолжить на любом из поддерживаемых языков
+ */
+export const isContinuePrompt = (text) =>
+  SUPPORTED_LOCALES.some((locale) => text === getContinuePrompt(locale));
+
+// Модель часто повторяет конец предыдущего фрагмента - ищем совпадение не длиннее этого
+const MAX_OVERLAP = 300;
+// Более короткие совпадения считаются случайными
+const MIN_OVERLAP = 12;
+
+/**
+ * Сообщения для запроса продолжения: исходный промпт, уже полученный текст и просьба продолжить
+ */
+export const buildContinuationMessages = (prompt, partial, locale = DEFAULT_LOCALE) => [
+  { role: "user", content: prompt },
+  { role: "assistant", content: partial },
+  { role: "user", content: getContinuePrompt(locale) },
+];
+
+/**
+ * Часть продолжения без текста, который повторяет конец предыдущего фрагмента
+ */
+export const stitchContinuation = (previous, next) => {
+  if (!previous || !next) return next || "";
+
+  for (const candidate of [next, next.trimStart()]) {
+    const maxSize = Math.min(MAX_OVERLAP, previous.length, candidate.length);
+    for (let size = maxSize; size >= MIN_OVERLAP; size--) {
+      if (previous.endsWith(candidate.slice(0, size))) {
+        return candidate.slice(size);
+      }
+    }
+  }
+
+  return next;
+};
+
+/**
+ * Фильтр потока продолжения: начало придерживается, пока не станет ясно,
+ * повторяет ли оно конец предыдущего текста; дальше фрагменты идут как есть.
+ * Возвращает { push(delta), flush() }
+ */
+export const createContinuationStream = (previous, onToken) => {
+  let buffer = "";
+  let passthrough = false;
+
+  const release = () => {
+    passthrough = true;
+    const text = stitchContinuation(previous, buffer);
+    if (text) onToken(text);
+  };
+
+  return {
+    push(delta) {
+      if (passthrough) return onToken(delta);
+      buffer += delta;
+      if (buffer.length >= MAX_OVERLAP + MIN_OVERLAP) release();
+    },
+    flush() {
+      if (!passthrough) release();
+    },
+  };
+};
+
+/**
+ * Сумма использования токенов нескольких запросов
+ */
+export const addUsage = (total = {}, usage = {}) => {
+  const sum = { ...total };
+  for (const [key, value] of Object.entries(usage || {})) {
+    if (typeof value === "number") sum[key] = (sum[key] || 0) + value;
+  }
+  return sum;
+};
+
+export default {
+  getContinuePrompt,
+  isContinuePrompt,
+  buildContinuationMessages,
+  stitchContinuation,
+  createContinuationStream,
+  addUsage,
+};
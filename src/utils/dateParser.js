@@ -0,0 +1,487 @@
+import { t, plural, DEFAULT_LOCALE } from "./i18n.js";
+import { config } from "../config/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Способ, которым были распознаны даты поездки
+ */
+export const DATE_INTERPRETATIONS = {
+  NONE: "none", // даты не указаны
+  EXACT: "exact", // две даты в отдельных полях
+  RANGE: "range", // диапазон в одном поле ("с 5 по 12 июня", "10–15 мая", "10-15.06.2027")
+  RELATIVE: "relative", // относительная дата начала ("через месяц, на неделю")
+  SINGLE: "single", // известна только дата начала
+  DURATION: "duration", // известна только длительность ("на неделю")
+  INVALID: "invalid", // не удалось распознать, дата окончания раньше начала или поездка длиннее TRIP_MAX_DAYS
+};
+
+// Префиксы названий месяцев (ru/en, все падежи и сокращения)
+const MONTH_PREFIXES = [
+  ["янв", 0], ["фев", 1], ["мар", 2], ["апр", 3], ["мая", 4], ["май", 4],
+  ["июн", 5], ["июл", 6], ["авг", 7], ["сен", 8], ["окт", 9], ["ноя", 10], ["дек", 11],
+  ["jan", 0], ["feb", 1], ["mar", 2], ["apr", 3], ["may", 4], ["jun", 5],
+  ["jul", 6], ["aug", 7], ["sep", 8], ["oct", 9], ["nov", 10], ["dec", 11],
+];
+
+const NUMBER_WORDS = {
+  один: 1, одну: 1, одна: 1, пару: 2, пара: 2, два: 2, две: 2, три: 3, четыре: 4,
+  пять: 5, шесть: 6, семь: 7, восемь: 8, девять: 9, десять: 10,
+  one: 1, a: 1, an: 1, couple: 2, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+const WORD = "[а-яёa-z]+";
+const AMOUNT = `(?:(\\d+|${WORD})\\s+)?`;
+const RANGE_SEPARATOR = "\\s*(?:-|–|—|по|до|to|till|until)\\s*";
+const TEXT_DATE = `(?<!\\d)(\\d{1,2})\\s+(${WORD})\\.?(?:\\s+(\\d{4}))?`;
+const NUMERIC_DATE = "(\\d{4})-(\\d{1,2})-(\\d{1,2})|(?<!\\d)(\\d{1,2})[./](\\d{1,2})(?:[./](\\d{2,4}))?(?!\\d)";
+
+/**
+ * Номер месяца по слову или null
+ */
+const parseMonth = (word) => {
+  const lowered = word.toLowerCase();
+  const match = MONTH_PREFIXES.find(([prefix]) => lowered.startsWith(prefix));
+  return match ? match[1] : null;
+};
+
+/**
+ * Дата в UTC или null для несуществующих дат (31.02)
+ */
+const toUtcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+const toIso = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+/**
+ * Дата без года: ближайшая, не раньше сегодняшнего дня
+ */
+const resolveDate = (day, month, year, today) => {
+  if (year !== null) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = toUtcDate(fullYear, month, day);
+    return date ? { date, yearInferred: false } : null;
+  }
+
+  const thisYear = toUtcDate(today.getUTCFullYear(), month, day);
+  if (thisYear && thisYear >= today) {
+    return { date: thisYear, yearInferred: true };
+  }
+
+  const nextYear = toUtcDate(today.getUTCFullYear() + 1, month, day);
+  return nextYear ? { date: nextYear, yearInferred: true } : null;
+};
+
+/**
+ * Количество: цифрами или словом ("две недели"); без числа - 1 ("через неделю")
+ */
+const parseAmount = (value) => {
+  if (!value) return 1;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return NUMBER_WORDS[value.toLowerCase()] ?? null;
+};
+
+/**
+ * Единица времени по слову: day | night | week | month | weekend
+ */
+const parseUnit = (word) => {
+  const lowered = word.toLowerCase();
+  if (/^(дн|ден|сут|day)/.test(lowered)) return "day";
+  if (/^(ноч|night)/.test(lowered)) return "night";
+  if (/^(нед|week)/.test(lowered)) return lowered.startsWith("weekend") ? "weekend" : "week";
+  if (/^(мес|month)/.test(lowered)) return "month";
+  if (/^выходн/.test(lowered)) return "weekend";
+  return null;
+};
+
+/**
+ * Поиск всех дат в тексте (числовые и с названием месяца)
+ */
+const findDates = (text, today) => {
+  const found = [];
+
+  for (const match of text.matchAll(new RegExp(NUMERIC_DATE, "gi"))) {
+    const [, isoYear, isoMonth, isoDay, day, month, year] = match;
+    const resolved = isoYear
+      ? resolveDate(parseInt(isoDay, 10), parseInt(isoMonth, 10) - 1, parseInt(isoYear, 10), today)
+      : resolveDate(parseInt(day, 10), parseInt(month, 10) - 1, year ? parseInt(year, 10) : null, today);
+    if (resolved) found.push({ ...resolved, index: match.index });
+  }
+
+  for (const match of text.matchAll(new RegExp(TEXT_DATE, "gi"))) {
+    const [, day, monthWord, year] = match;
+    const month = parseMonth(monthWord);
+    if (month === null) continue;
+    const resolved = resolveDate(parseInt(day, 10), month, year ? parseInt(year, 10) : null, today);
+    if (resolved) found.push({ ...resolved, index: match.index });
+  }
+
+  // Английский порядок: "June 5, 2026"
+  for (const match of text.matchAll(new RegExp(`(${WORD})\\s+(\\d{1,2})(?!\\d)(?:,?\\s+(\\d{4}))?`, "gi"))) {
+    const [, monthWord, day, year] = match;
+    const month = parseMonth(monthWord);
+    if (month === null || !/^[a-z]/i.test(monthWord)) continue;
+    const resolved = resolveDate(parseInt(day, 10), month, year ? parseInt(year, 10) : null, today);
+    if (resolved) found.push({ ...resolved, index: match.index });
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Относительная дата начала: сегодня, завтра, послезавтра, "через N дней/недель/месяцев", "in 2 weeks"
+ */
+const findRelativeStart = (text, today) => {
+  const lowered = text.toLowerCase();
+
+  if (/послезавтра|day after tomorrow/.test(lowered)) return addDays(today, 2);
+  if (/завтра|tomorrow/.test(lowered)) return addDays(today, 1);
+  if (/сегодня|today/.test(lowered)) return today;
+
+  for (const match of lowered.matchAll(new RegExp(`(?:^|[\\s,])(?:через|in)\\s+${AMOUNT}(${WORD})`, "g"))) {
+    // "через месяц на неделю": жадное AMOUNT забирает единицу, а следующее слово не единица
+    const bareUnit = match[1] && !parseUnit(match[2]) ? parseUnit(match[1]) : null;
+    const unit = bareUnit || parseUnit(match[2]);
+    const amount = bareUnit ? 1 : parseAmount(match[1]);
+    if (!unit || amount === null) continue;
+
+    if (unit === "month") return addMonths(today, amount);
+    if (unit === "week") return addDays(today, amount * 7);
+    if (unit === "day" || unit === "night") return addDays(today, amount);
+  }
+
+  return null;
+};
+
+/**
+ * Длительность поездки в днях: "на неделю", "на 5 дней", "на 3 ночи", "for 10 days"
+ */
+const findDuration = (text) => {
+  const pattern = new RegExp(`(?:^|[\\s,])(?:на|for)\\s+${AMOUNT}(${WORD})`, "g");
+
+  for (const match of text.toLowerCase().matchAll(pattern)) {
+    const unit = parseUnit(match[2]);
+    const amount = parseAmount(match[1]);
+    if (!unit || amount === null) continue;
+
+    switch (unit) {
+      case "day":
+        return amount;
+      case "night":
+        return amount + 1;
+      case "week":
+        return amount * 7;
+      case "month":
+        return amount * 30;
+      case "weekend":
+        return 2;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Диапазон с общим месяцем: "с 5 по 12 июня", "10–15 мая 2026"
+ */
+const findSharedMonthRange = (text, today) => {
+  const match = text.match(
+    new RegExp(`(?<!\\d)(\\d{1,2})${RANGE_SEPARATOR}(\\d{1,2})\\s+(${WORD})\\.?(?:\\s+(\\d{4}))?`, "i")
+  );
+  if (!match) return null;
+
+  const [, startDay, endDay, monthWord, year] = match;
+  const month = parseMonth(monthWord);
+  if (month === null) return null;
+
+  const end = resolveDate(parseInt(endDay, 10), month, year ? parseInt(year, 10) : null, today);
+  if (!end) return null;
+
+  const start = toUtcDate(end.date.getUTCFullYear(), month, parseInt(startDay, 10));
+  if (!start) return null;
+
+  return { start, end: end.date, yearInferred: end.yearInferred };
+};
+
+/**
+ * Компактный диапазон с общим месяцем в числовом виде: "10-15.06.2027", "10–15.06"
+ */
+const findCompactRange = (text, today) => {
+  const match = text.match(/(?<![\d./])(\d{1,2})\s*[-–—]\s*(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?(?![\d./])/);
+  if (!match) return null;
+
+  const [, startDay, endDay, monthValue, year] = match;
+  const month = parseInt(monthValue, 10) - 1;
+
+  const end = resolveDate(parseInt(endDay, 10), month, year ? parseInt(year, 10) : null, today);
+  if (!end) return null;
+
+  const start = toUtcDate(end.date.getUTCFullYear(), month, parseInt(startDay, 10));
+  if (!start) return null;
+
+  return { start, end: end.date, yearInferred: end.yearInferred };
+};
+
+const withYear = (date, year) => {
+  const result = new Date(date.getTime());
+  result.setUTCFullYear(year);
+  return result;
+};
+
+/**
+ * Выравнивание годов диапазона, если год указан не у обеих дат:
+ * "28.12 - 03.01" -> конец в следующем году, "28.12 - 03.01.2027" -> начало в 2026
+ */
+const alignRange = (start, end) => {
+  if (end.date >= start.date) {
+    return { start: start.date, end: end.date };
+  }
+
+  if (end.yearInferred) {
+    let shiftedEnd = withYear(end.date, start.date.getUTCFullYear());
+    if (shiftedEnd < start.date) {
+      shiftedEnd = withYear(shiftedEnd, shiftedEnd.getUTCFullYear() + 1);
+    }
+    return { start: start.date, end: shiftedEnd };
+  }
+
+  if (start.yearInferred) {
+    let shiftedStart = withYear(start.date, end.date.getUTCFullYear());
+    if (shiftedStart > end.date) {
+      shiftedStart = withYear(shiftedStart, shiftedStart.getUTCFullYear() - 1);
+    }
+    return { start: shiftedStart, end: end.date };
+  }
+
+  // Оба года указаны явно - диапазон перевернут, это ошибка
+  return { start: start.date, end: end.date };
+};
+
+/**
+ * Разбор одного значения как самостоятельной даты (целиком)
+ */
+const parseSingleDate = (text, today) => {
+  const dates = findDates(text, today);
+  if (dates.length === 1 && !findDuration(text)) {
+    return dates[0];
+  }
+
+  if (dates.length === 0 && !findDuration(text)) {
+    const relative = findRelativeStart(text, today);
+    if (relative) return { date: relative, yearInferred: false, relative: true };
+  }
+
+  return null;
+};
+
+/**
+ * Есть ли в значении поля хоть что-то, похожее на дату, длительность или относительную дату
+ */
+const hasDateContent = (text, today) =>
+  findDates(text, today).length > 0 || Boolean(findDuration(text)) || Boolean(findRelativeStart(text, today));
+
+const normalizeRaw = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+};
+
+/**
+ * Нормализация дат поездки из полей формы
+ *
+ * Понимает ISO, DD.MM.YYYY, DD.MM, "5 июня", "June 5", диапазоны в одном поле
+ * ("с 5 по 12 июня", "10–15 мая", "10-15.06.2027", "28.12 - 03.01") и относительные фразы
+ * ("через месяц, на неделю", "завтра на 3 дня").
+ *
+ * Возвращает ISO даты (YYYY-MM-DD), длительность в днях (включая оба дня)
+ * и interpretation - как были поняты даты (см. DATE_INTERPRETATIONS)
+ * Поездка длиннее maxDays (TRIP_MAX_DAYS) - invalid с errorCode "tooLong";
+ * заполнены оба поля, но одно не распознано ("31.06.2027") - invalid с errorCode "invalidFormat"
+ */
+export const normalizeTripDates = (rawStart, rawEnd, { now = new Date(), maxDays = config.dates.maxDays } = {}) => {
+  const startText = normalizeRaw(rawStart);
+  const endText = normalizeRaw(rawEnd);
+  const today = startOfDay(now);
+
+  const result = (interpretation, start = null, end = null, extra = {}) => {
+    const days = start && end
+      ? Math.round((end - start) / DAY_MS) + 1
+      : extra.days ?? null;
+
+    // Слишком длинная поездка ("на 100 недель", опечатка в годе) - по дню на запрос к модели в planner
+    if (maxDays > 0 && days > maxDays && interpretation !== DATE_INTERPRETATIONS.INVALID) {
+      return result(DATE_INTERPRETATIONS.INVALID, null, null, {
+        error: `Поездка длиннее ${maxDays} дней`,
+        errorCode: "tooLong",
+      });
+    }
+
+    return {
+      startDate: toIso(start),
+      endDate: toIso(end),
+      days,
+      interpretation,
+      isValid: interpretation !== DATE_INTERPRETATIONS.INVALID,
+      inPast: Boolean(end ? end < today : start && start < today),
+      yearInferred: Boolean(extra.yearInferred),
+      raw: { startDate: startText, endDate: endText },
+      ...(extra.error ? { error: extra.error, errorCode: extra.errorCode } : {}),
+    };
+  };
+
+  if (!startText && !endText) {
+    return result(DATE_INTERPRETATIONS.NONE);
+  }
+
+  // Две даты в отдельных полях
+  if (startText && endText) {
+    const start = parseSingleDate(startText, today);
+    const end = parseSingleDate(endText, today);
+
+    if (start && end) {
+      const aligned = alignRange(start, end);
+      if (aligned.end < aligned.start) {
+        return result(DATE_INTERPRETATIONS.INVALID, null, null, {
+          error: "Дата начала должна быть раньше даты окончания",
+          errorCode: "startAfterEnd",
+        });
+      }
+
+      return result(
+        start.relative ? DATE_INTERPRETATIONS.RELATIVE : DATE_INTERPRETATIONS.EXACT,
+        aligned.start,
+        aligned.end,
+        { yearInferred: start.yearInferred || end.yearInferred }
+      );
+    }
+
+    // Несуществующая дата в одном из полей не должна молча превращать поездку в однодневную
+    if (!hasDateContent(startText, today) || !hasDateContent(endText, today)) {
+      return result(DATE_INTERPRETATIONS.INVALID, null, null, {
+        error: "Некорректный формат дат",
+        errorCode: "invalidFormat",
+      });
+    }
+  }
+
+  // Все остальное разбираем как свободный текст
+  const text = [startText, endText].filter(Boolean).join(" ");
+
+  const sharedMonth = findSharedMonthRange(text, today);
+  if (sharedMonth) {
+    return result(DATE_INTERPRETATIONS.RANGE, sharedMonth.start, sharedMonth.end, {
+      yearInferred: sharedMonth.yearInferred,
+    });
+  }
+
+  const compact = findCompactRange(text, today);
+  if (compact) {
+    return result(DATE_INTERPRETATIONS.RANGE, compact.start, compact.end, {
+      yearInferred: compact.yearInferred,
+    });
+  }
+
+  const dates = findDates(text, today);
+  if (dates.length >= 2) {
+    const aligned = alignRange(dates[0], dates[1]);
+    if (aligned.end < aligned.start) {
+      return result(DATE_INTERPRETATIONS.INVALID, null, null, {
+        error: "Дата начала должна быть раньше даты окончания",
+        errorCode: "startAfterEnd",
+      });
+    }
+
+    return result(DATE_INTERPRETATIONS.RANGE, aligned.start, aligned.end, {
+      yearInferred: dates[0].yearInferred || dates[1].yearInferred,
+    });
+  }
+
+  const duration = findDuration(text);
+  const relativeStart = dates.length === 0 ? findRelativeStart(text, today) : null;
+  const start = dates[0]?.date || relativeStart;
+
+  if (start && duration) {
+    return result(
+      relativeStart ? DATE_INTERPRETATIONS.RELATIVE : DATE_INTERPRETATIONS.RANGE,
+      start,
+      addDays(start, duration - 1),
+      { yearInferred: dates[0]?.yearInferred }
+    );
+  }
+
+  if (start) {
+    return result(
+      relativeStart ? DATE_INTERPRETATIONS.RELATIVE : DATE_INTERPRETATIONS.SINGLE,
+      start,
+      null,
+      { yearInferred: dates[0]?.yearInferred }
+    );
+  }
+
+  if (duration) {
+    return result(DATE_INTERPRETATIONS.DURATION, null, null, { days: duration });
+  }
+
+  return result(DATE_INTERPRETATIONS.INVALID, null, null, {
+    error: "Некорректный формат дат",
+    errorCode: "invalidFormat",
+  });
+};
+
+/**
+ * Склонение слова "день" для числа
+ */
+export const pluralizeDays = (count) => {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return "день";
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return "дня";
+  return "дней";
+};
+
+const formatDisplayDate = (iso) => iso.split("-").reverse().join(".");
+
+/**
+ * Человекочитаемое описание дат для промпта и письма на языке заявки
+ */
+export const formatTripDates = (tripDates, { locale = DEFAULT_LOCALE } = {}) => {
+  if (!tripDates) return t(locale, "dates.notSpecified");
+
+  const { startDate, endDate, days, interpretation, raw } = tripDates;
+  const daysLabel = days ? `${days} ${plural(locale, days, "dates.day")}` : null;
+
+  if (startDate && endDate) {
+    return `${formatDisplayDate(startDate)} — ${formatDisplayDate(endDate)} (${daysLabel})`;
+  }
+
+  if (startDate) {
+    return t(locale, "dates.from", { date: formatDisplayDate(startDate) });
+  }
+
+  if (daysLabel) {
+    return t(locale, "dates.flexible", { days: daysLabel });
+  }
+
+  if (interpretation === DATE_INTERPRETATIONS.INVALID) {
+    return [raw.startDate, raw.endDate].filter(Boolean).join(" — ");
+  }
+
+  return t(locale, "dates.notSpecified");
+};
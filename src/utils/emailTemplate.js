@@ -0,0 +1,264 @@
+import { readFileSync, existsSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { t, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * Шаблоны писем (src/templates): переменные с экранированием, условия, циклы, общие части и темы
+ *
+ * {{name}}                               - значение переменной, HTML экранируется
+ * {{{name}}}                             - значение как есть (готовый HTML, например маршрут из utils/markdown.js)
+ * {{#if name}}...{{else}}...{{/if}}      - блок, если переменная заполнена (вложенность допускается)
+ * {{#each items}}...{{else}}...{{/each}} - блок для каждого элемента: {{this}}, {{this.field}} или {{field}},
+ *                                          {{@index}}, {{@number}} (с 1), {{@first}}, {{@last}}; else - список пуст
+ * {{> header}}                           - общая часть из templates/partials/header.html
+ * {{> header title="email.route.title"}} - общая часть со своими переменными (строка или переменная)
+ * {{t "email.subject" city=city}}        - перевод на язык письма (data.locale); значения экранируются,
+ *                                          текст перевода - нет (в переводах бывает <br>)
+ * {{! комментарий }}                     - вырезается из текста
+ *
+ * Рядом с <name>.html: тема письма <name>.subject.txt (в одну строку) и текстовая версия <name>.text.txt,
+ * обе без экранирования.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = join(__dirname, "../templates");
+
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(!)?([\s\S]*?)\s*\}\}/g;
+// Аргументы тега: "строка", имя=значение, переменная
+const ARGUMENT_PATTERN = /"((?:[^"\\]|\\.)*)"|([\w@]+)=(?:"((?:[^"\\]|\\.)*)"|([\w.@]+))|([\w.@]+)/g;
+const PATH_PATTERN = /^[\w@]+(?:\.[\w@]+)*$/;
+
+// Общие части подключают друг друга - ограничение от бесконечной рекурсии
+const MAX_PARTIAL_DEPTH = 10;
+
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const isFilled = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value) && String(value).trim() !== "";
+
+const unquote = (value) => value.replace(/\\(.)/g, "$1");
+
+/**
+ * Аргументы тега: { args: [{ value } | { path }], hash: { name: { value } | { path } } }
+ */
+const parseArguments = (source, tag) => {
+  const args = [];
+  const hash = {};
+  let rest = source;
+
+  for (const match of source.matchAll(ARGUMENT_PATTERN)) {
+    const [text, literal, key, hashLiteral, hashPath, path] = match;
+    rest = rest.replace(text, "");
+    if (key) {
+      hash[key] = hashLiteral !== undefined ? { value: unquote(hashLiteral) } : { path: hashPath };
+    } else {
+      args.push(literal !== undefined ? { value: unquote(literal) } : { path });
+    }
+  }
+
+  if (rest.trim()) {
+    throw new Error(`Invalid arguments in email template tag: ${tag}`);
+  }
+
+  return { args, hash };
+};
+
+/**
+ * Разбор шаблона в дерево: строки, переменные, вызовы помощников, общие части, условия и циклы
+ */
+export const parseEmailTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.inElse ? node.otherwise : node.children;
+  };
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, raw, comment, expression] = match;
+    target().push(source.slice(lastIndex, match.index));
+    lastIndex = match.index + tag.length;
+
+    if (raw) {
+      target().push({ variable: raw, raw: true });
+      continue;
+    }
+    if (comment) {
+      // Комментарий на отдельной строке не оставляет пустую строку
+      if (source[lastIndex] === "\n" && /(?:^|\n)$/.test(source.slice(0, match.index))) lastIndex++;
+      continue;
+    }
+
+    const block = expression.match(/^#(if|each)\s+([\w.@]+)$/);
+    const close = expression.match(/^\/(if|each)$/);
+    const partial = expression.match(/^>\s*([\w-]+)\s*([\s\S]*)$/);
+    const helper = expression.match(/^(\w+)\s+([\s\S]+)$/);
+
+    if (block) {
+      const node = { block: block[1], path: block[2], children: [], otherwise: [], inElse: false };
+      target().push(node);
+      stack.push(node);
+    } else if (expression === "else") {
+      if (stack.length === 1) throw new Error("Unexpected {{else}} in email template");
+      current().inElse = true;
+    } else if (close) {
+      if (stack.length === 1 || current().block !== close[1]) {
+        throw new Error(`Unexpected {{/${close[1]}}} in email template`);
+      }
+      stack.pop();
+    } else if (partial) {
+      target().push({ partial: partial[1], hash: parseArguments(partial[2], tag).hash });
+    } else if (helper) {
+      target().push({ helper: helper[1], ...parseArguments(helper[2], tag) });
+    } else if (PATH_PATTERN.test(expression)) {
+      target().push({ variable: expression });
+    } else {
+      throw new Error(`Unknown email template tag: ${tag}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${current().block} ${current().path}}} in email template`);
+  }
+
+  target().push(source.slice(lastIndex));
+  return root.children;
+};
+
+/**
+ * Значение переменной: поиск от внутреннего цикла к данным письма
+ */
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split(".");
+  const scope = [...scopes].reverse().find((frame) => frame !== null && typeof frame === "object" && head in frame);
+  return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope ? scope[head] : undefined);
+};
+
+const resolveArgument = (argument, scopes) => ("value" in argument ? argument.value : lookup(scopes, argument.path));
+
+// Помощники получают значения аргументов и возвращают готовый текст (экранирование - их забота)
+const DEFAULT_HELPERS = {
+  t: ([key], hash, { scopes, escape }) => {
+    const variables = Object.fromEntries(
+      Object.entries(hash).map(([name, value]) => [name, value == null ? value : escape(value)])
+    );
+    return t(lookup(scopes, "locale") || DEFAULT_LOCALE, key, variables);
+  },
+};
+
+// Разобранные шаблоны: файлы не меняются во время работы сервера
+const cache = new Map();
+
+const loadFile = (path) => {
+  if (!cache.has(path)) {
+    cache.set(path, existsSync(path) ? parseEmailTemplate(readFileSync(path, "utf-8")) : null);
+  }
+  return cache.get(path);
+};
+
+const loadPartial = (name) => {
+  const nodes = loadFile(join(TEMPLATES_DIR, "partials", `${name}.html`));
+  if (!nodes) throw new Error(`Email template partial not found: ${name}`);
+  return nodes;
+};
+
+const renderNodes = (nodes, scopes, options, depth = 0) =>
+  nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+
+      if (node.variable) {
+        const value = lookup(scopes, node.variable);
+        if (value == null) return "";
+        return node.raw ? String(value) : options.escape(value);
+      }
+
+      if (node.helper) {
+        const helper = options.helpers[node.helper];
+        if (!helper) throw new Error(`Unknown email template helper: ${node.helper}`);
+        const args = node.args.map((argument) => resolveArgument(argument, scopes));
+        const hash = Object.fromEntries(
+          Object.entries(node.hash).map(([name, argument]) => [name, resolveArgument(argument, scopes)])
+        );
+        const value = helper(args, hash, { scopes, escape: options.escape });
+        return value == null ? "" : String(value);
+      }
+
+      if (node.partial) {
+        if (depth >= MAX_PARTIAL_DEPTH) throw new Error(`Email template partials nested too deep: ${node.partial}`);
+        const hash = Object.fromEntries(
+          Object.entries(node.hash).map(([name, argument]) => [name, resolveArgument(argument, scopes)])
+        );
+        return renderNodes(options.loadPartial(node.partial), [...scopes, hash], options, depth + 1);
+      }
+
+      const value = lookup(scopes, node.path);
+      if (node.block === "each") {
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) return renderNodes(node.otherwise, scopes, options, depth);
+        return items
+          .map((item, index) => {
+            const frame = {
+              ...(item !== null && typeof item === "object" && !Array.isArray(item) ? item : {}),
+              this: item,
+              "@index": index,
+              "@number": index + 1,
+              "@first": index === 0,
+              "@last": index === items.length - 1,
+            };
+            return renderNodes(node.children, [...scopes, frame], options, depth);
+          })
+          .join("");
+      }
+
+      return renderNodes(isFilled(value) ? node.children : node.otherwise, scopes, options, depth);
+    })
+    .join("");
+
+/**
+ * Подстановка данных в шаблон (строку или результат parseEmailTemplate)
+ * escape: false - текст без экранирования (темы и текстовые письма); helpers - дополнительные помощники
+ */
+export const renderEmailTemplate = (template, data = {}, { escape = true, helpers = {} } = {}) => {
+  const nodes = typeof template === "string" ? parseEmailTemplate(template) : template;
+  return renderNodes(nodes, [data], {
+    escape: escape ? escapeHtml : String,
+    helpers: { ...DEFAULT_HELPERS, ...helpers },
+    loadPartial,
+  });
+};
+
+/**
+ * Письмо по шаблонам templates/<name>.html, <name>.subject.txt и <name>.text.txt
+ * Возвращает { subject, html, text }; subject и text - null без своего шаблона
+ */
+export const renderEmail = (name, data = {}, { helpers = {} } = {}) => {
+  const html = loadFile(join(TEMPLATES_DIR, `${name}.html`));
+  if (!html) throw new Error(`Email template not found: ${name}`);
+
+  const subject = loadFile(join(TEMPLATES_DIR, `${name}.subject.txt`));
+  const text = loadFile(join(TEMPLATES_DIR, `${name}.text.txt`));
+  const renderText = (nodes) => renderEmailTemplate(nodes, data, { escape: false, helpers });
+
+  return {
+    subject: subject ? renderText(subject).replace(/\s+/g, " ").trim() : null,
+    html: renderEmailTemplate(html, data, { helpers }).trim(),
+    text: text ? renderText(text).replace(/\n{3,}/g, "\n\n").trim() : null,
+  };
+};
+
+export default {
+  escapeHtml,
+  parseEmailTemplate,
+  renderEmailTemplate,
+  renderEmail,
+};
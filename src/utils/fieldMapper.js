@@ -0,0 +1,204 @@
+import { defaultProfile, formProfiles } from "../config/formMappings.js";
+
+/**
+ * Нормализация текстового значения: пустые строки и "null"/"undefined"/"nan" -> null
+ */
+export const normalizeText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (["null", "undefined", "nan"].includes(text.toLowerCase())) return null;
+  return text;
+};
+
+/**
+ * Нормализация имени поля для сравнения (регистр, пробелы, дефисы)
+ */
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s-]+/g, "_");
+
+/**
+ * Поиск полей по списку имен
+ * Сначала точное совпадение, затем без учета регистра, пробелов и дефисов.
+ * Возвращает найденные ключи в порядке приоритета имен
+ */
+export const findFieldKeys = (data, names) => {
+  if (!data || typeof data !== "object") return [];
+
+  const dataKeys = Object.keys(data);
+  const found = [];
+
+  for (const name of names) {
+    if (dataKeys.includes(name) && !found.includes(name)) {
+      found.push(name);
+    }
+  }
+
+  for (const name of names) {
+    const normalizedName = normalizeKey(name);
+    for (const key of dataKeys) {
+      if (normalizeKey(key) === normalizedName && !found.includes(key)) {
+        found.push(key);
+      }
+    }
+  }
+
+  return found.filter((key) => normalizeText(data[key]) !== null);
+};
+
+/**
+ * Проверка значения по списку заглушек
+ */
+const isExcluded = (value, spec) =>
+  (spec.exclude || []).some((item) => item.toLowerCase() === value.toLowerCase());
+
+/**
+ * Разбор значения в список: JSON массив или текст через , ; и перевод строки
+ */
+const splitValue = (value) => {
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) {
+      return parsed.map(normalizeText).filter(Boolean);
+    }
+  } catch (e) {
+    // не JSON - разбираем как текст
+  }
+
+  return value
+    .split(/[,;\n]/)
+    .map(normalizeText)
+    .filter(Boolean);
+};
+
+/**
+ * Преобразования значений поля
+ */
+const TRANSFORMS = {
+  trim: (value) =>
+    Array.isArray(value) ? value.map((item) => item.trim()) : value.trim(),
+
+  lowercase: (value) =>
+    Array.isArray(value) ? value.map((item) => item.toLowerCase()) : value.toLowerCase(),
+
+  split: (value, spec) =>
+    (Array.isArray(value) ? value : [value])
+      .flatMap(splitValue)
+      .filter((item) => !isExcluded(item, spec)),
+
+  unique: (value) => {
+    if (!Array.isArray(value)) return value;
+    const seen = new Set();
+    return value.filter((item) => {
+      const key = item.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  join: (value) => (Array.isArray(value) ? value.join(", ") : value),
+};
+
+/**
+ * Профиль формы по formid/pageid с наследованием от профиля по умолчанию
+ */
+export const resolveProfile = (meta = {}) => {
+  const profile = formProfiles.find(({ match = {} }) =>
+    Object.entries(match).some(
+      ([key, value]) => meta[key] !== undefined && meta[key] !== null && String(meta[key]) === String(value)
+    )
+  );
+
+  if (!profile) {
+    return defaultProfile;
+  }
+
+  const fields = {};
+  for (const [field, baseSpec] of Object.entries(defaultProfile.fields)) {
+    const override = profile.fields?.[field] || {};
+    fields[field] = {
+      ...baseSpec,
+      ...override,
+      aliases: [...(override.aliases || []), ...baseSpec.aliases],
+    };
+  }
+
+  // Поля, которых нет в профиле по умолчанию
+  for (const [field, spec] of Object.entries(profile.fields || {})) {
+    if (!fields[field]) {
+      fields[field] = { aliases: [], ...spec };
+    }
+  }
+
+  return {
+    name: profile.name,
+    match: profile.match,
+    promptPreset: profile.promptPreset || null,
+    locale: profile.locale || null,
+    fields,
+  };
+};
+
+/**
+ * Сопоставление распарсенных полей формы с полями заявки
+ * Возвращает данные, отчет о сопоставлении (какие исходные ключи куда попали),
+ * несопоставленные ключи и отсутствующие обязательные поля
+ */
+export const mapFormData = (parsedData = {}, meta = {}) => {
+  const profile = resolveProfile(meta);
+  const data = {};
+  const mapping = {};
+  const usedKeys = new Set();
+  const missing = [];
+
+  for (const [field, spec] of Object.entries(profile.fields)) {
+    const keys = findFieldKeys(parsedData, spec.aliases);
+    const sourceKeys = spec.collect ? keys : keys.slice(0, 1);
+
+    let value = null;
+
+    if (sourceKeys.length > 0) {
+      const rawValues = sourceKeys
+        .map((key) => normalizeText(parsedData[key]))
+        .filter((item) => !isExcluded(item, spec));
+
+      value = spec.collect ? rawValues : rawValues[0] ?? null;
+
+      for (const transform of spec.transforms || []) {
+        if (value === null) break;
+        value = TRANSFORMS[transform] ? TRANSFORMS[transform](value, spec) : value;
+      }
+
+      if (Array.isArray(value) ? value.length === 0 : !normalizeText(value)) {
+        value = null;
+      }
+
+      sourceKeys.forEach((key) => usedKeys.add(key));
+    }
+
+    if (value === null && spec.default !== undefined) {
+      value = spec.default;
+    }
+
+    if (value === null && spec.required) {
+      missing.push(field);
+    }
+
+    data[field] = value;
+    mapping[field] = {
+      keys: sourceKeys,
+      value,
+      defaulted: sourceKeys.length === 0 && value !== null,
+    };
+  }
+
+  return {
+    profile: profile.name,
+    promptPreset: profile.promptPreset || null,
+    locale: profile.locale || null,
+    data,
+    mapping,
+    unmapped: Object.keys(parsedData).filter((key) => !usedKeys.has(key)),
+    missing,
+  };
+};
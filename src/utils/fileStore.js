@@ -0,0 +1,39 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join, resolve } from "path";
+import { config } from "../config/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Путь к файлу в папке данных приложения (DATA_DIR или ./data)
+ */
+export const resolveDataPath = (fileName) => {
+  const dir = config.storage.dir
+    ? resolve(config.storage.dir)
+    : join(__dirname, "../../data");
+  return join(dir, fileName);
+};
+
+/**
+ * Чтение JSON файла
+ * Возвращает fallback, если файла нет; бросает ошибку при поврежденном JSON
+ */
+export const readJsonFile = (filePath, fallback = null) => {
+  if (!existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(readFileSync(filePath, "utf-8"));
+};
+
+/**
+ * Атомарная запись JSON файла (через временный файл)
+ */
+export const writeJsonFile = (filePath, data) => {
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  renameSync(tmpPath, filePath);
+};
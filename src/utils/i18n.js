@@ -0,0 +1,144 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { config } from "../config/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SUPPORTED_LOCALES = ["ru", "en", "de"];
+
+// Языковой код по названию языка из поля формы
+const LOCALE_ALIASES = {
+  русский: "ru", russian: "ru", rus: "ru",
+  english: "en", английский: "en", eng: "en",
+  deutsch: "de", german: "de", немецкий: "de", ger: "de", deu: "de",
+};
+
+/**
+ * Каталоги сообщений: src/locales/<locale>.json
+ */
+const catalogs = Object.fromEntries(
+  SUPPORTED_LOCALES.map((locale) => [
+    locale,
+    JSON.parse(readFileSync(join(__dirname, "../locales", `${locale}.json`), "utf-8")),
+  ])
+);
+
+export const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(config.i18n.defaultLocale)
+  ? config.i18n.defaultLocale
+  : "ru";
+
+/**
+ * Поддерживаемая локаль из значения ("en-US", "English", "de") или null
+ */
+export const normalizeLocale = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (LOCALE_ALIASES[text]) return LOCALE_ALIASES[text];
+
+  const code = text.split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+
+/**
+ * Локаль из адреса страницы Tilda: /en/..., en.site.com, ?lang=en
+ */
+export const getLocaleFromUrl = (pageUrl) => {
+  if (!pageUrl) return null;
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(pageUrl) ? pageUrl : `https://${pageUrl}`);
+  } catch (error) {
+    return null;
+  }
+
+  const fromQuery = normalizeLocale(url.searchParams.get("lang") || url.searchParams.get("locale"));
+  const fromPath = url.pathname.split("/").filter(Boolean).map(normalizeLocale).find(Boolean);
+  const subdomain = url.hostname.split(".")[0];
+  const fromHost = SUPPORTED_LOCALES.includes(subdomain) ? subdomain : null;
+
+  return fromQuery || fromPath || fromHost;
+};
+
+/**
+ * Первая поддерживаемая локаль из Accept-Language с учетом q
+ */
+export const getLocaleFromAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  return (
+    String(header)
+      .split(",")
+      .map((part) => {
+        const [tag, ...params] = part.trim().split(";");
+        const q = params.find((param) => param.trim().startsWith("q="));
+        return { locale: normalizeLocale(tag), q: q ? parseFloat(q.split("=")[1]) : 1 };
+      })
+      .filter(({ locale, q }) => locale && q > 0)
+      .sort((a, b) => b.q - a.q)[0]?.locale || null
+  );
+};
+
+/**
+ * Локаль заявки: поле формы, профиль формы, адрес страницы, Accept-Language, затем DEFAULT_LOCALE
+ */
+export const resolveLocale = ({ field, profileLocale, pageUrl, acceptLanguage } = {}) =>
+  normalizeLocale(field) ||
+  normalizeLocale(profileLocale) ||
+  getLocaleFromUrl(pageUrl) ||
+  getLocaleFromAcceptLanguage(acceptLanguage) ||
+  DEFAULT_LOCALE;
+
+const lookup = (catalog, key) =>
+  (Array.isArray(key) ? key : key.split(".")).reduce(
+    (value, part) => (value == null ? undefined : value[part]),
+    catalog
+  );
+
+/**
+ * Сообщение из каталога с подстановкой {name}
+ * Нет перевода - сообщение локали по умолчанию, затем fallback
+ * key - "email.subject" или массив частей (для ключей с точками: ["validation", "city", "string.empty"])
+ */
+export const t = (locale, key, variables = {}, fallback = undefined) => {
+  const message = [locale, DEFAULT_LOCALE]
+    .map((name) => catalogs[name] && lookup(catalogs[name], key))
+    .find((value) => typeof value === "string");
+
+  if (message === undefined) {
+    return fallback !== undefined ? fallback : Array.isArray(key) ? key.join(".") : key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+  );
+};
+
+/**
+ * Форма слова по числу: forms из каталога (ru - 3 формы, en/de - 2)
+ */
+export const plural = (locale, count, key) => {
+  const forms = [locale, DEFAULT_LOCALE].map((name) => lookup(catalogs[name] || {}, key)).find(Array.isArray);
+  if (!forms) return "";
+
+  if (forms.length === 2) {
+    return count === 1 ? forms[0] : forms[1];
+  }
+
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return forms[0];
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return forms[1];
+  return forms[2];
+};
+
+export default {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  resolveLocale,
+  t,
+  plural,
+};
@@ -0,0 +1,160 @@
+import { config } from "../config/index.js";
+
+/**
+ * Проверка текстовых полей заявки перед подстановкой в промпт
+ * Город, интересы, бюджет и пожелания попадают в промпт как есть: "игнорируй предыдущие инструкции..."
+ * превращает письмо с нашего домена в произвольный текст. Проверка находит похожий на инструкции текст,
+ * ссылки, мат и слишком длинные значения; текст очищается от управляющих символов и ссылок
+ * и обрезается до config.screening.maxLength.
+ */
+
+export const SCREENING_REASONS = {
+  INSTRUCTIONS: "instructions",
+  LENGTH: "length",
+  URL: "url",
+  PROFANITY: "profanity",
+  MODERATION: "moderation",
+};
+
+// Поля заявки, текст которых подставляется в промпт
+export const SCREENED_FIELDS = ["city", "interests", "budget", "comment"];
+
+// Однострочные поля: переводы строк заменяются пробелами
+const SINGLE_LINE_FIELDS = ["city", "interests", "budget"];
+
+// Обращения к модели вместо пожеланий к поездке (ru, en, de) и служебная разметка ролей чата
+const INSTRUCTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(?:previous|prior|above|earlier|all|any|your|system)\b[^.\n]{0,30}\b(?:instructions?|prompts?|rules|guidelines|directions|messages?)\b/i,
+  /\b(?:you are now|from now on,? you|pretend (?:to be|you are)|roleplay as)\b/i,
+  /\b(?:system prompt|developer mode|jailbreak|do anything now)\b/i,
+  /\binstead of (?:the |an? |your )?(?:itinerary|route|trip plan|travel plan)\b/i,
+  /(?<!\p{L})(?:игнорируй|проигнорируй|забудь|отмени|не (?:обращай внимания на|следуй))[^.\n]{0,40}(?:инструкци|указани|правил|промпт|предыдущ|системн)/iu,
+  /(?<!\p{L})(?:ты теперь|теперь ты|с этого момента ты|представь,? что ты|веди себя как|притворись)(?!\p{L})/iu,
+  /(?<!\p{L})(?:системн\p{L}* (?:промпт|инструкци|сообщени)|режим разработчика|джейлбрейк)/iu,
+  /(?<!\p{L})вместо (?:маршрута|плана поездки)/iu,
+  /(?<!\p{L})(?:ignoriere|vergiss|missachte|übergehe)[^.\n]{0,40}(?:anweisung|vorherig|regeln|prompt|systemnachricht)/iu,
+  /(?<!\p{L})(?:du bist jetzt|ab jetzt bist du|tu so,? als|verhalte dich wie)(?!\p{L})/iu,
+  /(?<!\p{L})(?:systemprompt|system-prompt|entwicklermodus)/iu,
+  /(?<!\p{L})(?:statt|anstelle) (?:der|einer) reiseroute/iu,
+  /<\|?(?:im_start|im_end|system|assistant|endoftext)\|?>|\[\/?(?:INST|SYS)\]|<<\/?SYS>>/i,
+  /^\s*(?:system|assistant|developer|системное сообщение)\s*:/imu,
+];
+
+// Адрес со схемой или www, либо домен: "example.com/page" (не часть email)
+const URL_PATTERN =
+  /(?:https?:\/\/|www\.)[^\s"'<>]+|(?<![\p{L}\p{N}@.-])(?:[a-z0-9-]+\.)+(?:com|net|org|ru|de|io|info|biz|xyz|top|site|online|me|ly|link|click|app)(?:\/[^\s"'<>]*)?(?![\p{L}\p{N}])/giu;
+
+// Мат (ru, en, de) - по началу слова
+const PROFANITY_PATTERN =
+  /(?<!\p{L})(?:ху[йяеёи]|пизд|еба[нлт]|ёб|бля(?:[дт]|(?!\p{L}))|сука(?!\p{L})|мудак|мудил|залуп|гандон|пид[оа]р|fuck|motherfuck|shit(?!\p{L})|cunt|bitch|asshole|scheiss|scheiß|arschloch|fotze|wichser|hurensohn)/iu;
+
+// Управляющие символы, невидимые пробелы и символы смены направления текста (ими прячут текст)
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+const EXCERPT_CONTEXT = 20;
+
+/**
+ * Фрагмент текста вокруг найденного совпадения (для логов и ручной проверки)
+ */
+const excerptAround = (text, index, length) =>
+  text
+    .slice(Math.max(0, index - EXCERPT_CONTEXT), index + length + EXCERPT_CONTEXT)
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Обрезка по границе слова не длиннее maxLength
+ */
+const truncate = (text, maxLength) => {
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.search(/\s\S*$/);
+  return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim();
+};
+
+/**
+ * Проверка одного поля: { text, reasons: [{ field, reason, excerpt }] }
+ */
+export const screenText = (value, field, { maxLength = null } = {}) => {
+  const reasons = [];
+  let text = (Array.isArray(value) ? value.join(", ") : String(value)).replace(CONTROL_CHARACTERS, "");
+  if (SINGLE_LINE_FIELDS.includes(field)) {
+    text = text.replace(/\s+/g, " ");
+  }
+  text = text.trim();
+
+  const instruction = INSTRUCTION_PATTERNS.map((pattern) => text.match(pattern)).find(Boolean);
+  if (instruction) {
+    reasons.push({
+      field,
+      reason: SCREENING_REASONS.INSTRUCTIONS,
+      excerpt: excerptAround(text, instruction.index, instruction[0].length),
+    });
+  }
+
+  const profanity = text.match(PROFANITY_PATTERN);
+  if (profanity) {
+    reasons.push({
+      field,
+      reason: SCREENING_REASONS.PROFANITY,
+      excerpt: excerptAround(text, profanity.index, profanity[0].length),
+    });
+  }
+
+  // Ссылки в промпт не попадают: модель могла бы вставить их в письмо
+  const urls = [...text.matchAll(URL_PATTERN)];
+  if (urls.length > 0) {
+    reasons.push({ field, reason: SCREENING_REASONS.URL, excerpt: urls.map((match) => match[0]).join(" ") });
+    text = text
+      .replace(URL_PATTERN, "")
+      .replace(/[ \t]{2,}/g, " ")
+      .trim();
+  }
+
+  if (maxLength && text.length > maxLength) {
+    reasons.push({ field, reason: SCREENING_REASONS.LENGTH, excerpt: `${text.length} > ${maxLength}` });
+    text = truncate(text, maxLength);
+  }
+
+  return { text, reasons };
+};
+
+/**
+ * Проверка полей заявки ({ city, interests, budget, comment })
+ * Возвращает { flagged, reasons, fields }: fields - очищенные значения (пустые поля - как есть),
+ * flagged - есть причина из списка quarantine (заявка уходит на ручную проверку)
+ */
+export const screenFields = (
+  fields,
+  { maxLength = config.screening.maxLength, quarantine = config.screening.quarantine } = {}
+) => {
+  const reasons = [];
+  const cleaned = { ...fields };
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null || value === undefined || value === "") continue;
+
+    const result = screenText(value, field, { maxLength: maxLength[field] });
+    cleaned[field] = result.text;
+    reasons.push(...result.reasons);
+  }
+
+  return {
+    flagged: reasons.some(({ reason }) => quarantine.includes(reason)),
+    reasons,
+    fields: cleaned,
+  };
+};
+
+/**
+ * Текст клиента в тройных кавычках для промпта: модель отличает данные заявки от инструкций
+ * (см. prompt.userText в src/locales); тройные кавычки внутри текста не закрывают блок
+ */
+export const quoteUserText = (text) => `"""${String(text).replace(/"{3,}/g, '"')}"""`;
+
+export default {
+  SCREENING_REASONS,
+  SCREENED_FIELDS,
+  screenText,
+  screenFields,
+  quoteUserText,
+};
@@ -0,0 +1,317 @@
+import Joi from "joi";
+import { t, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * Структурированный маршрут (режим ITINERARY_FORMAT=json)
+ *
+ * Модель возвращает JSON по схеме ITINERARY_JSON_SCHEMA (response_format),
+ * ответ проверяется Joi схемой itinerarySchema, а текст письма
+ * собирается из структуры (renderItineraryMarkdown), а не берется как есть.
+ */
+
+const nullableString = { type: ["string", "null"] };
+
+const placeJsonSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: ["name", "address", "link"],
+  properties: {
+    name: { type: "string" },
+    address: nullableString,
+    link: nullableString,
+  },
+};
+
+/**
+ * JSON Schema для response_format (strict: все поля обязательны, пустые - null)
+ */
+export const ITINERARY_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["city", "summary", "accommodation", "days", "cuisine", "tips", "budget"],
+  properties: {
+    city: { type: "string" },
+    summary: { type: "string" },
+    accommodation: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "area", "pricePerNight", "description", "link"],
+        properties: {
+          name: { type: "string" },
+          area: nullableString,
+          pricePerNight: nullableString,
+          description: { type: "string" },
+          link: nullableString,
+        },
+      },
+    },
+    days: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["day", "date", "title", "slots"],
+        properties: {
+          day: { type: "integer" },
+          date: nullableString,
+          title: { type: "string" },
+          slots: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["time", "activity", "place", "cuisine", "cost", "transport", "tip"],
+              properties: {
+                time: { type: "string" },
+                activity: { type: "string" },
+                place: { anyOf: [placeJsonSchema, { type: "null" }] },
+                cuisine: nullableString,
+                cost: nullableString,
+                transport: nullableString,
+                tip: nullableString,
+              },
+            },
+          },
+        },
+      },
+    },
+    cuisine: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["dish", "where"],
+        properties: {
+          dish: { type: "string" },
+          where: nullableString,
+        },
+      },
+    },
+    tips: { type: "array", items: { type: "string" } },
+    budget: {
+      type: "object",
+      additionalProperties: false,
+      required: ["currency", "items", "total", "notes"],
+      properties: {
+        currency: { type: "string" },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["category", "amount", "note"],
+            properties: {
+              category: { type: "string" },
+              amount: { type: "number" },
+              note: nullableString,
+            },
+          },
+        },
+        total: { type: "number" },
+        notes: nullableString,
+      },
+    },
+  },
+};
+
+const optionalText = Joi.string().allow(null, "");
+
+const placeSchema = Joi.object({
+  name: Joi.string().min(1).required(),
+  address: optionalText,
+  link: optionalText,
+});
+
+/**
+ * Joi схема для проверки ответа модели
+ */
+export const itinerarySchema = Joi.object({
+  city: Joi.string().min(1).required(),
+  summary: Joi.string().min(20).required(),
+  accommodation: Joi.array().items(Joi.object({
+    name: Joi.string().min(1).required(),
+    area: optionalText,
+    pricePerNight: optionalText,
+    description: Joi.string().allow("").required(),
+    link: optionalText,
+  })).required(),
+  days: Joi.array().min(1).items(Joi.object({
+    day: Joi.number().integer().min(1).required(),
+    date: optionalText,
+    title: Joi.string().min(1).required(),
+    slots: Joi.array().min(1).items(Joi.object({
+      time: Joi.string().min(1).required(),
+      activity: Joi.string().min(1).required(),
+      place: placeSchema.allow(null),
+      cuisine: optionalText,
+      cost: optionalText,
+      transport: optionalText,
+      tip: optionalText,
+    })).required(),
+  })).required(),
+  cuisine: Joi.array().items(Joi.object({
+    dish: Joi.string().min(1).required(),
+    where: optionalText,
+  })).required(),
+  tips: Joi.array().items(Joi.string().min(1)).required(),
+  budget: Joi.object({
+    currency: Joi.string().min(1).required(),
+    items: Joi.array().items(Joi.object({
+      category: Joi.string().min(1).required(),
+      amount: Joi.number().min(0).required(),
+      note: optionalText,
+    })).required(),
+    total: Joi.number().min(0).required(),
+    notes: optionalText,
+  }).required(),
+});
+
+/**
+ * Разбор и проверка ответа модели
+ * Возвращает { itinerary, errors }: itinerary = null, если JSON невалиден
+ */
+export const parseItinerary = (content) => {
+  let data;
+  try {
+    // Модель иногда оборачивает JSON в ```json ... ```
+    const json = String(content || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+    data = JSON.parse(json);
+  } catch (error) {
+    return { itinerary: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const { error, value } = itinerarySchema.validate(data, { abortEarly: false });
+  if (error) {
+    return {
+      itinerary: null,
+      errors: error.details.map((detail) => detail.message),
+    };
+  }
+
+  // Дни по порядку, даже если модель перепутала
+  value.days.sort((a, b) => a.day - b.day);
+  return { itinerary: value, errors: [] };
+};
+
+/**
+ * Инструкции для структурированного режима (добавляются к основному промпту)
+ */
+export const STRUCTURED_INSTRUCTIONS = `ФОРМАТ ОТВЕТА: верни только JSON по заданной схеме, без Markdown и пояснений.
+- summary - общее описание направления (несколько абзацев текстом)
+- accommodation - 2–3 варианта размещения с районом, ценой за ночь и ссылкой
+- days - каждый день поездки по порядку; slots - утро, день и вечер с точным временем ("09:00"),
+  местом (название, адрес, ссылка), кухней, стоимостью, транспортом и советом
+- cuisine - локальные блюда и где их попробовать
+- tips - практические советы
+- budget - разбивка бюджета по статьям в одной валюте и итог
+Поля без данных заполняй null.`;
+
+/**
+ * Промпт для исправления невалидного ответа
+ */
+export const buildRepairPrompt = (content, errors) => `Предыдущий ответ не прошел проверку схемы маршрута.
+
+Ошибки:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Исправь ответ: верни полный маршрут строго в формате JSON по схеме, сохранив содержание.
+
+Предыдущий ответ:
+${String(content || "").slice(0, 20000)}`;
+
+/**
+ * Сумма с разделителями тысяч: 12 500
+ */
+export const formatAmount = (amount) =>
+  String(Math.round(amount)).replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+
+const renderPlace = (place, locale) => {
+  if (!place) return "";
+  const address = place.address ? ` (${place.address})` : "";
+  const link = place.link ? ` — [${t(locale, "itinerary.onMap")}](${place.link})` : "";
+  return ` — **${place.name}**${address}${link}`;
+};
+
+/**
+ * Markdown маршрута из структуры - тот же вид разделов, что и у текстового режима, на языке заявки
+ */
+export const renderItineraryMarkdown = (itinerary, locale = DEFAULT_LOCALE) => {
+  const lines = [];
+  let section = 0;
+  const heading = (title) => {
+    section++;
+    lines.push(`### ${section}. ${title}`, "");
+  };
+
+  heading(t(locale, "itinerary.overview"));
+  lines.push(itinerary.summary.trim(), "");
+
+  if (itinerary.accommodation.length > 0) {
+    heading(t(locale, "itinerary.accommodation"));
+    for (const hotel of itinerary.accommodation) {
+      const area = hotel.area ? ` (${hotel.area})` : "";
+      const price = hotel.pricePerNight ? ` — ${hotel.pricePerNight} ${t(locale, "itinerary.perNight")}` : "";
+      const link = hotel.link ? ` 👉 [${t(locale, "itinerary.learnMore")}](${hotel.link})` : "";
+      lines.push(`- **${hotel.name}**${area}${price}. ${hotel.description}${link}`.trim());
+    }
+    lines.push("");
+  }
+
+  heading(t(locale, "itinerary.dailyPlan"));
+  for (const day of itinerary.days) {
+    const date = day.date ? ` (${day.date})` : "";
+    lines.push(`**${t(locale, "itinerary.day", { day: day.day })}${date}: ${day.title}**`, "");
+
+    for (const slot of day.slots) {
+      const details = [
+        slot.cuisine ? `🍽 ${slot.cuisine}` : null,
+        slot.cost ? `💰 ${slot.cost}` : null,
+        slot.transport ? `🚇 ${slot.transport}` : null,
+        slot.tip ? `💡 ${slot.tip}` : null,
+      ].filter(Boolean);
+
+      lines.push(`- **${slot.time}** — ${slot.activity}${renderPlace(slot.place, locale)}`);
+      if (details.length > 0) {
+        lines.push(`  ${details.join(" · ")}`);
+      }
+    }
+    lines.push("");
+  }
+
+  if (itinerary.cuisine.length > 0) {
+    heading(t(locale, "itinerary.cuisine"));
+    for (const item of itinerary.cuisine) {
+      lines.push(`- **${item.dish}**${item.where ? ` — ${item.where}` : ""}`);
+    }
+    lines.push("");
+  }
+
+  if (itinerary.tips.length > 0) {
+    heading(t(locale, "itinerary.tips"));
+    itinerary.tips.forEach((tip) => lines.push(`- ${tip}`));
+    lines.push("");
+  }
+
+  const { budget } = itinerary;
+  heading(t(locale, "itinerary.budget"));
+  for (const item of budget.items) {
+    const note = item.note ? ` — ${item.note}` : "";
+    lines.push(`- ${item.category}: ${formatAmount(item.amount)} ${budget.currency}${note}`);
+  }
+  lines.push(`- **${t(locale, "itinerary.total")}: ${formatAmount(budget.total)} ${budget.currency}**`);
+  if (budget.notes) {
+    lines.push("", budget.notes);
+  }
+
+  return lines.join("\n").trim();
+};
+
+export default {
+  ITINERARY_JSON_SCHEMA,
+  itinerarySchema,
+  parseItinerary,
+  renderItineraryMarkdown,
+  formatAmount,
+};
@@ -0,0 +1,30 @@
+import crypto from "crypto";
+
+/**
+ * Хэш токена доступа к задаче (в задаче хранится только хэш)
+ */
+export const hashJobToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Новый токен доступа к статусу задачи: { token, tokenHash }
+ * Токен отдается клиенту один раз при постановке задачи
+ */
+export const createJobToken = () => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, tokenHash: hashJobToken(token) };
+};
+
+/**
+ * Проверка токена задачи (сравнение за постоянное время)
+ */
+export const verifyJobToken = (job, token) => {
+  if (!job?.tokenHash || !token || typeof token !== "string") return false;
+
+  const expected = Buffer.from(job.tokenHash, "hex");
+  const provided = Buffer.from(hashJobToken(token), "hex");
+
+  return crypto.timingSafeEqual(provided, expected);
+};
+
+export default { createJobToken, hashJobToken, verifyJobToken };
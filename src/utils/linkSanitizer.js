@@ -0,0 +1,269 @@
+import { config } from "../config/index.js";
+import logger from "./logger.js";
+import { incrementCounter } from "./metrics.js";
+import { renderItineraryMarkdown } from "./itinerary.js";
+import { t, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * Ссылки в сгенерированном маршруте
+ * Модель часто придумывает адреса страниц, которые отвечают 404. Ссылки на домены из
+ * config.links.allowedDomains сохраняются, остальные (и кнопки "👉 Узнать больше" без ссылки)
+ * заменяются поиском места на карте по названию и городу - одинаковым для одного места.
+ */
+
+export const LINK_STATUSES = {
+  TRUSTED: "trusted",
+  UNTRUSTED: "untrusted",
+  INVALID: "invalid",
+  MISSING: "missing",
+};
+
+// Markdown ссылка [текст](адрес) (в адресе бывают скобки: "/wiki/Belém_(Lisbon)"),
+// кнопка с адресом "👉 Подробнее: https://..." или адрес в тексте
+const LINK_PATTERN =
+  /\[([^\]\n]*)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?\s*\)|(👉[ \t]*)([^\n[\]()]*?)[ \t]*[:—–-]?[ \t]*\(?((?:https?:\/\/|www\.)[^\s<>()[\]]+)\)?|((?:https?:\/\/|www\.)[^\s<>()[\]]+)/giu;
+
+// Кнопка без ссылки в конце строки: "👉 Узнать больше о месте"
+const BUTTON_PATTERN = /👉[ \t]*([^\n[\]()]*\p{L}[^\n[\]()]*?)[ \t]*$/u;
+
+// Текст ссылки, по которому место не определить: "Узнать больше", "Подробнее о кафе", "Website"
+const GENERIC_LINK_TEXT =
+  /^(?:узнать больше|подробнее|сайт|официальный сайт|ссылка|забронировать|бронирование|на карте|learn more|more|details|website|official website|link|book|booking|on the map|mehr erfahren|mehr|webseite|buchen|auf der karte)(?!\p{L})/iu;
+
+// Подпись в начале строки жирным: "**Утро ☕:**" - не название места
+const LABEL_PATTERN = /[:：]\s*$/;
+
+// Пункт списка: "- ...", "* ...", "1. ..." (с отступом - вложенный)
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-+*•]|\d+[.)])\s/;
+
+// Знаки препинания после адреса в тексте не входят в ссылку
+const TRAILING_PUNCTUATION = /[.,;:!?»"'…]+$/;
+
+/**
+ * Категория ссылки: trusted - домен из списка, untrusted - другой домен,
+ * invalid - не http(s) или не разбирается
+ */
+export const classifyUrl = (url, allowedDomains = config.links.allowedDomains) => {
+  let parsed;
+  try {
+    parsed = new URL(/^www\./i.test(url) ? `https://${url}` : url);
+  } catch (error) {
+    return LINK_STATUSES.INVALID;
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol) || !parsed.hostname.includes(".")) {
+    return LINK_STATUSES.INVALID;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const path = parsed.pathname.toLowerCase();
+  const trusted = allowedDomains.some((entry) => {
+    const [domain, ...prefix] = entry.split("/");
+    const hostMatches = host === domain || host.endsWith(`.${domain}`);
+    // Префикс пути - целыми сегментами: "google.com/maps" не доверяет "google.com/mapsanything"
+    const base = `/${prefix.join("/")}`.replace(/\/+$/, "");
+    return hostMatches && (!base || path === base || path.startsWith(`${base}/`));
+  });
+
+  return trusted ? LINK_STATUSES.TRUSTED : LINK_STATUSES.UNTRUSTED;
+};
+
+/**
+ * Поиск места на карте: config.links.searchUrl с названием места и городом
+ */
+export const buildSearchUrl = (place, city) => {
+  const query = [place, city]
+    .filter(Boolean)
+    .filter((part, index, parts) => index === 0 || !parts[0].toLowerCase().includes(part.toLowerCase()))
+    .join(", ");
+  return config.links.searchUrl.replace("{query}", encodeURIComponent(query));
+};
+
+/**
+ * Название места без разметки, эмодзи и кавычек; null - не похоже на название
+ */
+const cleanPlaceName = (text) => {
+  const name = String(text || "")
+    .replace(/[*_`#>]/g, "")
+    .replace(/\p{Extended_Pictographic}️?/gu, "")
+    .replace(/^\s*(?:[-+•]|\d+[.)])\s*/, "")
+    .replace(/[«»"“”]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s:.,;—–-]+$/, "");
+
+  if (name.length < 2 || name.length > 80 || GENERIC_LINK_TEXT.test(name) || /https?:\/\//i.test(name)) {
+    return null;
+  }
+  return name;
+};
+
+/**
+ * Название места в строке (до позиции ссылки): последний жирный текст, кроме подписей вида "**Утро:**",
+ * или начало строки формата "Название — описание"
+ */
+const findPlaceInLine = (line) => {
+  const bold = [...line.matchAll(/\*\*([^*\n]+)\*\*/g)]
+    .map((match) => match[1])
+    .filter((text) => !LABEL_PATTERN.test(text.trim()));
+  const boldName = cleanPlaceName(bold[bold.length - 1]);
+  if (boldName) return boldName;
+
+  const dash = line.match(/^(.+?)\s[—–-]\s/);
+  return dash ? cleanPlaceName(dash[1]) : null;
+};
+
+/**
+ * Название места для ссылки: текст ссылки, если он не общий ("Узнать больше"),
+ * иначе текст строки перед ссылкой (before); для ссылки в начале строки (кнопка на отдельной строке) -
+ * до трех предыдущих строк того же абзаца или пункта списка. Соседние пункты, заголовки и строки со своей ссылкой - граница:
+ * чужое название не берется, null - поиск по городу
+ */
+const findPlaceName = (lines, lineIndex, before, linkText) => {
+  const fromText = cleanPlaceName(linkText);
+  if (fromText) return fromText;
+
+  const fromLine = findPlaceInLine(before);
+  if (fromLine) return fromLine;
+  if (/[\p{L}\p{N}]/u.test(before)) return null;
+
+  // Ссылка - сам пункт списка: название в нем не найдено
+  const current = lines[lineIndex];
+  if (LIST_ITEM_PATTERN.test(current)) return null;
+  const indent = current.match(/^\s*/)[0].length;
+
+  for (let index = lineIndex - 1; index >= Math.max(0, lineIndex - 3); index--) {
+    const line = lines[index];
+    if (!line.trim() || /^#{1,6}\s/.test(line.trim())) break;
+    // У строки своя ссылка или кнопка - название в ней относится к ней
+    if (line.search(LINK_PATTERN) !== -1 || BUTTON_PATTERN.test(line)) break;
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      // Строка с отступом продолжает пункт - название из него; иначе пункт соседний
+      return indent > item[1].length ? findPlaceInLine(line) : null;
+    }
+
+    const name = findPlaceInLine(line.trim());
+    if (name) return name;
+  }
+
+  return null;
+};
+
+/**
+ * Проверка ссылок в Markdown маршруте
+ * Возвращает { content, links: { total, kept, rewritten, added } }:
+ * kept - ссылки на доверенные домены, rewritten - замененные поиском, added - ссылки для кнопок без ссылки
+ */
+export const sanitizeLinks = (content, { city = null, locale = DEFAULT_LOCALE, jobId = null } = {}) => {
+  const links = { total: 0, kept: 0, rewritten: 0, added: 0 };
+  if (!content) {
+    return { content, links };
+  }
+
+  const replaceLink = (url, place, status) => {
+    const replacement = buildSearchUrl(place, city);
+    links[status === LINK_STATUSES.MISSING ? "added" : "rewritten"]++;
+    incrementCounter("route_links_total", { status });
+    logger.info("Route link rewritten", { jobId, status, url, place, replacement });
+    return replacement;
+  };
+
+  const lines = content.split("\n");
+  const sanitized = lines.map((line, lineIndex) => {
+    let result = line.replace(LINK_PATTERN, (match, text, markdownUrl, button, buttonText, buttonUrl, bareUrl, offset) => {
+      links.total++;
+      const raw = markdownUrl || buttonUrl || bareUrl;
+      // Точка или запятая после адреса в тексте - конец предложения, а не часть ссылки
+      const url = raw.replace(TRAILING_PUNCTUATION, "");
+      const tail = raw.slice(url.length);
+
+      const status = classifyUrl(url);
+      let target = url;
+      if (status === LINK_STATUSES.TRUSTED) {
+        links.kept++;
+        incrementCounter("route_links_total", { status });
+      } else {
+        target = replaceLink(url, findPlaceName(lines, lineIndex, line.slice(0, offset), text ?? buttonText), status);
+      }
+
+      if (markdownUrl) return `[${text}](${target})`;
+      if (button) return `👉 [${buttonText || t(locale, "itinerary.learnMore")}](${target})${tail}`;
+      return `${target}${tail}`;
+    });
+
+    // Кнопка без ссылки ведет на поиск места
+    const button = result.match(BUTTON_PATTERN);
+    if (button) {
+      links.total++;
+      const target = replaceLink(null, findPlaceName(lines, lineIndex, result.slice(0, button.index), null), LINK_STATUSES.MISSING);
+      result = `${result.slice(0, button.index)}👉 [${button[1]}](${target})`;
+    }
+
+    return result;
+  });
+
+  if (links.total > 0) {
+    logger.info("Route links sanitized", { jobId, city, ...links });
+  }
+
+  return { content: sanitized.join("\n"), links };
+};
+
+/**
+ * Проверка ссылок в результате генерации: Markdown маршрута, а для структурированного маршрута -
+ * ссылки отелей и мест в структуре (Markdown собирается из нее заново)
+ * Выключается LINK_SANITIZE=false
+ */
+export const sanitizeRouteLinks = (result, { city = null, locale = DEFAULT_LOCALE, jobId = null } = {}) => {
+  if (!config.links.sanitize || !result?.content) {
+    return result;
+  }
+
+  if (!result.itinerary) {
+    const { content, links } = sanitizeLinks(result.content, { city, locale, jobId });
+    return { ...result, content, links };
+  }
+
+  const links = { total: 0, kept: 0, rewritten: 0, added: 0 };
+  const sanitizeItem = (item) => {
+    if (!item?.link) return item;
+    links.total++;
+
+    const status = classifyUrl(item.link);
+    incrementCounter("route_links_total", { status });
+    if (status === LINK_STATUSES.TRUSTED) {
+      links.kept++;
+      return item;
+    }
+
+    links.rewritten++;
+    const replacement = buildSearchUrl(item.name, city);
+    logger.info("Route link rewritten", { jobId, status, url: item.link, place: item.name, replacement });
+    return { ...item, link: replacement };
+  };
+
+  const itinerary = {
+    ...result.itinerary,
+    accommodation: result.itinerary.accommodation.map(sanitizeItem),
+    days: result.itinerary.days.map((day) => ({
+      ...day,
+      slots: day.slots.map((slot) => ({ ...slot, place: sanitizeItem(slot.place) })),
+    })),
+  };
+
+  if (links.total > 0) {
+    logger.info("Route links sanitized", { jobId, city, ...links });
+  }
+
+  return { ...result, itinerary, content: renderItineraryMarkdown(itinerary, locale), links };
+};
+
+export default {
+  LINK_STATUSES,
+  classifyUrl,
+  buildSearchUrl,
+  sanitizeLinks,
+  sanitizeRouteLinks,
+};
@@ -0,0 +1,42 @@
+import { config } from "../config/index.js";
+import logger from "./logger.js";
+
+// Модели без цены: предупреждение в лог один раз на модель
+const unpricedModels = new Set();
+
+/**
+ * Цена модели из config.usage.prices: точное имя или самый длинный префикс
+ * ("gpt-4o-mini-2024-07-18" -> "gpt-4o-mini"). null - цена не задана
+ */
+export const getModelPrice = (model, prices = config.usage.prices) => {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+};
+
+/**
+ * Стоимость запроса в USD по токенам запроса и ответа
+ * Для модели без цены возвращает 0 (с предупреждением в логе)
+ */
+export const calculateCost = (model, usage = {}) => {
+  const price = getModelPrice(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn("No price configured for LLM model, cost counted as 0", { model });
+    }
+    return 0;
+  }
+
+  const cost =
+    ((usage?.prompt_tokens || 0) * (price.input || 0) + (usage?.completion_tokens || 0) * (price.output || 0)) /
+    1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+};
+
+export default { getModelPrice, calculateCost };
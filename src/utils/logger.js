@@ -69,10 +69,15 @@ if (config.server.env !== "production") {
 }
 
 // Методы для удобства
+/**
+ * URL запроса для логов: токен задачи в ?token= заменяется на [redacted]
+ */
+export const redactUrl = (url = "") => url.replace(/([?&]token=)[^&#]*/gi, "$1[redacted]");
+
 export const logRequest = (req, res, responseTime) => {
   logger.info("HTTP Request", {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     ip: req.ip,
     userAgent: req.get("user-agent"),
     statusCode: res.statusCode,
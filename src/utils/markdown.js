@@ -0,0 +1,455 @@
+import { escapeHtml } from "./emailTemplate.js";
+
+/**
+ * Markdown маршрута -> HTML письма и текстовая версия письма
+ *
+ * Один разбор для обоих форматов: заголовки, абзацы (переводы строк сохраняются), вложенные списки,
+ * таблицы, цитаты, код, ссылки, жирный текст и курсив. HTML, который написала модель, удаляется,
+ * остальной текст экранируется; ссылки - только http(s) и mailto. Почтовые клиенты не поддерживают
+ * <style>, поэтому у каждого элемента стиль в атрибуте style (EMAIL_STYLES).
+ */
+
+// Стили элементов письма
+export const EMAIL_STYLES = {
+  h1: "margin: 32px 0 16px; color: #1a1a1a; font-size: 26px; font-weight: 700; line-height: 1.3;",
+  h2: "margin: 32px 0 16px; padding-bottom: 8px; border-bottom: 2px solid #e0e0e0; color: #1a1a1a; font-size: 24px; font-weight: 700; line-height: 1.3;",
+  h3: "margin: 28px 0 16px; padding-top: 8px; border-top: 2px solid #f0f0f0; color: #2c3e50; font-size: 20px; font-weight: 600; line-height: 1.3;",
+  h4: "margin: 20px 0 12px; color: #2c3e50; font-size: 17px; font-weight: 600; line-height: 1.4;",
+  p: "margin: 12px 0; line-height: 1.8; color: #333333;",
+  ul: "margin: 12px 0; padding-left: 24px;",
+  ol: "margin: 12px 0; padding-left: 24px;",
+  li: "margin: 6px 0; line-height: 1.7; color: #333333;",
+  a: "color: #667eea; text-decoration: underline;",
+  strong: "color: #1a1a1a; font-weight: 600;",
+  em: "color: #555555; font-style: italic;",
+  del: "color: #999999;",
+  blockquote: "margin: 16px 0; padding: 8px 16px; border-left: 4px solid #667eea; background-color: #f7f7fd; color: #555555;",
+  code: "padding: 2px 4px; background-color: #f2f2f2; border-radius: 3px; font-family: Menlo, Consolas, monospace; font-size: 14px;",
+  pre: "margin: 12px 0; padding: 12px; background-color: #f2f2f2; border-radius: 5px; font-family: Menlo, Consolas, monospace; font-size: 14px; white-space: pre-wrap;",
+  table: "width: 100%; margin: 16px 0; border-collapse: collapse;",
+  th: "padding: 8px 10px; border: 1px solid #e0e0e0; background-color: #f5f5ff; color: #1a1a1a; font-weight: 600;",
+  td: "padding: 8px 10px; border: 1px solid #e0e0e0; color: #333333; vertical-align: top;",
+  hr: "margin: 24px 0; border: none; border-top: 1px solid #e0e0e0;",
+};
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const QUOTE_PATTERN = /^ {0,3}>[ \t]?(.*)$/;
+// Пункт списка: "-", "*", "+", "•", "–" (тире из промптов) или "1." / "1)"
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+•–]|\d{1,3}[.)])[ \t]+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(?:\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+// Markdown ссылка [текст](адрес "заголовок") или картинка ![текст](адрес); в адресе бывают скобки
+const LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?(?:\s+"[^"\n]*")?\s*\)/g;
+const BARE_URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>()[\]]+/gi;
+const CODE_SPAN_PATTERN = /`([^`\n]+)`/g;
+// Знаки препинания после адреса в тексте не входят в ссылку
+const TRAILING_PUNCTUATION = /[.,;:!?»"'…]+$/;
+
+// Содержимое этих тегов удаляется целиком, остальные теги - без содержимого
+const DANGEROUS_TAGS = "script|style|iframe|object|embed|svg|math|template|textarea|select|noscript|head|title";
+
+const ENTITIES = { "&nbsp;": " ", "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'", "&apos;": "'" };
+
+/**
+ * Текст без HTML модели: теги удаляются (<br> - перевод строки), автоссылки <https://...> остаются адресом
+ */
+const stripHtml = (text) =>
+  text
+    .replace(/<!--[\s\S]*?(?:-->|$)/g, "")
+    .replace(new RegExp(`<(${DANGEROUS_TAGS})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, "gi"), "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, "$1")
+    .replace(/<\/?[a-z][\w:-]*(?:\s[^<>]*)?\/?>/gi, "")
+    .replace(/&(?:nbsp|amp|lt|gt|quot|apos|#39);/g, (entity) => ENTITIES[entity]);
+
+/**
+ * Адрес ссылки, если его можно показать в письме: http(s), mailto, www. (-> https://), иначе null
+ */
+const safeUrl = (url) => {
+  const value = String(url || "").trim();
+  if (/^www\./i.test(value)) return `https://${value}`;
+  return /^(?:https?:\/\/|mailto:)[^\s"'<>]+$/i.test(value) ? value : null;
+};
+
+const indentOf = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, "    ").length;
+
+/**
+ * Строки без общего отступа
+ */
+const dedent = (lines) => {
+  const indent = Math.min(...lines.filter((line) => line.trim()).map(indentOf));
+  return lines.map((line) => line.replace(/\t/g, "    ").slice(Number.isFinite(indent) ? indent : 0));
+};
+
+const splitRow = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+
+const isTableStart = (lines, index) =>
+  lines[index].includes("|") &&
+  index + 1 < lines.length &&
+  lines[index + 1].includes("|") &&
+  TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+
+/**
+ * Строка начинает новый блок (абзац на ней заканчивается)
+ */
+const startsBlock = (lines, index) => {
+  const line = lines[index];
+  return (
+    FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) ||
+    LIST_ITEM_PATTERN.test(line) ||
+    isTableStart(lines, index)
+  );
+};
+
+const nextNonBlank = (lines, index) => {
+  for (let position = index; position < lines.length; position++) {
+    if (lines[position].trim()) return position;
+  }
+  return -1;
+};
+
+/**
+ * Список с пунктами одного уровня; строки с большим отступом - содержимое пункта (вложенные списки)
+ */
+const parseList = (lines, start) => {
+  const [, indent, marker] = lines[start].match(LIST_ITEM_PATTERN);
+  const baseIndent = indentOf(indent);
+  const ordered = /\d/.test(marker);
+  const isSibling = (line) => {
+    const match = line.match(LIST_ITEM_PATTERN);
+    return Boolean(match) && indentOf(match[1]) === baseIndent && /\d/.test(match[2]) === ordered && !RULE_PATTERN.test(line);
+  };
+
+  const items = [];
+  let index = start;
+
+  while (index < lines.length) {
+    if (!lines[index].trim()) {
+      // Пустая строка между пунктами не прерывает список
+      const next = nextNonBlank(lines, index);
+      if (next === -1 || !isSibling(lines[next])) break;
+      index = next;
+    }
+    if (!isSibling(lines[index])) break;
+
+    const text = lines[index].match(LIST_ITEM_PATTERN)[3];
+    const children = [];
+    index++;
+
+    while (index < lines.length) {
+      if (!lines[index].trim()) {
+        const next = nextNonBlank(lines, index);
+        if (next === -1 || indentOf(lines[next]) <= baseIndent) break;
+        children.push("");
+        index++;
+        continue;
+      }
+      if (indentOf(lines[index]) <= baseIndent) break;
+      children.push(lines[index]);
+      index++;
+    }
+
+    items.push({ text, blocks: children.length > 0 ? parseBlocks(dedent(children)) : [] });
+  }
+
+  const first = parseInt(marker);
+  return { block: { type: "list", ordered, start: ordered && first > 1 ? first : null, items }, next: index };
+};
+
+/**
+ * Разбор строк на блоки: heading, paragraph, list, table, quote, code, rule
+ */
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      let end = index + 1;
+      while (end < lines.length && !lines[end].trim().startsWith(fence[1])) end++;
+      blocks.push({ type: "code", text: lines.slice(index + 1, end).join("\n") });
+      index = end + 1;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      index++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: "rule" });
+      index++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(lines[index].match(QUOTE_PATTERN)[1]);
+        index++;
+      }
+      blocks.push({ type: "quote", blocks: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (isTableStart(lines, index)) {
+      const header = splitRow(line);
+      const align = splitRow(lines[index + 1]).map((cell) =>
+        cell.endsWith(":") ? (cell.startsWith(":") ? "center" : "right") : null
+      );
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].trim() && lines[index].includes("|")) {
+        rows.push(splitRow(lines[index]));
+        index++;
+      }
+      blocks.push({ type: "table", header, align, rows });
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const { block, next } = parseList(lines, index);
+      blocks.push(block);
+      index = next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index++;
+    while (index < lines.length && lines[index].trim() && !startsBlock(lines, index)) {
+      paragraph.push(lines[index].trim());
+      index++;
+    }
+    blocks.push({ type: "paragraph", lines: paragraph });
+  }
+
+  return blocks;
+};
+
+/**
+ * Разбор Markdown: HTML модели удаляется до разбора
+ */
+export const parseMarkdown = (markdown) =>
+  parseBlocks(
+    stripHtml(String(markdown || "").replace(/\u0000/g, "").replace(/\r\n?/g, "\n"))
+      .split("\n")
+  );
+
+/**
+ * Строчная разметка -> HTML: код, ссылки и адреса, жирный текст, курсив, зачеркивание
+ * Ссылки и код заменяются метками до экранирования, чтобы разметка внутри них не обрабатывалась
+ */
+const renderInlineHtml = (text, styles, { links = true } = {}) => {
+  const tokens = [];
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+  const element = (tag, content, attributes = "") =>
+    `<${tag}${attributes}${styles[tag] ? ` style="${styles[tag]}"` : ""}>${content}</${tag}>`;
+
+  let result = String(text).replace(CODE_SPAN_PATTERN, (match, code) => hold(element("code", escapeHtml(code))));
+
+  if (links) {
+    result = result
+      .replace(LINK_PATTERN, (match, image, label, url) => {
+        const content = renderInlineHtml(label || url, styles, { links: false });
+        const href = safeUrl(url);
+        // Картинки в письме не показываются - остается подпись
+        return hold(!image && href ? element("a", content, ` href="${escapeHtml(href)}" target="_blank"`) : content);
+      })
+      .replace(BARE_URL_PATTERN, (match) => {
+        const url = match.replace(TRAILING_PUNCTUATION, "");
+        const href = safeUrl(url);
+        const link = href ? element("a", escapeHtml(url), ` href="${escapeHtml(href)}" target="_blank"`) : escapeHtml(url);
+        return hold(link) + match.slice(url.length);
+      });
+  }
+
+  result = escapeHtml(result)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, (match, content) => element("strong", content))
+    .replace(/(^|[^\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, (match, before, content) => before + element("strong", content))
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, (match, content) => element("del", content))
+    .replace(/(^|[^*\p{L}\p{N}])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\p{L}\p{N}])/gu, (match, before, content) => before + element("em", content))
+    .replace(/(^|[^\p{L}\p{N}_])_(?=[^\s_])([^_\n]*?[^\s_])_(?![\p{L}\p{N}_])/gu, (match, before, content) => before + element("em", content))
+    // Незакрытый жирный текст - маркеры не показываются
+    .replace(/\*\*/g, "");
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+};
+
+/**
+ * Строчная разметка -> текст: без маркеров, ссылки - "текст (адрес)"
+ */
+const renderInlineText = (text) =>
+  String(text)
+    .replace(CODE_SPAN_PATTERN, "$1")
+    .replace(LINK_PATTERN, (match, image, label, url) => {
+      const href = safeUrl(url);
+      const content = renderInlineText(label) || url;
+      return !image && href && content !== href ? `${content} (${href})` : content;
+    })
+    .replace(/\*\*|__|~~/g, "")
+    .replace(/(^|[^*\p{L}\p{N}])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![*\p{L}\p{N}])/gu, "$1$2")
+    .replace(/(^|[^\p{L}\p{N}_])_(?=[^\s_])([^_\n]*?[^\s_])_(?![\p{L}\p{N}_])/gu, "$1$2");
+
+// Ссылка, жирный текст или адрес в тексте - границы фрагментов строки
+const SEGMENT_PATTERN = new RegExp(
+  `${LINK_PATTERN.source}|\\*\\*(?=\\S)([^*\\n]*?\\S)\\*\\*|${BARE_URL_PATTERN.source}`,
+  "gi"
+);
+
+/**
+ * Строчная разметка -> фрагменты [{ text, bold, link }] для вывода без HTML (PDF):
+ * у фрагмента свой шрифт и ссылка, остальная разметка удаляется
+ */
+export const renderInlineSegments = (text) => {
+  const source = String(text);
+  const segments = [];
+  const push = (value, options = {}) => {
+    if (value) segments.push({ text: value, bold: false, link: null, ...options });
+  };
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(SEGMENT_PATTERN)) {
+    const [raw, image, label, url, bold] = match;
+    push(renderInlineText(source.slice(lastIndex, match.index)));
+    lastIndex = match.index + raw.length;
+
+    if (url !== undefined) {
+      // Картинка - только подпись
+      push(renderInlineText(label) || url, { link: image ? null : safeUrl(url) });
+    } else if (bold !== undefined) {
+      push(renderInlineText(bold), { bold: true });
+    } else {
+      const address = raw.replace(TRAILING_PUNCTUATION, "");
+      push(address, { link: safeUrl(address) });
+      push(raw.slice(address.length));
+    }
+  }
+
+  push(renderInlineText(source.slice(lastIndex)));
+  return segments;
+};
+
+const renderBlocksHtml = (blocks, styles) => {
+  const element = (tag, content, attributes = "") =>
+    `<${tag}${attributes}${styles[tag] ? ` style="${styles[tag]}"` : ""}>${content}</${tag}>`;
+  const inline = (text) => renderInlineHtml(text, styles);
+
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case "heading": {
+          const tag = `h${Math.min(block.level, 4)}`;
+          return element(tag, inline(block.text));
+        }
+        case "paragraph":
+          return element("p", block.lines.map(inline).join("<br>"));
+        case "list": {
+          const items = block.items.map((item) => {
+            // Короткий пункт - текст без абзаца, вложенные блоки - следом
+            const nested = item.blocks.length > 0 ? renderBlocksHtml(item.blocks, styles) : "";
+            return element("li", inline(item.text) + nested);
+          });
+          return element(block.ordered ? "ol" : "ul", items.join(""), block.start ? ` start="${block.start}"` : "");
+        }
+        case "table": {
+          const cellAttributes = (index) => (block.align[index] ? ` align="${block.align[index]}"` : "");
+          const head = element("tr", block.header.map((cell, index) => element("th", inline(cell), cellAttributes(index))).join(""));
+          const body = block.rows
+            .map((row) =>
+              element("tr", block.header.map((_, index) => element("td", inline(row[index] || ""), cellAttributes(index))).join(""))
+            )
+            .join("");
+          return element("table", `${element("thead", head)}${element("tbody", body)}`, ' role="presentation" cellpadding="0" cellspacing="0"');
+        }
+        case "quote":
+          return element("blockquote", renderBlocksHtml(block.blocks, styles));
+        case "code":
+          return element("pre", escapeHtml(block.text));
+        case "rule":
+          return `<hr${styles.hr ? ` style="${styles.hr}"` : ""}>`;
+        default:
+          return "";
+      }
+    })
+    .join("\n");
+};
+
+const renderBlocksText = (blocks) =>
+  blocks
+    .map((block) => {
+      switch (block.type) {
+        case "heading": {
+          const text = renderInlineText(block.text);
+          // Заголовки разделов подчеркиваются, как в setext Markdown
+          return block.level <= 3 ? `${text}\n${(block.level <= 2 ? "=" : "-").repeat(Math.min(text.length, 60))}` : text;
+        }
+        case "paragraph":
+          return block.lines.map(renderInlineText).join("\n");
+        case "list":
+          return block.items
+            .map((item, index) => {
+              const marker = block.ordered ? `${(block.start || 1) + index}.` : "-";
+              const nested = item.blocks.length > 0
+                ? `\n${renderBlocksText(item.blocks).replace(/^(?=.)/gm, " ".repeat(marker.length + 1))}`
+                : "";
+              return `${marker} ${renderInlineText(item.text)}${nested}`;
+            })
+            .join("\n");
+        case "table": {
+          const rows = [block.header, ...block.rows].map((row) =>
+            block.header.map((_, index) => renderInlineText(row[index] || "")).join(" | ")
+          );
+          return [rows[0], "-".repeat(Math.min(rows[0].length, 60)), ...rows.slice(1)].join("\n");
+        }
+        case "quote":
+          return renderBlocksText(block.blocks).replace(/^/gm, "> ");
+        case "code":
+          return block.text;
+        case "rule":
+          return "----------";
+        default:
+          return "";
+      }
+    })
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * HTML для письма; styles - стили элементов (по умолчанию EMAIL_STYLES)
+ */
+export const renderMarkdownHtml = (markdown, { styles = EMAIL_STYLES } = {}) =>
+  renderBlocksHtml(parseMarkdown(markdown), styles);
+
+/**
+ * Текстовая версия письма (text/plain) из того же Markdown
+ */
+export const renderMarkdownText = (markdown) => renderBlocksText(parseMarkdown(markdown)).trim();
+
+export default {
+  EMAIL_STYLES,
+  parseMarkdown,
+  renderInlineSegments,
+  renderMarkdownHtml,
+  renderMarkdownText,
+};
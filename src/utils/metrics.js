@@ -0,0 +1,26 @@
+/**
+ * Простые счетчики метрик в памяти процесса
+ * Отдаются в /health; ключ счетчика - имя + метки
+ */
+const counters = new Map();
+
+const buildKey = (name, labels) => {
+  const labelKeys = Object.keys(labels).sort();
+  if (labelKeys.length === 0) return name;
+  return `${name}{${labelKeys.map((key) => `${key}=${labels[key]}`).join(",")}}`;
+};
+
+/**
+ * Увеличение счетчика
+ */
+export const incrementCounter = (name, labels = {}, value = 1) => {
+  const key = buildKey(name, labels);
+  counters.set(key, (counters.get(key) || 0) + value);
+};
+
+/**
+ * Снимок всех счетчиков
+ */
+export const getMetrics = () => Object.fromEntries(counters);
+
+export default { incrementCounter, getMetrics };
@@ -0,0 +1,84 @@
+/**
+ * Шаблоны промптов: переменные и условия
+ *
+ * {{name}}                          - значение переменной (нет значения - пустая строка)
+ * {{#if name}}...{{else}}...{{/if}} - блок, если переменная заполнена (вложенность допускается)
+ * {{! комментарий }}                - вырезается из текста
+ */
+
+const TAG_PATTERN = /\{\{\s*(!)?([^}]*?)\s*\}\}/g;
+
+const isFilled = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value) && String(value).trim() !== "";
+
+/**
+ * Разбор шаблона в дерево: строки, переменные и условные блоки
+ */
+export const parsePromptTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.inElse ? node.otherwise : node.children;
+  };
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, comment, expression] = match;
+    target().push(source.slice(lastIndex, match.index));
+    lastIndex = match.index + tag.length;
+
+    if (comment) continue;
+
+    const ifMatch = expression.match(/^#if\s+([\w.]+)$/);
+    if (ifMatch) {
+      const node = { condition: ifMatch[1], children: [], otherwise: [], inElse: false };
+      target().push(node);
+      stack.push(node);
+    } else if (expression === "else") {
+      if (stack.length === 1) throw new Error("Unexpected {{else}} in prompt template");
+      current().inElse = true;
+    } else if (expression === "/if") {
+      if (stack.length === 1) throw new Error("Unexpected {{/if}} in prompt template");
+      stack.pop();
+    } else if (/^[\w.]+$/.test(expression)) {
+      target().push({ variable: expression });
+    } else {
+      throw new Error(`Unknown prompt template tag: ${tag}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#if ${current().condition}}} in prompt template`);
+  }
+
+  target().push(source.slice(lastIndex));
+  return root.children;
+};
+
+const lookup = (variables, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+const renderNodes = (nodes, variables) =>
+  nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+      if (node.variable) {
+        const value = lookup(variables, node.variable);
+        return value == null ? "" : String(value);
+      }
+      return renderNodes(isFilled(lookup(variables, node.condition)) ? node.children : node.otherwise, variables);
+    })
+    .join("");
+
+/**
+ * Подстановка переменных в шаблон (строку или результат parsePromptTemplate)
+ */
+export const renderPromptTemplate = (template, variables = {}) => {
+  const nodes = typeof template === "string" ? parsePromptTemplate(template) : template;
+  // Пустые условные блоки оставляют лишние пустые строки
+  return renderNodes(nodes, variables).replace(/\n{3,}/g, "\n\n").trim();
+};
+
+export default { parsePromptTemplate, renderPromptTemplate };
@@ -0,0 +1,213 @@
+import { t, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * Проверки сгенерированного маршрута (Markdown)
+ */
+export const QUALITY_CHECKS = {
+  SECTIONS: "sections",
+  DAYS: "days",
+  DESTINATION: "destination",
+  COMPLETE: "complete",
+  REFUSAL: "refusal",
+};
+
+// Отказы и шаблонные ответы модели вместо маршрута
+const REFUSAL_PATTERNS = [
+  /как (?:ии|искусственный интеллект|языковая модель)\b/i,
+  /я не могу (?:помочь|выполнить|составить|создать|предоставить)/i,
+  /\bas an ai\b/i,
+  /\bi(?:'m| am) sorry,? but i (?:can(?:'|no)t|am unable)/i,
+  /\bi (?:can(?:'|no)t|am unable to) (?:help|assist|create|provide)/i,
+  /\bals (?:ki|sprachmodell)\b/i,
+  /\bich kann (?:ihnen |dir )?(?:dabei )?nicht helfen\b/i,
+  // Заглушка openaiService для пустого ответа
+  /^Маршрут не удалось создать\.?$/m,
+];
+
+// Заголовок раздела в промпте шаблона: "### 6. Примерный бюджет 💸"
+const SECTION_HEADING_PATTERN = /^#{2,3}\s+(\d+)\.\s+(.+?)\s*$/gm;
+
+// Заголовок в ответе модели: Markdown заголовок или строка жирным
+const HEADING_LINE_PATTERN = /^[ \t]*(?:#{1,6}[ \t]+|\*\*)(.+)$/gm;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Название раздела без номера, эмодзи и знаков препинания, в нижнем регистре
+ */
+export const normalizeTitle = (title) =>
+  String(title)
+    .replace(/^\s*\d+\.\s*/, "")
+    .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Разделы, которые просит шаблон промпта: [{ number, title, heading }]
+ * У шаблонов без нумерованных разделов (practical) - пустой список
+ */
+export const getRequestedSections = (prompt) => {
+  const sections = new Map();
+  for (const [heading, number, title] of String(prompt || "").matchAll(SECTION_HEADING_PATTERN)) {
+    if (!sections.has(Number(number))) {
+      sections.set(Number(number), { number: Number(number), title: normalizeTitle(title), heading: heading.trim() });
+    }
+  }
+  return [...sections.values()];
+};
+
+/**
+ * Позиции заголовков в тексте: [{ index, title, number }]
+ * number - номер Markdown заголовка "### 4. ...", у строк жирным (нумерованные списки) - null
+ */
+const findHeadings = (content) =>
+  [...String(content).matchAll(HEADING_LINE_PATTERN)].map((match) => ({
+    index: match.index,
+    title: normalizeTitle(match[1]),
+    number: /^[ \t]*#/.test(match[0]) ? Number(match[1].match(/^\s*(\d+)\./)?.[1]) || null : null,
+  }));
+
+/**
+ * Позиция заголовка раздела в тексте или -1
+ * Раздел находится по названию из шаблона или по номеру (модель может назвать раздел иначе: "4. Гастрономия")
+ */
+export const findSection = (content, section) =>
+  findHeadings(content).find((heading) => heading.title.includes(section.title) || heading.number === section.number)
+    ?.index ?? -1;
+
+/**
+ * Регулярное выражение заголовка дня на языке маршрута ("День 3", "Day 3", "Tag 3"),
+ * номер дня - первая группа
+ */
+export const getDayPattern = (locale = DEFAULT_LOCALE) => {
+  const label = escapeRegExp(t(locale, "itinerary.day", { day: "#N#" })).replace("#N#", "(\\d+)");
+  return new RegExp(`^[ \\t#*_>-]*(?:\\p{Extended_Pictographic}\\uFE0F?[ \\t]*)*${label}\\b`, "gimu");
+};
+
+/**
+ * Заголовки дней в тексте: [{ day, index }] по порядку
+ */
+export const findDays = (content, locale = DEFAULT_LOCALE) =>
+  [...String(content).matchAll(getDayPattern(locale))].map((match) => ({
+    day: Number(match[1]),
+    index: match.index,
+  }));
+
+/**
+ * Упоминается ли направление: каждое слово названия (для длинных слов - без окончания,
+ * чтобы находились падежи: "Лиссабоне", "Барселоны")
+ */
+export const mentionsDestination = (content, city) => {
+  const text = String(content).toLowerCase();
+  return String(city || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => text.includes(word.length > 4 ? word.slice(0, -2) : word));
+};
+
+/**
+ * Ответ обрывается на полуслове: последняя строка заканчивается запятой, двоеточием или тире,
+ * не закрыт жирный текст, или последняя строка (не список и не таблица) обрывается на слове со строчной буквы
+ */
+export const isTruncated = (content) => {
+  const text = String(content).trimEnd();
+  if (!text) return true;
+
+  const lastLine = text.split("\n").pop().trim();
+  if (/[,:;(\-–—]$/.test(lastLine)) return true;
+  if ((lastLine.match(/\*\*/g) || []).length % 2 === 1) return true;
+
+  const isStructured = /^([-*+>|#]|\d+[.)])/.test(lastLine);
+  return !isStructured && /(?:^|\s)\p{Ll}[\p{L}-]*$/u.test(lastLine);
+};
+
+/**
+ * Отказ модели или шаблонный ответ вместо маршрута
+ */
+export const isRefusal = (content) => REFUSAL_PATTERNS.some((pattern) => pattern.test(String(content)));
+
+/**
+ * Проверка маршрута
+ * prompt - промпт генерации (из него берутся запрошенные разделы),
+ * days - число дней поездки (dates.days, как calculateDays в utils/validator.js), null - не проверяется,
+ * finishReason "length" - ответ обрезан даже после продолжений
+ *
+ * Возвращает { score, passed, checks, issues, missingSections, missingDays, truncated, refusal }:
+ * score - доля пройденных проверок (0–1), checks - { имя проверки: true / false / null (не применима) }
+ */
+export const checkItinerary = (content, { prompt = "", city = null, days = null, locale = DEFAULT_LOCALE, finishReason = null } = {}) => {
+  const issues = [];
+
+  const refusal = isRefusal(content);
+  if (refusal) {
+    issues.push("model refused or returned boilerplate");
+  }
+
+  const sections = getRequestedSections(prompt);
+  const missingSections = sections.filter((section) => findSection(content, section) === -1);
+  if (missingSections.length > 0) {
+    issues.push(`missing sections: ${missingSections.map((section) => section.number).join(", ")}`);
+  }
+
+  let missingDays = [];
+  let daysMatch = null;
+  if (days) {
+    const found = new Set(findDays(content, locale).map(({ day }) => day));
+    missingDays = Array.from({ length: days }, (_, index) => index + 1).filter((day) => !found.has(day));
+    const extraDays = [...found].filter((day) => day > days);
+    daysMatch = missingDays.length === 0 && extraDays.length === 0;
+    if (missingDays.length > 0) {
+      issues.push(`missing days: ${missingDays.join(", ")} of ${days}`);
+    }
+    if (extraDays.length > 0) {
+      issues.push(`unexpected days: ${extraDays.join(", ")} (trip has ${days})`);
+    }
+  }
+
+  const destination = city ? mentionsDestination(content, city) : null;
+  if (destination === false) {
+    issues.push(`destination "${city}" is not mentioned`);
+  }
+
+  const truncated = finishReason === "length" || isTruncated(content);
+  if (truncated) {
+    issues.push("response ends with a truncated sentence");
+  }
+
+  const checks = {
+    [QUALITY_CHECKS.SECTIONS]: sections.length > 0 ? missingSections.length === 0 : null,
+    [QUALITY_CHECKS.DAYS]: daysMatch,
+    [QUALITY_CHECKS.DESTINATION]: destination,
+    [QUALITY_CHECKS.COMPLETE]: !truncated,
+    [QUALITY_CHECKS.REFUSAL]: !refusal,
+  };
+  const applicable = Object.values(checks).filter((value) => value !== null);
+  const passedCount = applicable.filter(Boolean).length;
+
+  return {
+    // Отказ модели - маршрута нет, остальные проверки не важны
+    score: refusal ? 0 : Math.round((passedCount / applicable.length) * 100) / 100,
+    passed: passedCount === applicable.length,
+    checks,
+    issues,
+    missingSections,
+    missingDays,
+    truncated,
+    refusal,
+  };
+};
+
+export default {
+  QUALITY_CHECKS,
+  normalizeTitle,
+  getRequestedSections,
+  findSection,
+  getDayPattern,
+  findDays,
+  mentionsDestination,
+  isTruncated,
+  isRefusal,
+  checkItinerary,
+};
@@ -0,0 +1,248 @@
+import { config } from "../config/index.js";
+import logger from "./logger.js";
+import { incrementCounter } from "./metrics.js";
+
+/**
+ * Повторы и circuit breakers для внешних зависимостей (LLM провайдеры, SMTP, Resend)
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+// Пробный запрос half_open уже выполняется - следующая проверка через секунду
+const PROBE_WAIT = 1000;
+
+/**
+ * Длительность из заголовков лимитов OpenAI: "20ms", "1s", "6m0s", "1h2m3.5s"
+ * Возвращает миллисекунды или null
+ */
+export const parseDuration = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(text)) {
+    return null;
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+  }
+  return Math.round(total);
+};
+
+/**
+ * Пауза из заголовков ответа (мс) или null:
+ * retry-after-ms, Retry-After (секунды или HTTP дата), для 429 - x-ratelimit-reset-requests / -tokens
+ * (учитываются только исчерпанные лимиты, если известен остаток)
+ * headers - Headers из fetch или объект с именами заголовков в нижнем регистре
+ */
+export const parseRetryAfter = (headers, { rateLimited = false } = {}) => {
+  const get = (name) => (typeof headers?.get === "function" ? headers.get(name) : headers?.[name]) ?? null;
+
+  const retryAfterMs = parseFloat(get("retry-after-ms"));
+  if (Number.isFinite(retryAfterMs)) {
+    return Math.max(0, retryAfterMs);
+  }
+
+  const retryAfter = get("retry-after");
+  if (retryAfter !== null) {
+    const seconds = parseFloat(retryAfter);
+    if (Number.isFinite(seconds) && /^\s*[\d.]+\s*$/.test(retryAfter)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  if (!rateLimited) {
+    return null;
+  }
+
+  const resets = ["requests", "tokens"]
+    .filter((kind) => {
+      const remaining = get(`x-ratelimit-remaining-${kind}`);
+      return remaining === null || parseInt(remaining) <= 0;
+    })
+    .map((kind) => parseDuration(get(`x-ratelimit-reset-${kind}`)))
+    .filter((value) => value !== null);
+
+  return resets.length > 0 ? Math.max(...resets) : null;
+};
+
+/**
+ * Экспоненциальная пауза перед повтором attempt (с 1): baseDelay * 2^(attempt-1), не больше maxDelay,
+ * с разбросом в половину паузы, чтобы параллельные задачи не повторяли запросы одновременно.
+ * retryAfter (мс) от сервера - нижняя граница паузы
+ */
+export const getRetryDelay = (
+  attempt,
+  { baseDelay, maxDelay = config.resilience.maxDelay, retryAfter = null, random = Math.random } = {}
+) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempt - 1));
+  const backoff = Math.round(exponential / 2 + random() * (exponential / 2));
+  return retryAfter !== null && retryAfter !== undefined ? Math.max(retryAfter, backoff) : backoff;
+};
+
+/**
+ * Circuit breaker зависимости
+ * closed - запросы идут; после failureThreshold сбоев подряд - open: запросы не отправляются
+ * resetTimeout мс; затем half_open - один пробный запрос: успех закрывает, сбой снова открывает
+ */
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = config.resilience.failureThreshold, resetTimeout = config.resilience.resetTimeout } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Можно ли отправить запрос; в half_open пропускается только один пробный запрос
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Ошибка "зависимость недоступна" для запроса, не пропущенного canRequest
+   * retryAfter - мс до пробного запроса; deferUntil - задача очереди с такой ошибкой
+   * не тратит попытку, а откладывается до пробного запроса (см. jobQueue.defer)
+   */
+  createOpenError() {
+    const error = new Error(`Circuit breaker ${this.name} is open`);
+    error.circuitOpen = true;
+    error.retryAfter = this.getRetryAfter();
+    error.deferUntil = new Date(Date.now() + error.retryAfter).toISOString();
+    return error;
+  }
+
+  /**
+   * Мс до следующего пробного запроса (0 - запрос можно отправить)
+   */
+  getRetryAfter() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && this.probing) return PROBE_WAIT;
+    if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.probing = false;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error = null) {
+    this.failures++;
+    this.probing = false;
+    this.lastError = error?.message || null;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        this.transition(CIRCUIT_STATES.OPEN);
+      }
+    }
+  }
+
+  /**
+   * Выполнение запроса через breaker; isFailure(error) - считать ли ошибку сбоем зависимости
+   * (остальные ошибки - ответ получен, зависимость доступна)
+   */
+  async execute(fn, { isFailure = () => true } = {}) {
+    if (!this.canRequest()) {
+      throw this.createOpenError();
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  transition(state) {
+    logger[state === CIRCUIT_STATES.OPEN ? "warn" : "info"]("Circuit breaker state changed", {
+      breaker: this.name,
+      from: this.state,
+      to: state,
+      failures: this.failures,
+      ...(state === CIRCUIT_STATES.OPEN ? { error: this.lastError, retryAfter: this.resetTimeout } : {}),
+    });
+
+    this.state = state;
+    if (state === CIRCUIT_STATES.OPEN) {
+      incrementCounter("circuit_breaker_opened_total", { breaker: this.name });
+    }
+  }
+
+  /**
+   * Состояние для /health
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt && this.state !== CIRCUIT_STATES.CLOSED ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.getRetryAfter(),
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Breakers по имени зависимости: "llm:openai", "smtp", "resend"
+const breakers = new Map();
+
+/**
+ * Breaker зависимости (создается при первом обращении)
+ */
+export const getCircuitBreaker = (name, options = {}) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+};
+
+/**
+ * Состояние всех breakers: { "llm:openai": { state, failures, ... } }
+ */
+export const getCircuitBreakers = () =>
+  Object.fromEntries([...breakers.entries()].map(([name, breaker]) => [name, breaker.getState()]));
+
+export default {
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  parseDuration,
+  parseRetryAfter,
+  getRetryDelay,
+  getCircuitBreaker,
+  getCircuitBreakers,
+};
@@ -1,4 +1,5 @@
 import logger from "./logger.js";
+import { mapFormData, findFieldKeys, normalizeText } from "./fieldMapper.js";
 
 /**
  * Универсальный парсер данных из Tilda Forms
@@ -73,7 +74,7 @@ export const parseTildaData = (body) => {
   // Прямой формат
   else {
     // Исключаем служебные поля Tilda
-    const ignoreKeys = ['pageid', 'formid', 'pageurl', 'formname', 't', 'referer'];
+    const ignoreKeys = ['pageid', 'formid', 'pageurl', 'formname', 'tranid', 't', 'referer'];
     for (const key in body) {
       if (!ignoreKeys.includes(key) && body[key] !== undefined && body[key] !== null) {
         result[key] = String(body[key]).trim();
@@ -85,71 +86,31 @@ export const parseTildaData = (body) => {
   return result;
 };
 
+/**
+ * Служебные поля Tilda: профиль сопоставления полей (formid, pageid) и адрес страницы для языка заявки
+ */
+export const extractFormMeta = (body) => {
+  if (!body || typeof body !== 'object') return {};
+
+  return {
+    formid: body.formid || body.formId || null,
+    pageid: body.pageid || body.pageId || null,
+    formname: body.formname || null,
+    pageurl: body.pageurl || body.pageUrl || body.referer || null,
+  };
+};
+
 /**
  * Извлечение поля с возможными именами (case-insensitive)
  */
 export const extractField = (data, names) => {
-  if (!data || typeof data !== 'object') return null;
-  
-  for (const name of names) {
-    const value = data[name];
-    if (value !== undefined && value !== null && String(value).trim()) {
-      return String(value).trim();
-    }
-  }
-  
-  // Попытка case-insensitive поиска
-  const lowerNames = names.map(n => n.toLowerCase());
-  for (const key in data) {
-    if (lowerNames.includes(key.toLowerCase())) {
-      const value = data[key];
-      if (value !== undefined && value !== null && String(value).trim()) {
-        return String(value).trim();
-      }
-    }
-  }
-  
-  return null;
+  const [key] = findFieldKeys(data, names);
+  return key ? normalizeText(data[key]) : null;
 };
 
 /**
- * Нормализация данных формы
+ * Нормализация данных формы по профилю сопоставления полей (см. config/formMappings.js)
  */
-export const normalizeFormData = (parsedData) => {
-  return {
-    city: extractField(parsedData, [
-      "city", "City", "Город", "destination", "город", "CITY", 
-      "destination_city", "destinationCity", "town"
-    ]),
-    email: extractField(parsedData, [
-      "email", "Email", "E-mail", "e-mail", "EMAIL", 
-      "email_address", "emailAddress"
-    ]),
-    startDate: extractField(parsedData, [
-      "startDate", "start-date", "start_date", "StartDate", 
-      "дата_начала", "start", "arrival"
-    ]),
-    endDate: extractField(parsedData, [
-      "endDate", "end-date", "end_date", "EndDate", 
-      "дата_окончания", "end", "departure"
-    ]),
-    budget: extractField(parsedData, [
-      "budget", "Budget", "бюджет", "BUDGET", 
-      "total_budget", "totalBudget"
-    ]),
-    interests: extractField(parsedData, [
-      "interests", "Интересы", "INTERESTS", 
-      "preferences", "interests_text"
-    ]),
-    people: extractField(parsedData, [
-      "people", "Persons", "Количество", "количество", 
-      "person", "PEOPLE", "travelers", "guests", "persons"
-    ]) || "1",
-    // Дополнительные поля
-    name: extractField(parsedData, ["name", "Name", "имя", "full_name", "fullName"]),
-    phone: extractField(parsedData, ["phone", "Phone", "телефон", "phone_number", "phoneNumber"]),
-    notes: extractField(parsedData, ["notes", "Notes", "комментарий", "comment", "message"]),
-  };
+export const normalizeFormData = (parsedData, meta = {}) => {
+  return mapFormData(parsedData, meta).data;
 };
-
-
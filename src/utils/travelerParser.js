@@ -0,0 +1,333 @@
+import { t, plural, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * Тип группы путешественников
+ */
+export const TRAVELER_COMPOSITIONS = {
+  SOLO: "solo",
+  COUPLE: "couple",
+  FAMILY: "family", // есть дети или младенцы
+  SENIORS: "seniors", // есть путешественники старшего возраста, без детей
+  GROUP: "group",
+};
+
+// Младше этого возраста ребенок считается младенцем
+const INFANT_MAX_AGE = 2;
+
+const LETTER = "[а-яёa-z]";
+
+// Категории путешественников (проверяются по порядку)
+const CATEGORIES = [
+  ["infants", `младен${LETTER}*|грудн${LETTER}*|малыш${LETTER}*|infants?|bab(?:y|ies)|toddlers?`],
+  ["children", `реб[её]н${LETTER}*|дет(?:и|ей|ям|ьми)|детк${LETTER}*|сын${LETTER}*|доч${LETTER}*|внук${LETTER}*|внуч${LETTER}*|школьник${LETTER}*|подрост${LETTER}*|child(?:ren)?|kids?|sons?|daughters?|teens?|teenagers?`],
+  ["seniors", `пенсионер${LETTER}*|пожил${LETTER}*|бабушк${LETTER}*|дедушк${LETTER}*|seniors?|elderly|grand(?:ma|pa|mother|father|parents?)${LETTER}*`],
+  ["adults", `взросл${LETTER}*|человек${LETTER}*|чел\\.?|персон${LETTER}*|adults?|persons?|people|pax|guests?`],
+];
+
+const NOUN_PATTERN = new RegExp(
+  CATEGORIES.map(([category, pattern]) => `(?<${category}>${pattern})`).join("|"),
+  "gi"
+);
+
+const COUNT_WORDS = {
+  один: 1, одна: 1, одного: 1, одну: 1, одним: 1, одной: 1, двое: 2, два: 2, две: 2, двоих: 2, двух: 2, двумя: 2,
+  трое: 3, три: 3, троих: 3, трех: 3, трёх: 3, тремя: 3, четверо: 4, четыре: 4, четверых: 4, четырех: 4, четырёх: 4, четырьмя: 4,
+  пятеро: 5, пять: 5, пятерых: 5, пяти: 5, пятью: 5, шестеро: 6, шесть: 6, шести: 6, шестью: 6, пара: 2, пару: 2,
+  one: 1, a: 1, an: 1, couple: 2, two: 2, three: 3, four: 4, five: 5, six: 6,
+};
+
+// Двое взрослых без явного числа: "вдвоем", "мы с женой", "я и жена", "me and my wife"
+const COUPLE_PATTERN =
+  /вдво[её]м|пара|couple|с\s+(?:женой|мужем|супруг|девушкой|парнем|подругой|другом)|(?:я|мы)\s+(?:и|с)\s+(?:жен|муж|супруг|девушк|парн|подруг|друг)|(?:me|i)\s+(?:and|with)\s+(?:my\s+)?(?:wife|husband|partner|spouse|girlfriend|boyfriend|friend)/i;
+
+// Группа без состава: "семья из 4", "нас трое", "family of 3", "group of 5"
+const GROUP_SIZE_PATTERN = new RegExp(
+  `(?:(?:семья|компания|группа)\\s+из|нас|(?:family|group|party)\\s+of)\\s+(\\d+|${LETTER}+)`,
+  "i"
+);
+
+// Число после существительного: "пенсионеры 2", "взрослых: 2" (не возраст - "дети 5 лет")
+const COUNT_AFTER_PATTERN = /^\s*[:\-–—]?\s*(\d+)(?![\d.,]*\s*(?:лет|год|мес|years?|y\.?o|months?))/i;
+
+// Число или слово перед существительным: "2 взрослых", "2-х детей", "двое детей"
+const COUNT_BEFORE_PATTERN = new RegExp(`(\\d+|${LETTER}+)(?:-?(?:х|ух|ое|е|ро))?\\s*$`, "i");
+
+// Возраст: "5 лет", "3 года", "8 месяцев", "(4, 7)"
+const AGE_PATTERN = /(\d{1,2}(?:[.,]5)?)\s*(мес[а-яё]*|months?)?/gi;
+const AGE_UNIT_PATTERN = /лет|год|years?|y\.?o|мес|months?|\(|возраст|age/i;
+
+// Список возрастов без единиц сразу после существительного: "дети 5, 8, 12", "kids: 4 and 7"
+const AGE_LIST_PATTERN = /^\s*[:\-–—]?\s*\d{1,2}(?:\s*(?:,|;|\/|&|и|and)\s*\d{1,2})+(?!\d)/i;
+
+/**
+ * Число из цифр или слова, иначе null
+ */
+const parseCount = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return COUNT_WORDS[value.toLowerCase()] ?? null;
+};
+
+/**
+ * Возрасты детей из фрагмента текста после существительного
+ */
+const parseAges = (text) => {
+  const list = text?.match(AGE_LIST_PATTERN);
+  if (list) return list[0].match(/\d{1,2}/g).map(Number);
+  if (!text || !AGE_UNIT_PATTERN.test(text)) return [];
+
+  return [...text.matchAll(AGE_PATTERN)].map(([, age, months]) =>
+    months ? 0 : Math.floor(Number(age.replace(",", ".")))
+  );
+};
+
+/**
+ * Разбор свободного текста: "2 взрослых + ребёнок 5 лет", "2 adults, 2 kids (4, 7)", "дети 5, 8, 12"
+ */
+const parseText = (text) => {
+  const counts = { adults: 0, seniors: 0, children: 0, infants: 0 };
+  const childrenAges = [];
+  const nouns = [...text.matchAll(NOUN_PATTERN)];
+
+  if (nouns.length === 0) {
+    // "3", "2+1" (взрослые + дети)
+    const numeric = text.match(/^\s*(\d+)\s*(?:\+\s*(\d+))?\s*$/);
+    if (numeric) {
+      counts.adults = parseInt(numeric[1]);
+      counts.children = numeric[2] ? parseInt(numeric[2]) : 0;
+      return { counts, childrenAges, recognized: true };
+    }
+
+    if (COUPLE_PATTERN.test(text)) {
+      counts.adults = 2;
+      return { counts, childrenAges, recognized: true };
+    }
+
+    // "двое", "трое", "four" - только число словом
+    const wordCount = parseCount(text.trim());
+    if (wordCount !== null && text.trim().length > 1) {
+      counts.adults = wordCount;
+      return { counts, childrenAges, recognized: true };
+    }
+
+    const groupSize = parseCount(text.match(GROUP_SIZE_PATTERN)?.[1]);
+    if (groupSize !== null) {
+      counts.adults = groupSize;
+      return { counts, childrenAges, recognized: true };
+    }
+
+    if (/^\s*(?:один|одна|одному|одной|solo|alone|я)\s*$/i.test(text)) {
+      counts.adults = 1;
+      return { counts, childrenAges, recognized: true };
+    }
+
+    return { counts, childrenAges, recognized: false };
+  }
+
+  const tailOf = (index) => text.slice(nouns[index].index + nouns[index][0].length, nouns[index + 1]?.index ?? text.length);
+  const isChildNoun = (noun) => Boolean(noun.groups.children || noun.groups.infants);
+  // Число после существительного у детей - только если в тексте нет возраста или списка возрастов
+  const countAfter = (index) =>
+    isChildNoun(nouns[index]) && (AGE_UNIT_PATTERN.test(tailOf(index)) || AGE_LIST_PATTERN.test(tailOf(index)))
+      ? null
+      : tailOf(index).match(COUNT_AFTER_PATTERN);
+
+  // "пенсионеры 2, дети 1" - числа после существительных, если перед первым числа нет
+  const countsAfter = !parseCount(text.slice(0, nouns[0].index).match(COUNT_BEFORE_PATTERN)?.[1]) && Boolean(countAfter(0));
+
+  nouns.forEach((noun, index) => {
+    const category = CATEGORIES.find(([name]) => noun.groups[name])[0];
+    const nextNoun = nouns[index + 1];
+    let count;
+    let tail = tailOf(index);
+
+    if (countsAfter) {
+      const after = countAfter(index);
+      count = after ? parseInt(after[1]) : null;
+      if (after) tail = tail.slice(after[0].length);
+    } else {
+      const prevEnd = index > 0 ? nouns[index - 1].index + nouns[index - 1][0].length : 0;
+      const prefix = text.slice(prevEnd, noun.index);
+      count = parseCount(prefix.match(COUNT_BEFORE_PATTERN)?.[1]);
+
+      // Возрасты - текст до следующего существительного без числа, относящегося к нему
+      if (nextNoun) {
+        tail = tail.replace(COUNT_BEFORE_PATTERN, "");
+      }
+    }
+
+    if (category === "children" || category === "infants") {
+      const ages = parseAges(tail);
+      const total = Math.max(count ?? 1, ages.length);
+      counts[category] += total;
+      if (category === "children") {
+        childrenAges.push(...ages);
+      }
+      return;
+    }
+
+    counts[category] += count ?? 1;
+  });
+
+  // "Мы с женой и ребенок 5 лет"
+  if (counts.adults + counts.seniors === 0 && COUPLE_PATTERN.test(text)) {
+    counts.adults = 2;
+  }
+
+  return { counts, childrenAges, recognized: true };
+};
+
+/**
+ * Количество из отдельного поля формы или null
+ */
+const parseFieldCount = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const match = String(value).match(/\d+/);
+  return match ? parseInt(match[0]) : parseCount(String(value).trim());
+};
+
+/**
+ * Тип группы по составу
+ */
+const getComposition = ({ adults, seniors, children, infants, total }) => {
+  if (children + infants > 0) return TRAVELER_COMPOSITIONS.FAMILY;
+  if (seniors > 0) return TRAVELER_COMPOSITIONS.SENIORS;
+  if (total === 1) return TRAVELER_COMPOSITIONS.SOLO;
+  if (adults === 2) return TRAVELER_COMPOSITIONS.COUPLE;
+  return TRAVELER_COMPOSITIONS.GROUP;
+};
+
+/**
+ * Состав путешественников из поля "people" и отдельных полей формы
+ * (adults, children, childrenAges, infants, seniors)
+ *
+ * Отдельные поля важнее текста. Дети младше 2 лет считаются младенцами.
+ * Если текст не распознан, считается один взрослый, а исходный текст сохраняется в raw.
+ */
+export const parseTravelers = (rawPeople, fields = {}) => {
+  const raw = rawPeople === undefined || rawPeople === null ? "" : String(rawPeople).trim();
+  const { counts, childrenAges, recognized } = parseText(raw.toLowerCase());
+
+  for (const category of ["adults", "children", "infants", "seniors"]) {
+    const fieldCount = parseFieldCount(fields[category]);
+    if (fieldCount !== null) {
+      counts[category] = fieldCount;
+    }
+  }
+
+  if (fields.childrenAges) {
+    childrenAges.length = 0;
+    childrenAges.push(...parseAges(`${fields.childrenAges} лет`));
+    counts.children = Math.max(counts.children, childrenAges.length);
+  }
+
+  // Дети младше 2 лет - младенцы
+  const infantAges = childrenAges.filter((age) => age < INFANT_MAX_AGE);
+  const olderAges = childrenAges.filter((age) => age >= INFANT_MAX_AGE);
+  counts.children -= infantAges.length;
+  counts.infants += infantAges.length;
+
+  // Только дети без взрослых - значит, взрослых хотя бы один
+  if (counts.adults + counts.seniors === 0 && counts.children + counts.infants > 0) {
+    counts.adults = 1;
+  }
+
+  const total = counts.adults + counts.seniors + counts.children + counts.infants;
+  const hasStructure = recognized || total > 0;
+
+  const travelers = {
+    raw: raw || null,
+    adults: hasStructure ? counts.adults : 1,
+    seniors: counts.seniors,
+    children: Math.max(counts.children, 0),
+    childrenAges: olderAges,
+    infants: counts.infants,
+    total: hasStructure ? total : 1,
+    recognized: hasStructure,
+  };
+
+  travelers.composition = getComposition(travelers);
+
+  return travelers;
+};
+
+/**
+ * Число со словом в нужной форме: "2 взрослых", "1 adult"
+ */
+const countLabel = (locale, count, key) => `${count} ${plural(locale, count, ["travelers", key])}`;
+
+/**
+ * Состав для промпта на языке заявки: "2 взрослых, 2 детей (5 и 8 лет), 1 младенец"
+ */
+export const formatTravelers = (travelers, locale = DEFAULT_LOCALE) => {
+  const single = countLabel(locale, 1, "adults");
+  if (!travelers) return single;
+  if (typeof travelers !== "object") return String(travelers);
+  if (!travelers.recognized) return travelers.raw || single;
+
+  const { adults, seniors, children, childrenAges, infants } = travelers;
+  const parts = [];
+
+  if (adults > 0) {
+    parts.push(countLabel(locale, adults, "adults"));
+  }
+
+  if (seniors > 0) {
+    parts.push(countLabel(locale, seniors, "seniors"));
+  }
+
+  if (children > 0) {
+    let label = countLabel(locale, children, "children");
+    if (childrenAges.length > 0) {
+      const ages = childrenAges.join(", ").replace(/, (\d+)$/, ` ${t(locale, "travelers.and")} $1`);
+      const lastAge = childrenAges[childrenAges.length - 1];
+      label += ` (${t(locale, "travelers.childrenAges", { ages, years: plural(locale, lastAge, "travelers.years") })})`;
+    }
+    parts.push(label);
+  }
+
+  if (infants > 0) {
+    parts.push(countLabel(locale, infants, "infants"));
+  }
+
+  return parts.join(", ");
+};
+
+/**
+ * Рекомендации для промпта по составу группы на языке заявки (пустой массив, если особенностей нет)
+ */
+export const getTravelerGuidance = (travelers, locale = DEFAULT_LOCALE) => {
+  if (!travelers || typeof travelers !== "object") return [];
+
+  const guidance = [];
+
+  if (travelers.children > 0) {
+    const ages = travelers.childrenAges.length > 0
+      ? t(locale, "travelers.guidance.childrenAges", { ages: travelers.childrenAges.join(", ") })
+      : "";
+    guidance.push(t(locale, "travelers.guidance.children", { ages }));
+  }
+
+  if (travelers.infants > 0) {
+    guidance.push(t(locale, "travelers.guidance.infants"));
+  }
+
+  if (travelers.seniors > 0) {
+    guidance.push(t(locale, "travelers.guidance.seniors"));
+  }
+
+  return guidance;
+};
+
+/**
+ * Часть ключа кэша по составу: "a2:s0:c2(5,8):i1"
+ */
+export const getTravelersCacheKey = (travelers) => {
+  if (!travelers) return null;
+  if (typeof travelers !== "object") return String(travelers).trim() || null;
+
+  const { adults, seniors, children, childrenAges, infants } = travelers;
+  return `a${adults}:s${seniors}:c${children}(${childrenAges.join(",")}):i${infants}`;
+};
+
+export default { parseTravelers, formatTravelers, getTravelerGuidance, getTravelersCacheKey };
@@ -1,22 +1,33 @@
 import Joi from "joi";
 import logger from "./logger.js";
+import { t, DEFAULT_LOCALE } from "./i18n.js";
+import { normalizeTripDates } from "./dateParser.js";
+import { parseTravelers } from "./travelerParser.js";
+
+const travelerCount = (max) => Joi.number().integer().min(0).max(max);
+
+/**
+ * Схема состава путешественников (см. utils/travelerParser.js)
+ */
+export const travelersSchema = Joi.object({
+  adults: travelerCount(30).required(),
+  seniors: travelerCount(30).required(),
+  children: travelerCount(20).required(),
+  childrenAges: Joi.array().items(Joi.number().integer().min(2).max(17)).max(20).required(),
+  infants: travelerCount(10).required(),
+  total: Joi.number().integer().min(1).max(30).required(),
+  raw: Joi.string().allow(null),
+  recognized: Joi.boolean(),
+  composition: Joi.string(),
+});
 
 /**
  * Схема валидации данных формы
  */
 export const formDataSchema = Joi.object({
-  city: Joi.string().min(2).max(100).required()
-    .messages({
-      "string.empty": "Город не может быть пустым",
-      "string.min": "Название города слишком короткое",
-      "any.required": "Пожалуйста, укажите город назначения"
-    }),
+  city: Joi.string().min(2).max(100).required(),
   
-  email: Joi.string().email().required()
-    .messages({
-      "string.email": "Некорректный email адрес",
-      "any.required": "Email обязателен для отправки маршрута"
-    }),
+  email: Joi.string().email().required(),
   
   startDate: Joi.string().allow("", null).optional(),
   
@@ -26,23 +37,56 @@ export const formDataSchema = Joi.object({
   
   interests: Joi.string().allow("", null).max(1000).optional(),
   
-  people: Joi.string().pattern(/^\d+$/).default("1")
-    .messages({
-      "string.pattern.base": "Количество человек должно быть числом"
-    }),
+  // Свободный текст: "3", "2 взрослых + ребёнок 5 лет"
+  people: Joi.string().max(200).default("1"),
+
+  adults: Joi.string().allow("", null).max(20).optional(),
+
+  children: Joi.string().allow("", null).max(20).optional(),
+
+  childrenAges: Joi.string().allow("", null).max(100).optional(),
+
+  infants: Joi.string().allow("", null).max(20).optional(),
+
+  seniors: Joi.string().allow("", null).max(20).optional(),
+
+  travelers: travelersSchema.required(),
   
   name: Joi.string().allow("", null).max(200).optional(),
   
   phone: Joi.string().allow("", null).max(50).optional(),
   
   notes: Joi.string().allow("", null).max(2000).optional(),
+
+  preset: Joi.string().allow("", null).max(50).optional(),
+
+  locale: Joi.string().allow("", null).max(20).optional(),
 });
 
+/**
+ * Текст ошибки на языке заявки: validation.<поле>.<тип> из каталога (utils/i18n.js)
+ * Индексы массивов не учитываются (travelers.childrenAges.0 -> travelers.childrenAges),
+ * затем ищется сообщение родительского поля; нет перевода - сообщение Joi
+ */
+const translateError = (detail, locale) => {
+  const path = detail.path.filter((part) => typeof part !== "number");
+
+  for (let length = path.length; length > 0; length--) {
+    const message = t(locale, ["validation", path.slice(0, length).join("."), detail.type], {}, null);
+    if (message !== null) return message;
+  }
+
+  return detail.message;
+};
+
 /**
  * Валидация данных формы
+ * Состав путешественников разбирается из people и отдельных полей до проверки схемы
  */
-export const validateFormData = (data) => {
-  const { error, value } = formDataSchema.validate(data, {
+export const validateFormData = (data, { locale = DEFAULT_LOCALE } = {}) => {
+  const travelers = parseTravelers(data?.people, data || {});
+
+  const { error, value } = formDataSchema.validate({ ...data, travelers }, {
     abortEarly: false,
     stripUnknown: true,
   });
@@ -50,7 +94,7 @@ export const validateFormData = (data) => {
   if (error) {
     const errors = error.details.map(detail => ({
       field: detail.path.join("."),
-      message: detail.message,
+      message: translateError(detail, locale),
     }));
     
     logger.warn("Validation failed", { errors, data });
@@ -70,69 +114,35 @@ export const validateFormData = (data) => {
 };
 
 /**
- * Проверка дат
+ * Проверка дат (понимает DD.MM.YYYY, "с 5 по 12 июня", "через месяц, на неделю" и т.д.)
  */
 export const validateDates = (startDate, endDate) => {
-  if (!startDate || !endDate) {
-    return { isValid: true }; // Даты необязательны
-  }
-  
-  try {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return {
-        isValid: false,
-        error: "Некорректный формат дат",
-      };
-    }
-    
-    if (start > end) {
-      return {
-        isValid: false,
-        error: "Дата начала должна быть раньше даты окончания",
-      };
-    }
-    
-    // Проверка на будущие даты (можно отключить для тестов)
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-    if (end < now) {
-      logger.warn("End date is in the past", { startDate, endDate });
-    }
-    
-    return {
-      isValid: true,
-      start,
-      end,
-      days: Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1,
-    };
-  } catch (err) {
-    logger.error("Date validation error", { error: err, startDate, endDate });
+  const tripDates = normalizeTripDates(startDate, endDate);
+
+  if (!tripDates.isValid) {
     return {
       isValid: false,
-      error: "Ошибка при обработке дат",
+      error: tripDates.error,
+      dates: tripDates,
     };
   }
+
+  if (tripDates.inPast) {
+    logger.warn("End date is in the past", { startDate, endDate, tripDates });
+  }
+
+  return {
+    isValid: true,
+    start: tripDates.startDate,
+    end: tripDates.endDate,
+    days: tripDates.days,
+    dates: tripDates,
+  };
 };
 
 /**
- * Подсчет дней поездки
+ * Подсчет дней поездки (1, если длительность неизвестна)
  */
 export const calculateDays = (startDate, endDate) => {
-  if (!startDate || !endDate) return 1;
-  
-  try {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays + 1; // +1 чтобы включить оба дня
-  } catch (e) {
-    logger.error("Calculate days error", { error: e, startDate, endDate });
-    return 1;
-  }
+  return normalizeTripDates(startDate, endDate).days || 1;
 };
-
-
@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseBudget,
+  formatBudget,
+  isBudgetSpecified,
+  getBudgetCacheKey,
+  BUDGET_TIERS,
+} from "../src/utils/budgetParser.js";
+
+// Курсы и пороги фиксированы, чтобы тесты не зависели от BUDGET_* в окружении
+const budgetConfig = {
+  baseCurrency: "RUB",
+  defaultCurrency: "RUB",
+  rates: { RUB: 1, EUR: 100, USD: 90 },
+  tiers: { mid: 3000, premium: 8000, luxury: 20000 },
+};
+const parse = (text, options = {}) => parseBudget(text, { days: 5, budgetConfig, ...options });
+
+describe("parseBudget", () => {
+  it("сумма в валюте на группу", () => {
+    const budget = parse("€1500 на двоих");
+    assert.equal(budget.amount, 1500);
+    assert.equal(budget.currency, "EUR");
+    assert.equal(budget.travelers, 2);
+    assert.equal(budget.amountBase, 150000);
+    assert.equal(budget.perPersonPerDay, 15000);
+    assert.equal(budget.tier, BUDGET_TIERS.PREMIUM);
+    assert.equal(budget.tierSource, "amount");
+  });
+
+  it("верхняя граница на человека", () => {
+    const budget = parse("до 2k$ на человека");
+    assert.equal(budget.min, null);
+    assert.equal(budget.max, 2000);
+    assert.equal(budget.currency, "USD");
+    assert.equal(budget.perPerson, true);
+  });
+
+  it("диапазон в тысячах", () => {
+    const budget = parse("50-70 тыс руб");
+    assert.equal(budget.min, 50000);
+    assert.equal(budget.max, 70000);
+    assert.equal(budget.amount, 60000);
+  });
+
+  it("уровень из ключевого слова важнее суммы", () => {
+    const budget = parse("премиум");
+    assert.equal(budget.amount, null);
+    assert.equal(budget.tier, BUDGET_TIERS.PREMIUM);
+    assert.equal(budget.tierSource, "keyword");
+  });
+
+  it("пустой бюджет", () => {
+    const budget = parse("");
+    assert.equal(budget.raw, null);
+    assert.equal(isBudgetSpecified(budget), false);
+  });
+});
+
+describe("formatBudget", () => {
+  it("текст на языке заявки", () => {
+    const budget = parse("€1500 на двоих");
+    assert.equal(formatBudget(budget, "ru"), "1 500 EUR на 2 чел. за поездку (≈ 150 000 RUB), уровень: премиум");
+    assert.equal(formatBudget(budget, "en"), "1 500 EUR for 2 people for the trip (≈ 150 000 RUB), level: premium");
+  });
+
+  it("бюджет не указан - перевод, а не русский текст", () => {
+    assert.equal(formatBudget(parse(""), "en"), "not specified");
+    assert.equal(formatBudget(null, "ru"), "не указан");
+  });
+
+  it("нераспознанный текст - как ввел клиент", () => {
+    assert.equal(formatBudget(parse("как получится"), "en"), "как получится");
+  });
+});
+
+describe("getBudgetCacheKey", () => {
+  it("одинаковые по смыслу бюджеты дают один ключ", () => {
+    assert.equal(getBudgetCacheKey(parse("50 000 руб")), getBudgetCacheKey(parse("50000р")));
+    assert.equal(getBudgetCacheKey(null), null);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeTripDates, formatTripDates, DATE_INTERPRETATIONS } from "../src/utils/dateParser.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const parse = (start, end, options = {}) => normalizeTripDates(start, end, { now, maxDays: 30, ...options });
+
+describe("normalizeTripDates", () => {
+  it("две даты в отдельных полях", () => {
+    const dates = parse("10.06.2027", "15.06.2027");
+    assert.equal(dates.interpretation, DATE_INTERPRETATIONS.EXACT);
+    assert.equal(dates.startDate, "2027-06-10");
+    assert.equal(dates.endDate, "2027-06-15");
+    assert.equal(dates.days, 6);
+    assert.equal(dates.isValid, true);
+  });
+
+  it("ISO и дата без года - ближайшая в будущем", () => {
+    assert.equal(parse("2027-01-05", "2027-01-07").days, 3);
+
+    const dates = parse("05.06", "07.06");
+    assert.equal(dates.startDate, "2027-06-05");
+    assert.equal(dates.yearInferred, true);
+  });
+
+  it("диапазоны в одном поле", () => {
+    assert.deepEqual(
+      [parse("с 5 по 12 июня", "").startDate, parse("с 5 по 12 июня", "").endDate],
+      ["2027-06-05", "2027-06-12"]
+    );
+    assert.equal(parse("10–15 мая 2027", "").days, 6);
+    assert.equal(parse("June 5 - June 8, 2027", "").days, 4);
+  });
+
+  it("компактный числовой диапазон: 10-15.06.2027", () => {
+    const dates = parse("10-15.06.2027", "");
+    assert.equal(dates.interpretation, DATE_INTERPRETATIONS.RANGE);
+    assert.equal(dates.startDate, "2027-06-10");
+    assert.equal(dates.endDate, "2027-06-15");
+  });
+
+  it("диапазон через Новый год", () => {
+    const dates = parse("28.12 - 03.01", "");
+    assert.equal(dates.startDate, "2026-12-28");
+    assert.equal(dates.endDate, "2027-01-03");
+  });
+
+  it("относительные фразы", () => {
+    const month = parse("через месяц", "на неделю");
+    assert.equal(month.interpretation, DATE_INTERPRETATIONS.RELATIVE);
+    assert.equal(month.startDate, "2026-11-19");
+    assert.equal(month.days, 7);
+
+    const tomorrow = parse("завтра на 3 дня", "");
+    assert.equal(tomorrow.startDate, "2026-10-20");
+    assert.equal(tomorrow.endDate, "2026-10-22");
+  });
+
+  it("только длительность", () => {
+    const dates = parse("", "на 3 ночи");
+    assert.equal(dates.interpretation, DATE_INTERPRETATIONS.DURATION);
+    assert.equal(dates.days, 4);
+    assert.equal(dates.startDate, null);
+  });
+
+  it("пустые поля", () => {
+    assert.equal(parse("", null).interpretation, DATE_INTERPRETATIONS.NONE);
+  });
+
+  it("несуществующая дата в одном из полей - ошибка, а не однодневная поездка", () => {
+    for (const [start, end] of [["31.06.2027", "05.07.2027"], ["01.07.2027", "31.06.2027"], ["abc", "15.06.2027"]]) {
+      const dates = parse(start, end);
+      assert.equal(dates.interpretation, DATE_INTERPRETATIONS.INVALID, `${start} - ${end}`);
+      assert.equal(dates.errorCode, "invalidFormat");
+      assert.equal(dates.startDate, null);
+    }
+  });
+
+  it("дата окончания раньше начала", () => {
+    const dates = parse("15.06.2027", "10.06.2027");
+    assert.equal(dates.isValid, false);
+    assert.equal(dates.errorCode, "startAfterEnd");
+  });
+
+  it("поездка длиннее maxDays", () => {
+    const dates = parse("01.06.2027", "15.08.2027");
+    assert.equal(dates.errorCode, "tooLong");
+    assert.equal(parse("01.06.2027", "15.08.2027", { maxDays: 0 }).isValid, true);
+  });
+
+  it("прошедшие даты помечаются inPast", () => {
+    assert.equal(parse("01.10.2026", "05.10.2026").inPast, true);
+  });
+});
+
+describe("formatTripDates", () => {
+  it("описание на языке заявки", () => {
+    const dates = parse("10.06.2027", "15.06.2027");
+    assert.equal(formatTripDates(dates, { locale: "ru" }), "10.06.2027 — 15.06.2027 (6 дней)");
+    assert.equal(formatTripDates(dates, { locale: "en" }), "10.06.2027 — 15.06.2027 (6 days)");
+  });
+
+  it("нераспознанные даты - как ввел клиент", () => {
+    assert.equal(formatTripDates(parse("abc", "def")), "abc — def");
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { escapeHtml, renderEmailTemplate, renderEmail } from "../src/utils/emailTemplate.js";
+
+describe("escapeHtml", () => {
+  it("экранирует спецсимволы HTML", () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), "&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;");
+  });
+});
+
+describe("renderEmailTemplate", () => {
+  it("{{name}} экранируется, {{{name}}} - как есть", () => {
+    assert.equal(renderEmailTemplate("{{a}} {{{a}}}", { a: "<b>" }), "&lt;b&gt; <b>");
+    assert.equal(renderEmailTemplate("{{a}}", { a: "<b>" }, { escape: false }), "<b>");
+  });
+
+  it("условия и циклы", () => {
+    const template = "{{#if name}}Привет, {{name}}{{else}}Здравствуйте{{/if}}";
+    assert.equal(renderEmailTemplate(template, { name: "Анна" }), "Привет, Анна");
+    assert.equal(renderEmailTemplate(template, { name: " " }), "Здравствуйте");
+
+    const list = "{{#each items}}{{@number}}.{{this}}{{#if @last}}!{{else}},{{/if}}{{else}}пусто{{/each}}";
+    assert.equal(renderEmailTemplate(list, { items: ["a", "b"] }), "1.a,2.b!");
+    assert.equal(renderEmailTemplate(list, { items: [] }), "пусто");
+  });
+
+  it("перевод на язык письма экранирует значения", () => {
+    assert.equal(
+      renderEmailTemplate('{{t "email.route.title" city=city}}', { city: "<Rome>", locale: "en" }),
+      "Trip itinerary for &lt;Rome&gt;"
+    );
+  });
+
+  it("комментарии вырезаются", () => {
+    assert.equal(renderEmailTemplate("a{{! комментарий }}b"), "ab");
+  });
+
+  it("ошибка в аргументах тега", () => {
+    assert.throws(() => renderEmailTemplate('{{t "a" =}}'), /Invalid arguments/);
+  });
+});
+
+describe("renderEmail", () => {
+  it("письмо с маршрутом: тема, HTML и текст", () => {
+    const email = renderEmail("route", { city: "<Rome>", route: "<p>План</p>", locale: "en" });
+    assert.equal(email.subject, "🌍 Your trip itinerary for <Rome>");
+    assert.match(email.html, /&lt;Rome&gt;/);
+    assert.match(email.html, /<p>План<\/p>/);
+    assert.doesNotMatch(email.html, /<Rome>/);
+    assert.match(email.text, /Your trip itinerary for <Rome>/);
+  });
+
+  it("неизвестный шаблон", () => {
+    assert.throws(() => renderEmail("missing-template"), /Email template not found/);
+  });
+});
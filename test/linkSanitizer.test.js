@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyUrl, buildSearchUrl, sanitizeLinks, LINK_STATUSES } from "../src/utils/linkSanitizer.js";
+
+const allowedDomains = ["google.com/maps", "wikipedia.org", "example.org/"];
+const search = (place, city) => buildSearchUrl(place, city);
+
+describe("classifyUrl", () => {
+  it("домены из списка и их поддомены", () => {
+    assert.equal(classifyUrl("https://ru.wikipedia.org/wiki/Рим", allowedDomains), LINK_STATUSES.TRUSTED);
+    assert.equal(classifyUrl("www.wikipedia.org", allowedDomains), LINK_STATUSES.TRUSTED);
+    assert.equal(classifyUrl("https://example.org/any", allowedDomains), LINK_STATUSES.TRUSTED);
+    assert.equal(classifyUrl("https://notwikipedia.org/", allowedDomains), LINK_STATUSES.UNTRUSTED);
+  });
+
+  it("префикс пути совпадает целыми сегментами", () => {
+    assert.equal(classifyUrl("https://google.com/maps", allowedDomains), LINK_STATUSES.TRUSTED);
+    assert.equal(classifyUrl("https://www.google.com/maps/place/x", allowedDomains), LINK_STATUSES.TRUSTED);
+    assert.equal(classifyUrl("https://google.com/mapsanything", allowedDomains), LINK_STATUSES.UNTRUSTED);
+    assert.equal(classifyUrl("https://google.com/search?q=maps", allowedDomains), LINK_STATUSES.UNTRUSTED);
+  });
+
+  it("не http(s) адреса", () => {
+    assert.equal(classifyUrl("javascript:alert(1)", allowedDomains), LINK_STATUSES.INVALID);
+    assert.equal(classifyUrl("https://localhost/", allowedDomains), LINK_STATUSES.INVALID);
+  });
+});
+
+describe("sanitizeLinks", () => {
+  it("ссылки на доверенные домены сохраняются", () => {
+    const content = "[Колизей](https://en.wikipedia.org/wiki/Colosseum)";
+    const result = sanitizeLinks(content, { city: "Рим" });
+    assert.equal(result.content, content);
+    assert.deepEqual(result.links, { total: 1, kept: 1, rewritten: 0, added: 0 });
+  });
+
+  it("выдуманная ссылка заменяется поиском места по названию", () => {
+    const result = sanitizeLinks("**Колизей** — 👉 [Узнать больше](https://fake.example/colosseum)", { city: "Рим" });
+    assert.equal(result.content, `**Колизей** — 👉 [Узнать больше](${search("Колизей", "Рим")})`);
+    assert.equal(result.links.rewritten, 1);
+  });
+
+  it("кнопка без ссылки получает ссылку на поиск", () => {
+    const result = sanitizeLinks("**Пантеон** — храм\n👉 Узнать больше", { city: "Рим" });
+    assert.equal(result.content, `**Пантеон** — храм\n👉 [Узнать больше](${search("Пантеон", "Рим")})`);
+    assert.equal(result.links.added, 1);
+  });
+
+  it("название не берется из строки со своей ссылкой", () => {
+    const content = [
+      "**Колизей** — древний амфитеатр",
+      "👉 [Узнать больше](https://fake.example/colosseum)",
+      "👉 [Подробнее](https://fake.example/other)",
+    ].join("\n");
+    const lines = sanitizeLinks(content, { city: "Рим" }).content.split("\n");
+    assert.equal(lines[1], `👉 [Узнать больше](${search("Колизей", "Рим")})`);
+    assert.equal(lines[2], `👉 [Подробнее](${search(null, "Рим")})`);
+  });
+
+  it("соседний пункт списка - граница", () => {
+    const content = "- **Форум** — руины\n👉 [Узнать больше](https://fake.example/x)";
+    const lines = sanitizeLinks(content, { city: "Рим" }).content.split("\n");
+    assert.equal(lines[1], `👉 [Узнать больше](${search(null, "Рим")})`);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { renderMarkdownHtml, renderMarkdownText, renderInlineSegments } from "../src/utils/markdown.js";
+
+// Без стилей проще сравнивать HTML
+const html = (markdown) => renderMarkdownHtml(markdown, { styles: {} });
+
+describe("renderMarkdownHtml", () => {
+  it("заголовки, списки и жирный текст", () => {
+    assert.equal(html("## День 1"), "<h2>День 1</h2>");
+    assert.equal(html("- **Колизей**\n- Форум"), "<ul><li><strong>Колизей</strong></li><li>Форум</li></ul>");
+    assert.equal(html("1. Утро\n2. Вечер"), "<ol><li>Утро</li><li>Вечер</li></ol>");
+  });
+
+  it("http(s) ссылки и адреса в тексте", () => {
+    assert.equal(
+      html("[Колизей](https://example.com/colosseum)"),
+      '<p><a href="https://example.com/colosseum" target="_blank">Колизей</a></p>'
+    );
+    assert.equal(
+      html("www.example.com/a."),
+      '<p><a href="https://www.example.com/a" target="_blank">www.example.com/a</a>.</p>'
+    );
+  });
+});
+
+describe("renderMarkdownHtml: XSS", () => {
+  it("скрипты удаляются вместе с содержимым", () => {
+    assert.equal(html("<script>alert(1)</script>Привет"), "<p>Привет</p>");
+    assert.equal(html("<style>body{}</style><iframe src=x></iframe>ok"), "<p>ok</p>");
+  });
+
+  it("HTML модели удаляется, обработчики событий не попадают в письмо", () => {
+    const result = html('<img src=x onerror=alert(1)> <a href="javascript:alert(1)">текст</a>');
+    assert.doesNotMatch(result, /<img|onerror|javascript:/i);
+    assert.match(result, /текст/);
+  });
+
+  it("javascript:, data: и vbscript: ссылки остаются текстом", () => {
+    for (const url of ["javascript:alert(1)", "data:text/html,abc", "vbscript:msgbox(1)", "JaVaScRiPt:alert(1)"]) {
+      const result = html(`[ссылка](${url})`);
+      assert.equal(result, "<p>ссылка</p>", url);
+    }
+  });
+
+  it("спецсимволы экранируются", () => {
+    assert.equal(html('**"a" & b**'), "<p><strong>&quot;a&quot; &amp; b</strong></p>");
+    assert.doesNotMatch(html("1 < 2 > 0"), /<\s*2/);
+  });
+
+  it("кавычки в адресе не выходят из атрибута href", () => {
+    assert.doesNotMatch(html('[a](https://example.com/?q="onmouseover=alert(1))'), /"\s*onmouseover=/);
+  });
+});
+
+describe("renderMarkdownText", () => {
+  it("текст без разметки, ссылка - текст (адрес)", () => {
+    assert.equal(renderMarkdownText("**Колизей** — [сайт](https://example.com)"), "Колизей — сайт (https://example.com)");
+    assert.equal(renderMarkdownText("<b>жирный</b>"), "жирный");
+  });
+});
+
+describe("renderInlineSegments", () => {
+  it("фрагменты с жирным текстом и ссылками", () => {
+    assert.deepEqual(renderInlineSegments("**Рим** [карта](https://example.com) [x](javascript:alert(1))"), [
+      { text: "Рим", bold: true, link: null },
+      { text: " ", bold: false, link: null },
+      { text: "карта", bold: false, link: "https://example.com" },
+      { text: " ", bold: false, link: null },
+      { text: "x", bold: false, link: null },
+    ]);
+  });
+});
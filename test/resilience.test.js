@@ -0,0 +1,106 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  parseDuration,
+  parseRetryAfter,
+  getRetryDelay,
+} from "../src/utils/resilience.js";
+
+describe("parseDuration", () => {
+  it("длительности из заголовков лимитов OpenAI", () => {
+    assert.equal(parseDuration("20ms"), 20);
+    assert.equal(parseDuration("1s"), 1000);
+    assert.equal(parseDuration("6m0s"), 360000);
+    assert.equal(parseDuration("1h2m3.5s"), 3723500);
+    assert.equal(parseDuration("soon"), null);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("retry-after-ms и Retry-After в секундах", () => {
+    assert.equal(parseRetryAfter({ "retry-after-ms": "250" }), 250);
+    assert.equal(parseRetryAfter(new Headers({ "retry-after": "2" })), 2000);
+    assert.equal(parseRetryAfter({}), null);
+  });
+
+  it("Retry-After в виде даты", () => {
+    const delay = parseRetryAfter({ "retry-after": new Date(Date.now() + 5000).toUTCString() });
+    assert.ok(delay > 3000 && delay <= 5000, String(delay));
+  });
+
+  it("для 429 - сброс только исчерпанных лимитов", () => {
+    const headers = {
+      "x-ratelimit-remaining-requests": "10",
+      "x-ratelimit-reset-requests": "1s",
+      "x-ratelimit-remaining-tokens": "0",
+      "x-ratelimit-reset-tokens": "6s",
+    };
+    assert.equal(parseRetryAfter(headers, { rateLimited: true }), 6000);
+    assert.equal(parseRetryAfter(headers), null);
+  });
+});
+
+describe("getRetryDelay", () => {
+  it("экспоненциальная пауза с разбросом и верхней границей", () => {
+    assert.equal(getRetryDelay(1, { baseDelay: 1000, maxDelay: 10000, random: () => 0 }), 500);
+    assert.equal(getRetryDelay(3, { baseDelay: 1000, maxDelay: 10000, random: () => 1 }), 4000);
+    assert.equal(getRetryDelay(10, { baseDelay: 1000, maxDelay: 10000, random: () => 1 }), 10000);
+  });
+
+  it("пауза сервера - нижняя граница", () => {
+    assert.equal(getRetryDelay(1, { baseDelay: 1000, maxDelay: 10000, retryAfter: 7000, random: () => 0 }), 7000);
+  });
+});
+
+describe("CircuitBreaker", () => {
+  const fail = () => Promise.reject(new Error("down"));
+
+  it("открывается после failureThreshold сбоев подряд", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 2, resetTimeout: 60000 });
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    let called = false;
+    await assert.rejects(
+      breaker.execute(async () => {
+        called = true;
+      }),
+      (error) => error.circuitOpen === true && Boolean(error.deferUntil)
+    );
+    assert.equal(called, false);
+  });
+
+  it("ошибки, которые не считаются сбоем, не открывают breaker", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 1, resetTimeout: 60000 });
+    await assert.rejects(breaker.execute(fail, { isFailure: () => false }));
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+  });
+
+  it("half_open: один пробный запрос, успех закрывает", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 1, resetTimeout: 0 });
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.getRetryAfter(), 1000);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(await breaker.execute(async () => "ok"), "ok");
+  });
+
+  it("сбой пробного запроса снова открывает breaker", async () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 5, resetTimeout: 0 });
+    breaker.recordFailure(new Error("a"));
+    breaker.state = CIRCUIT_STATES.HALF_OPEN;
+    breaker.recordFailure(new Error("b"));
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.getState().lastError, "b");
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseTravelers,
+  formatTravelers,
+  getTravelerGuidance,
+  TRAVELER_COMPOSITIONS,
+} from "../src/utils/travelerParser.js";
+
+const pick = ({ adults, seniors, children, infants, childrenAges, total }) => ({
+  adults,
+  seniors,
+  children,
+  infants,
+  childrenAges,
+  total,
+});
+
+describe("parseTravelers", () => {
+  it("число и формат 2+1", () => {
+    assert.deepEqual(pick(parseTravelers("3")), { adults: 3, seniors: 0, children: 0, infants: 0, childrenAges: [], total: 3 });
+    assert.equal(parseTravelers("2+1").children, 1);
+  });
+
+  it("взрослые и дети с возрастами", () => {
+    const travelers = parseTravelers("2 взрослых + ребёнок 5 лет");
+    assert.deepEqual(pick(travelers), { adults: 2, seniors: 0, children: 1, infants: 0, childrenAges: [5], total: 3 });
+    assert.equal(travelers.composition, TRAVELER_COMPOSITIONS.FAMILY);
+
+    assert.deepEqual(parseTravelers("2 adults, 2 kids (4, 7)").childrenAges, [4, 7]);
+  });
+
+  it("список возрастов после \"дети\" задает и количество", () => {
+    const travelers = parseTravelers("3 взрослых, дети 5, 8, 12");
+    assert.equal(travelers.adults, 3);
+    assert.equal(travelers.children, 3);
+    assert.deepEqual(travelers.childrenAges, [5, 8, 12]);
+
+    assert.deepEqual(pick(parseTravelers("2 adults, kids: 4 and 7")).childrenAges, [4, 7]);
+  });
+
+  it("числа в творительном и родительном падеже", () => {
+    assert.equal(parseTravelers("мы с женой и с двумя детьми").children, 2);
+    assert.equal(parseTravelers("с тремя детьми").children, 3);
+
+    const travelers = parseTravelers("для двух взрослых и трёх детей");
+    assert.equal(travelers.adults, 2);
+    assert.equal(travelers.children, 3);
+  });
+
+  it("младенцы и пожилые", () => {
+    const infant = parseTravelers("мы с женой и малыш 8 месяцев");
+    assert.equal(infant.adults, 2);
+    assert.equal(infant.infants, 1);
+
+    const seniors = parseTravelers("пенсионеры 2");
+    assert.equal(seniors.seniors, 2);
+    assert.equal(seniors.composition, TRAVELER_COMPOSITIONS.SENIORS);
+  });
+
+  it("пара и группа без состава", () => {
+    assert.equal(parseTravelers("я и жена").composition, TRAVELER_COMPOSITIONS.COUPLE);
+    assert.equal(parseTravelers("двое").adults, 2);
+    assert.equal(parseTravelers("семья из 4").total, 4);
+  });
+
+  it("отдельные поля формы важнее текста", () => {
+    const travelers = parseTravelers("2 взрослых", { adults: "1", children: "2", childrenAges: "3, 10" });
+    assert.equal(travelers.adults, 1);
+    assert.equal(travelers.children, 2);
+    assert.deepEqual(travelers.childrenAges, [3, 10]);
+  });
+
+  it("нераспознанный текст - один взрослый", () => {
+    const travelers = parseTravelers("???");
+    assert.equal(travelers.recognized, false);
+    assert.equal(travelers.total, 1);
+  });
+});
+
+describe("formatTravelers и getTravelerGuidance", () => {
+  it("текст на языке заявки", () => {
+    const travelers = parseTravelers("2 взрослых + ребёнок 5 лет");
+    assert.match(formatTravelers(travelers, "ru"), /2 взрослых/);
+    assert.doesNotMatch(formatTravelers(travelers, "en"), /[а-яё]/i);
+    assert.equal(getTravelerGuidance(travelers, "de").length, 1);
+    assert.doesNotMatch(getTravelerGuidance(travelers, "de").join(" "), /[а-яё]/i);
+  });
+
+  it("без детей и пожилых рекомендаций нет", () => {
+    assert.deepEqual(getTravelerGuidance(parseTravelers("2"), "en"), []);
+  });
+});